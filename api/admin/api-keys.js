@@ -0,0 +1,70 @@
+/**
+ * API key management endpoint
+ * GET lists keys (or shows one with its usage by month, ?keyId=), POST creates or revokes a key
+ */
+
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, getApiKeyService } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'admin')) return;
+  
+  try {
+    const apiKeys = getApiKeyService(config);
+    
+    if (req.method === 'GET') {
+      const { keyId } = req.query || {};
+      
+      if (keyId) {
+        const key = apiKeys.get(keyId);
+        
+        if (!key) {
+          return sendError(res, 404, 'not_found', `API key not found: ${keyId}`);
+        }
+        
+        return res.status(200).json({ ...key, usageByMonth: apiKeys.getUsage(keyId) });
+      }
+      
+      return res.status(200).json(apiKeys.list());
+    }
+    
+    // Checks action, scopes, rateLimit and monthlyQuota too
+    if (!validateBody(req, res, 'ApiKeyRequest')) return;
+    
+    const { action, keyId, name, scopes = ['validate'], rateLimit, monthlyQuota, notes } = req.body;
+    
+    if (action === 'revoke') {
+      const key = keyId ? apiKeys.revoke(keyId) : null;
+      
+      if (!key) {
+        return sendError(res, 404, 'not_found', `API key not found: ${keyId}`);
+      }
+      
+      return res.status(200).json(key);
+    }
+    
+    if (!name || !name.trim()) {
+      return invalidField(res, 'name', 'is required');
+    }
+    
+    // The key is only ever shown in this response
+    return res.status(201).json(apiKeys.create({ name: name.trim(), scopes, rateLimit, monthlyQuota, notes }));
+    
+  } catch (error) {
+    console.error('Error managing API keys:', error);
+    return sendError(res, 500, 'internal_error', 'Error managing API keys', error.message);
+  }
+}
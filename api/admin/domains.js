@@ -0,0 +1,80 @@
+/**
+ * Domain knowledge endpoint
+ * GET shows one domain (?domain=) or lists known domains, POST overrides a domain's catch-all status
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+import { isValidDomainFormat } from '../../src/utils/domain-utils';
+import { toAsciiDomain } from '../../src/utils/idn-utils';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the email validation service
+let emailValidator = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'admin')) return;
+  
+  try {
+    // Initialize validator if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+    }
+    
+    const { domainKnowledge } = emailValidator;
+    // Other instances record verdicts and overrides too
+    domainKnowledge.refresh();
+    
+    if (req.method === 'GET') {
+      const { domain, catchAll } = req.query || {};
+      
+      if (domain) {
+        const entry = domainKnowledge.get(toAsciiDomain(String(domain).trim()) || String(domain).trim().toLowerCase());
+        
+        if (!entry) {
+          return sendError(res, 404, 'not_found', `Nothing known about ${domain}`);
+        }
+        
+        return res.status(200).json(entry);
+      }
+      
+      if (catchAll !== undefined && catchAll !== 'true' && catchAll !== 'false') {
+        return invalidField(res, 'catchAll', 'must be true or false');
+      }
+      
+      return res.status(200).json(domainKnowledge.list({
+        catchAll: catchAll === undefined ? undefined : catchAll === 'true'
+      }));
+    }
+    
+    if (!validateBody(req, res, 'DomainOverrideRequest')) return;
+    
+    const { domain, catchAll, user, notes } = req.body;
+    const asciiDomain = typeof domain === 'string' ? toAsciiDomain(domain.trim()) : null;
+    
+    if (!asciiDomain || !isValidDomainFormat(asciiDomain)) {
+      return invalidField(res, 'domain', 'must be a valid domain');
+    }
+    
+    const entry = domainKnowledge.setOverride(asciiDomain, catchAll, { updatedBy: user, notes });
+    
+    return res.status(200).json(entry);
+    
+  } catch (error) {
+    console.error('Error managing domain knowledge:', error);
+    return sendError(res, 500, 'internal_error', 'Error managing domain knowledge', error.message);
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Scheduled re-verification endpoint
+ * GET is called by the cron schedule, POST runs a recheck on demand
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { RecheckService } from '../../src/services/recheck-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let recheckService = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET (cron) and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  // Cron jobs send the secret as a Bearer token instead of an API key
+  if (!requireApiKey(req, res, config, 'admin', { cronSecret: config.recheck.secret })) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      recheckService = new RecheckService(emailValidator, config.recheck);
+    }
+    
+    if (req.method === 'POST' && req.body && !validateBody(req, res, 'RecheckRequest')) return;
+    
+    const params = req.method === 'POST' ? (req.body || {}) : (req.query || {});
+    const limit = params.limit !== undefined ? parseInt(params.limit, 10) : undefined;
+    const dryRun = params.dryRun === true || params.dryRun === 'true';
+    
+    if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+      return invalidField(res, 'limit', 'must be a positive number');
+    }
+    
+    const result = await recheckService.run({ limit, dryRun });
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error rechecking emails:', error);
+    return sendError(res, 500, 'internal_error', 'Error rechecking emails', error.message);
+  }
+}
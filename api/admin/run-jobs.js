@@ -0,0 +1,47 @@
+/**
+ * Background job worker endpoint
+ * GET is called by the cron schedule, POST runs waiting jobs on demand
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { JobService } from '../../src/services/job-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed } from '../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let jobService = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET (cron) and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  // Cron jobs send the secret as a Bearer token instead of an API key
+  if (!requireApiKey(req, res, config, 'admin', { cronSecret: config.jobs.secret })) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      jobService = new JobService(emailValidator, config.jobs);
+    }
+    
+    const result = await jobService.runPending();
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error running jobs:', error);
+    return sendError(res, 500, 'internal_error', 'Error running jobs', error.message);
+  }
+}
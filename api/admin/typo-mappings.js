@@ -0,0 +1,80 @@
+/**
+ * Typo mapping review endpoint
+ * GET lists mappings, POST learns new proposals or approves/rejects a mapping
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { TypoLearningService, MAPPING_STATUSES } from '../../src/services/typo-learning-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+import { isValidDomainFormat } from '../../src/utils/domain-utils';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let typoLearning = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'admin')) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      typoLearning = new TypoLearningService(emailValidator, config.typoLearning);
+    }
+    
+    if (req.method === 'GET') {
+      const { status } = req.query || {};
+      
+      if (status && !MAPPING_STATUSES.includes(status)) {
+        return invalidField(res, 'status', `must be one of: ${MAPPING_STATUSES.join(', ')}`);
+      }
+      
+      return res.status(200).json(typoLearning.list(status));
+    }
+    
+    // Checks action and minCount too
+    if (!validateBody(req, res, 'TypoMappingRequest')) return;
+    
+    const { action, typoDomain, correctedDomain, minCount, user } = req.body;
+    
+    if (action === 'learn') {
+      return res.status(200).json(typoLearning.learn({ minCount }));
+    }
+    
+    if (!typoDomain) {
+      return invalidField(res, 'typoDomain', 'is required');
+    }
+    
+    if (correctedDomain !== undefined && !isValidDomainFormat(String(correctedDomain).trim())) {
+      return invalidField(res, 'correctedDomain', 'must be a valid domain');
+    }
+    
+    const mapping = action === 'approve'
+      ? typoLearning.approve(typoDomain, { correctedDomain, approvedBy: user })
+      : typoLearning.reject(typoDomain, { rejectedBy: user });
+    
+    if (!mapping) {
+      return sendError(res, 404, 'not_found', `No typo mapping for ${typoDomain}`);
+    }
+    
+    return res.status(200).json(mapping);
+    
+  } catch (error) {
+    console.error('Error managing typo mappings:', error);
+    return sendError(res, 500, 'internal_error', 'Error managing typo mappings', error.message);
+  }
+}
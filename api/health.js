@@ -1,26 +1,12 @@
-import Cors from 'cors';
+import { loadConfig } from '../src/config/config';
+import { enableCors } from '../src/middleware/cors';
 
-// Initialize the cors middleware
-const cors = Cors({
-  methods: ['GET', 'POST', 'OPTIONS'],
-  origin: '*' // This allows all origins
-});
-
-// Helper method to run middleware
-function runMiddleware(req, res, fn) {
-  return new Promise((resolve, reject) => {
-    fn(req, res, (result) => {
-      if (result instanceof Error) {
-        return reject(result);
-      }
-      return resolve(result);
-    });
-  });
-}
+// Load configuration
+const config = loadConfig();
 
 export default async function handler(req, res) {
-  // Run the cors middleware
-  await runMiddleware(req, res, cors);
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
   
   // Health check response
   return res.status(200).json({
@@ -28,4 +14,4 @@ export default async function handler(req, res) {
     message: 'API is healthy',
     timestamp: new Date().toISOString()
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,65 @@
+/**
+ * Background validation job endpoint
+ * GET polls a job's progress, DELETE cancels it
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { JobService } from '../../src/services/job-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, canAccess } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed } from '../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let jobService = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET and DELETE methods
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return methodNotAllowed(res, ['GET', 'DELETE']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      jobService = new JobService(emailValidator, config.jobs);
+    }
+    
+    const { id } = req.query || {};
+    const job = jobService.get(id);
+    
+    // Jobs created with another key are hidden
+    if (!job || !canAccess(req, job.keyId)) {
+      return sendError(res, 404, 'not_found', `Job not found: ${id}`);
+    }
+    
+    if (req.method === 'DELETE') {
+      if (jobService.isFinished(job)) {
+        return sendError(res, 409, 'job_finished', `Job is already ${job.status}`);
+      }
+      
+      return res.status(200).json(jobService.cancel(id));
+    }
+    
+    // Polling resumes jobs whose worker went away (e.g. after a restart)
+    if (config.jobs.runInProcess && jobService.isResumable(job)) {
+      jobService.start(id);
+    }
+    
+    return res.status(200).json(job);
+    
+  } catch (error) {
+    console.error('Error handling job request:', error);
+    return sendError(res, 500, 'internal_error', 'Error handling job request', error.message);
+  }
+}
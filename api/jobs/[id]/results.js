@@ -0,0 +1,63 @@
+/**
+ * Background validation job results endpoint
+ * GET downloads the results once the job has completed (or what was validated before it was cancelled)
+ */
+
+import { EmailValidationService } from '../../../src/services/email-validator';
+import { JobService } from '../../../src/services/job-service';
+import { loadConfig } from '../../../src/config/config';
+import { enableCors } from '../../../src/middleware/cors';
+import { requireApiKey, canAccess } from '../../../src/middleware/auth';
+import { sendError, methodNotAllowed } from '../../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let jobService = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    return methodNotAllowed(res, ['GET']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      jobService = new JobService(emailValidator, config.jobs);
+    }
+    
+    const { id } = req.query || {};
+    const job = jobService.get(id);
+    
+    // Jobs created with another key are hidden
+    if (!job || !canAccess(req, job.keyId)) {
+      return sendError(res, 404, 'not_found', `Job not found: ${id}`);
+    }
+    
+    if (job.status !== 'completed' && job.status !== 'cancelled') {
+      return sendError(res, 409, 'job_not_finished', `Job is ${job.status}`, {
+        status: job.status,
+        processed: job.processed,
+        total: job.total,
+        error: job.error
+      });
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.json"`);
+    
+    return res.status(200).json(jobService.getResults(id));
+    
+  } catch (error) {
+    console.error('Error reading job results:', error);
+    return sendError(res, 500, 'internal_error', 'Error reading job results', error.message);
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Background validation jobs endpoint
+ * POST submits a list (or an uploaded CSV file) and returns a job id, GET lists jobs
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { JobService, JOB_STATUSES } from '../../src/services/job-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, consumeQuota, canAccess } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let jobService = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Allow GET and POST methods
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return methodNotAllowed(res, ['GET', 'POST']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      jobService = new JobService(emailValidator, config.jobs);
+    }
+    
+    if (req.method === 'GET') {
+      const { status } = req.query || {};
+      
+      if (status !== undefined && !JOB_STATUSES.includes(status)) {
+        return invalidField(res, 'status', `must be one of: ${JOB_STATUSES.join(', ')}`);
+      }
+      
+      // Keys only see their own jobs
+      return res.status(200).json(jobService.list({ status }).filter(job => canAccess(req, job.keyId)));
+    }
+    
+    if (!validateBody(req, res, 'CreateJobRequest')) return;
+    
+    const { emails, fileUrl, emailColumn, minScore, forceRecheck, mode = 'correct' } = req.body || {};
+    
+    if (!emails && !fileUrl) {
+      return invalidField(res, 'emails', 'is required when fileUrl is not given');
+    }
+    
+    let list = emails;
+    let source = { type: 'list' };
+    
+    if (!emails) {
+      try {
+        const file = await jobService.fetchEmailsFromFile(fileUrl, emailColumn);
+        list = file.emails;
+        source = { type: 'file', url: fileUrl, emailColumn: file.emailColumn };
+      } catch (error) {
+        return sendError(res, 400, 'file_unreadable', 'Could not read file', error.message);
+      }
+    }
+    
+    if (list.length === 0) {
+      return sendError(res, 400, 'no_emails', 'No emails to validate');
+    }
+    
+    if (list.length > config.jobs.maxEmails) {
+      return sendError(res, 400, 'too_many_emails', `Maximum job size is ${config.jobs.maxEmails} emails`, {
+        emails: list.length,
+        maxEmails: config.jobs.maxEmails
+      });
+    }
+    
+    if (!consumeQuota(req, res, config, emailValidator.countBatchValidations(list))) return;
+    
+    const job = jobService.create(list, {
+      minScore,
+      forceRecheck: forceRecheck === true,
+      mode,
+      source,
+      keyId: req.apiKey?.keyId
+    });
+    
+    // Otherwise the worker endpoint picks the job up
+    if (config.jobs.runInProcess) {
+      jobService.start(job.id);
+    }
+    
+    return res.status(202).json(job);
+    
+  } catch (error) {
+    console.error('Error handling jobs request:', error);
+    return sendError(res, 500, 'internal_error', 'Error handling jobs request', error.message);
+  }
+}
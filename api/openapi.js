@@ -0,0 +1,37 @@
+/**
+ * OpenAPI document endpoint
+ * GET returns the machine-readable description of every route, without needing an API key
+ */
+
+import { loadConfig } from '../src/config/config';
+import { enableCors } from '../src/middleware/cors';
+import { sendError, methodNotAllowed } from '../src/middleware/errors';
+import { buildOpenApiDocument } from '../src/schemas/openapi';
+
+// Load configuration
+const config = loadConfig();
+
+// Built on first request; it only changes with the configuration
+let document = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    return methodNotAllowed(res, ['GET']);
+  }
+  
+  try {
+    if (!document) {
+      document = buildOpenApiDocument(config);
+    }
+    
+    return res.status(200).json(document);
+    
+  } catch (error) {
+    console.error('Error building OpenAPI document:', error);
+    return sendError(res, 500, 'internal_error', 'Error building OpenAPI document', error.message);
+  }
+}
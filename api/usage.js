@@ -0,0 +1,48 @@
+/**
+ * API usage endpoint
+ * GET shows the calling key's limits and usage by month
+ */
+
+import { loadConfig } from '../src/config/config';
+import { enableCors } from '../src/middleware/cors';
+import { requireApiKey, getApiKeyService } from '../src/middleware/auth';
+import { sendError, methodNotAllowed } from '../src/middleware/errors';
+
+// Load configuration
+const config = loadConfig();
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    return methodNotAllowed(res, ['GET']);
+  }
+  
+  // Any valid key may read its own usage
+  if (!requireApiKey(req, res, config, null)) return;
+  
+  if (!req.apiKey) {
+    return sendError(res, 400, 'auth_disabled', 'API keys are disabled (set API_AUTH=true)');
+  }
+  
+  try {
+    const apiKeys = getApiKeyService(config);
+    const { keyId, keyPrefix, name, scopes, rateLimit, monthlyQuota } = req.apiKey;
+    
+    return res.status(200).json({
+      keyId,
+      keyPrefix,
+      name,
+      scopes,
+      rateLimit,
+      monthlyQuota,
+      usageByMonth: apiKeys.getUsage(keyId)
+    });
+    
+  } catch (error) {
+    console.error('Error reading API usage:', error);
+    return sendError(res, 500, 'internal_error', 'Error reading API usage', error.message);
+  }
+}
@@ -4,47 +4,111 @@
 
 import { EmailValidationService } from '../../src/services/email-validator';
 import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, consumeQuota } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, errorBody } from '../../src/middleware/errors';
 
 // Load configuration
 const config = loadConfig();
 
+// Streamed responses are asked for with Accept: application/x-ndjson
+const NDJSON_TYPE = 'application/x-ndjson';
+
 // Initialize the email validation service
 let emailValidator = null;
 
+/**
+ * Stream results as newline-delimited JSON, one line per email as soon as it is validated
+ * Result lines are {type: 'result', index, result}, where index is the position in `emails`;
+ * the last line is {type: 'summary', total, returned, counts} with counts of the returned results by status
+ * (or {type: 'error', error: {code, message, details}} if the batch failed)
+ * @param {Object} res - Response
+ * @param {string[]} emails - Emails to validate
+ * @param {Object} options - Batch options (see validateBatch)
+ */
+async function streamBatch(res, emails, options) {
+  // The response closes before it ends when the client goes away
+  let closed = false;
+  res.on?.('close', () => {
+    closed = true;
+  });
+  
+  const writeLine = data => res.write(`${JSON.stringify(data)}\n`);
+  
+  res.statusCode = 200;
+  res.setHeader('Content-Type', `${NDJSON_TYPE}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-cache');
+  // Stops proxies such as nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  
+  let returned = 0;
+  const counts = {};
+  
+  try {
+    await emailValidator.validateBatch(emails, {
+      ...options,
+      // A disconnected client stops the batch, so no more checks are paid for
+      onResult: (result, index) => {
+        if (closed) return false;
+        
+        writeLine({ type: 'result', index, result });
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        returned++;
+        return true;
+      }
+    });
+    
+    writeLine({ type: 'summary', total: emails.length, returned, counts });
+  } catch (error) {
+    console.error('Error streaming email batch:', error);
+    writeLine({ type: 'error', error: errorBody('internal_error', 'Error validating email batch', error.message) });
+  }
+  
+  res.end();
+}
+
 export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
   // Only allow POST method
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return methodNotAllowed(res, ['POST']);
   }
   
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  // Checks the batch size (MAX_BATCH_SIZE), minScore and mode too
+  if (!validateBody(req, res, 'ValidateBatchRequest')) return;
+  
   try {
     // Initialize validator if needed
     if (!emailValidator) {
       emailValidator = new EmailValidationService(config);
     }
     
-    const { emails } = req.body;
+    const { emails, minScore, forceRecheck, mode = 'correct' } = req.body;
     
-    if (!emails || !Array.isArray(emails)) {
-      return res.status(400).json({ error: 'Emails array is required' });
-    }
+    // Split multi-address fields count once per address, repeats of a mailbox once
+    if (!consumeQuota(req, res, config, emailValidator.countBatchValidations(emails))) return;
+    
+    const batchOptions = {
+      minScore,
+      forceRecheck: forceRecheck === true,
+      mode
+    };
     
-    // Limit batch size to prevent abuse
-    if (emails.length > 100) {
-      return res.status(400).json({ 
-        error: 'Batch size exceeded',
-        message: 'Maximum batch size is 100 emails'
-      });
+    if ((req.headers?.accept || '').includes(NDJSON_TYPE)) {
+      return streamBatch(res, emails, batchOptions);
     }
     
-    const results = await emailValidator.validateBatch(emails);
+    const results = await emailValidator.validateBatch(emails, batchOptions);
     
     return res.status(200).json(results);
     
   } catch (error) {
     console.error('Error validating email batch:', error);
-    return res.status(500).json({
-      error: 'Error validating email batch',
-      details: error.message
-    });
-  }
\ No newline at end of file
+    return sendError(res, 500, 'internal_error', 'Error validating email batch', error.message);
+  }
+}
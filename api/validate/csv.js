@@ -0,0 +1,89 @@
+/**
+ * CSV cleaning endpoint
+ * POST a CSV file, get the same file back with unmessy_* result columns appended
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { CsvCleaningService } from '../../src/services/csv-cleaning-service';
+import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, consumeQuota } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody, invalidField } from '../../src/middleware/errors';
+import { readTextBody } from '../../src/middleware/body';
+import { VALIDATION_MODES } from '../../src/schemas/api-schemas';
+
+// Load configuration
+const config = loadConfig();
+
+// Initialize the services
+let emailValidator = null;
+let csvCleaner = null;
+
+export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
+  // Only allow POST method
+  if (req.method !== 'POST') {
+    return methodNotAllowed(res, ['POST']);
+  }
+  
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  try {
+    // Initialize services if needed
+    if (!emailValidator) {
+      emailValidator = new EmailValidationService(config);
+      csvCleaner = new CsvCleaningService(emailValidator, config.upload);
+    }
+    
+    // The file is sent as the body (Content-Type: text/csv or text/plain) with options in the
+    // query string, or as JSON: {csv, emailColumn, mode, forceRecheck}
+    const rawCsv = await readTextBody(req);
+    const isRaw = rawCsv !== null;
+    
+    if (!isRaw && !validateBody(req, res, 'CleanCsvRequest')) return;
+    
+    const params = isRaw ? (req.query || {}) : { ...(req.query || {}), ...(req.body || {}) };
+    const csv = isRaw ? rawCsv : params.csv;
+    const { emailColumn, mode = 'correct', filename = 'cleaned.csv' } = params;
+    const forceRecheck = params.forceRecheck === true || params.forceRecheck === 'true';
+    
+    if (!csv || typeof csv !== 'string' || !csv.trim()) {
+      return invalidField(res, 'csv', 'is required');
+    }
+    
+    if (!VALIDATION_MODES.includes(mode)) {
+      return invalidField(res, 'mode', `must be one of: ${VALIDATION_MODES.join(', ')}`);
+    }
+    
+    let prepared;
+    try {
+      prepared = csvCleaner.prepare(csv, emailColumn);
+    } catch (error) {
+      return sendError(res, 400, 'email_column_not_found', error.message);
+    }
+    
+    if (prepared.parsed.rows.length > config.upload.maxRows) {
+      return sendError(res, 400, 'too_many_rows', `Maximum file size is ${config.upload.maxRows} rows, use /api/jobs for larger files`, {
+        rows: prepared.parsed.rows.length,
+        maxRows: config.upload.maxRows
+      });
+    }
+    
+    // Rows without an email are free, repeats of a mailbox count once
+    if (!consumeQuota(req, res, config, emailValidator.countMailboxes(prepared.emails))) return;
+    
+    const result = await csvCleaner.clean(csv, { emailColumn: prepared.emailColumn, mode, forceRecheck });
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${String(filename).replace(/["\r\n]/g, '')}"`);
+    res.setHeader('X-Unmessy-Email-Column', encodeURIComponent(result.emailColumn));
+    
+    return res.status(200).send(result.csv);
+    
+  } catch (error) {
+    console.error('Error cleaning CSV:', error);
+    return sendError(res, 500, 'internal_error', 'Error cleaning CSV', error.message);
+  }
+}
@@ -4,6 +4,9 @@
 
 import { EmailValidationService } from '../../src/services/email-validator';
 import { loadConfig } from '../../src/config/config';
+import { enableCors } from '../../src/middleware/cors';
+import { requireApiKey, consumeQuota } from '../../src/middleware/auth';
+import { sendError, methodNotAllowed, validateBody } from '../../src/middleware/errors';
 
 // Load configuration
 const config = loadConfig();
@@ -12,32 +15,34 @@ const config = loadConfig();
 let emailValidator = null;
 
 export default async function handler(req, res) {
+  // Preflight requests are answered with the CORS headers only
+  if (enableCors(req, res, config.cors)) return;
+  
   // Only allow POST method
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return methodNotAllowed(res, ['POST']);
   }
   
+  if (!requireApiKey(req, res, config, 'validate')) return;
+  
+  if (!validateBody(req, res, 'ValidateEmailRequest')) return;
+  
   try {
     // Initialize validator if needed
     if (!emailValidator) {
       emailValidator = new EmailValidationService(config);
     }
     
-    const { email } = req.body;
+    const { email, forceRecheck, mode = 'correct' } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    if (!consumeQuota(req, res, config, 1)) return;
     
-    const result = await emailValidator.validateEmail(email);
+    const result = await emailValidator.validateEmail(email, { forceRecheck: forceRecheck === true, mode });
     
     return res.status(200).json(result);
     
   } catch (error) {
     console.error('Error validating email:', error);
-    return res.status(500).json({
-      error: 'Error validating email',
-      details: error.message
-    });
+    return sendError(res, 500, 'internal_error', 'Error validating email', error.message);
   }
 }
\ No newline at end of file
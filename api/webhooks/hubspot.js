@@ -4,6 +4,7 @@
 
 import { EmailValidationService } from '../../src/services/email-validator';
 import { loadConfig } from '../../src/config/config';
+import { sendError, methodNotAllowed } from '../../src/middleware/errors';
 import crypto from 'crypto';
 import axios from 'axios';
 
@@ -16,13 +17,13 @@ let emailValidator = null;
 export default async function handler(req, res) {
   // Only allow POST method
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return methodNotAllowed(res, ['POST']);
   }
   
   try {
     // Verify HubSpot signature
     if (!verifyHubspotSignature(req, config)) {
-      return res.status(401).json({ error: 'Invalid signature' });
+      return sendError(res, 401, 'invalid_signature', 'Invalid HubSpot signature');
     }
     
     // Respond immediately to prevent timeouts
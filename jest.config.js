@@ -0,0 +1,9 @@
+// src/ and api/ are ES modules, compiled to CommonJS for Jest
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/test/**/*.test.js'],
+  setupFiles: ['<rootDir>/test/setup.js'],
+  transform: {
+    '^.+\\.js$': ['@swc/jest', { module: { type: 'commonjs' } }]
+  }
+};
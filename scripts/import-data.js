@@ -5,6 +5,10 @@
  * Examples:
  *   node scripts/import-data.js hubspot-domains ./hubspot-export.csv
  *   node scripts/import-data.js validated-emails ./zerobounce-results.csv
+ *   node scripts/import-data.js disposable-domains ./disposable-list.csv
+ *   node scripts/import-data.js manual-corrections ./approved-corrections.csv
+ *   node scripts/import-data.js suppressions ./unsubscribed.csv
+ *   node scripts/import-data.js email-providers ./free-email-providers.csv
  */
 
 const fs = require('fs');
@@ -18,6 +22,9 @@ const knownEmailsDir = path.join(dataDir, 'known-emails');
 
 // File paths
 const validDomainsFile = path.join(dataDir, 'valid-domains.csv');
+const disposableDomainsFile = path.join(dataDir, 'disposable-domains.csv');
+const suppressionsFile = path.join(dataDir, 'suppressions.csv');
+const emailProvidersFile = path.join(dataDir, 'email-providers.csv');
 const validatedEmailsFile = path.join(knownEmailsDir, 'validated.csv');
 const correctionsFile = path.join(knownEmailsDir, 'corrections.csv');
 
@@ -25,7 +32,11 @@ const correctionsFile = path.join(knownEmailsDir, 'corrections.csv');
 const IMPORT_SOURCES = {
   'hubspot-domains': importHubspotDomains,
   'validated-emails': importValidatedEmails,
-  'company-domains': importCompanyDomains
+  'company-domains': importCompanyDomains,
+  'disposable-domains': importDisposableDomains,
+  'manual-corrections': importManualCorrections,
+  'suppressions': importSuppressions,
+  'email-providers': importEmailProviders
 };
 
 /**
@@ -84,6 +95,26 @@ function readCsvFile(filepath) {
   }
 }
 
+/**
+ * Read a domain list, either a CSV with a header row or one domain per line
+ * Headerless lists are detected by their first line looking like a domain, so a file
+ * holding a single domain keeps it
+ * @param {string} filepath - Path to CSV file
+ * @returns {Array} - Rows, with the first column as domain for headerless lists
+ */
+function readDomainListFile(filepath) {
+  const fileContent = fs.readFileSync(filepath, 'utf8');
+  const firstLine = fileContent.split(/\r?\n/).find(line => line.trim()) || '';
+  const firstCell = firstLine.split(',')[0].trim().toLowerCase();
+  
+  if (!firstCell || firstCell === 'domain' || !firstCell.includes('.')) {
+    return readCsvFile(filepath);
+  }
+  
+  const results = Papa.parse(fileContent, { header: false, skipEmptyLines: true });
+  return results.data.map(([domain, type]) => (type ? { domain, type } : { domain }));
+}
+
 /**
  * Append to CSV file
  * @param {string} filepath - Target CSV file
@@ -240,6 +271,43 @@ function importValidatedEmails(filepath) {
   console.log(`Added ${added} new validated emails to ${validatedEmailsFile}`);
 }
 
+/**
+ * Import corrections made or approved by a person
+ * They are recorded with correction type "manual", which typo learning treats as approved evidence
+ * @param {string} filepath - Path to CSV file with original_email and corrected_email columns
+ */
+function importManualCorrections(filepath) {
+  console.log(`Importing manual corrections from: ${filepath}`);
+  
+  const data = readCsvFile(filepath);
+  console.log(`Found ${data.length} records in file`);
+  
+  const corrections = [];
+  const now = new Date().toISOString();
+  
+  data.forEach(row => {
+    const originalEmail = row.original_email || row.original;
+    const correctedEmail = row.corrected_email || row.corrected;
+    
+    if (!originalEmail || !correctedEmail) return;
+    if (correctedEmail.trim().split('@').length !== 2) return;
+    
+    corrections.push({
+      original_email: originalEmail.trim(),
+      corrected_email: correctedEmail.trim().toLowerCase(),
+      correction_date: row.correction_date || now,
+      correction_type: 'manual',
+      correction_details: ''
+    });
+  });
+  
+  console.log(`Prepared ${corrections.length} manual corrections for import`);
+  
+  // Every correction counts as evidence, so don't deduplicate
+  const added = appendToCsv(correctionsFile, corrections, false);
+  console.log(`Added ${added} manual corrections to ${correctionsFile}`);
+}
+
 /**
  * Import company domains from a domain list
  * @param {string} filepath - Path to CSV file
@@ -289,6 +357,169 @@ function importCompanyDomains(filepath) {
   console.log(`Added ${added} new domains to ${validDomainsFile}`);
 }
 
+/**
+ * Import disposable email domains from a maintained list
+ * Entries may be plain domains or wildcards such as "mailinator.*"
+ * @param {string} filepath - Path to CSV file
+ */
+function importDisposableDomains(filepath) {
+  console.log(`Importing disposable domains from: ${filepath}`);
+  
+  const data = readDomainListFile(filepath);
+  
+  console.log(`Found ${data.length} records in file`);
+  
+  // Prepare domains data
+  const domains = [];
+  const seen = new Set();
+  const today = new Date().toISOString().split('T')[0];
+  
+  data.forEach(row => {
+    const domain = row.domain || Object.values(row)[0];
+    
+    if (!domain) return;
+    
+    // Accept "@domain" style entries from some published lists
+    const cleanDomain = domain.trim().toLowerCase().replace(/^@/, '');
+    
+    if (cleanDomain && !cleanDomain.includes(' ') && !seen.has(cleanDomain)) {
+      seen.add(cleanDomain);
+      domains.push({
+        domain: cleanDomain,
+        source: 'disposable-import',
+        date_added: today,
+        notes: row.notes || 'Imported disposable domain'
+      });
+    }
+  });
+  
+  console.log(`Prepared ${domains.length} disposable domains for import`);
+  
+  // Append to disposable domains CSV
+  const added = appendToCsv(disposableDomainsFile, domains, true, 'domain');
+  console.log(`Added ${added} new disposable domains to ${disposableDomainsFile}`);
+}
+
+/**
+ * Import email provider domains (free-mail, ISP...) used to classify emails
+ * Rows may have a type column (free, isp, education, government or business); lists
+ * without one, including one domain per line, are imported as free-mail providers
+ * @param {string} filepath - Path to CSV file
+ */
+function importEmailProviders(filepath) {
+  console.log(`Importing email providers from: ${filepath}`);
+  
+  const data = readDomainListFile(filepath);
+  
+  console.log(`Found ${data.length} records in file`);
+  
+  const emailTypes = ['business', 'free', 'isp', 'education', 'government'];
+  const providers = [];
+  const seen = new Set();
+  const today = new Date().toISOString().split('T')[0];
+  
+  data.forEach(row => {
+    const domain = row.domain || Object.values(row)[0];
+    const type = (row.type || 'free').trim().toLowerCase();
+    
+    if (!domain) return;
+    
+    if (!emailTypes.includes(type)) {
+      console.warn(`Skipping ${domain}: unknown type '${type}'`);
+      return;
+    }
+    
+    const cleanDomain = domain.trim().toLowerCase().replace(/^@/, '');
+    
+    if (cleanDomain && !cleanDomain.includes(' ') && !seen.has(cleanDomain)) {
+      seen.add(cleanDomain);
+      providers.push({
+        domain: cleanDomain,
+        type,
+        source: 'provider-import',
+        date_added: today,
+        notes: row.notes || 'Imported email provider'
+      });
+    }
+  });
+  
+  console.log(`Prepared ${providers.length} email providers for import`);
+  
+  // Append to email providers CSV
+  const added = appendToCsv(emailProvidersFile, providers, true, 'domain');
+  console.log(`Added ${added} new email providers to ${emailProvidersFile}`);
+}
+
+/**
+ * Import suppression entries (emails, domains and patterns that are always rejected)
+ * Rows need a type (email, domain or pattern) and a value; exports with only an email or
+ * domain column, such as unsubscribe lists, are imported as that type
+ * @param {string} filepath - Path to CSV file
+ */
+function importSuppressions(filepath) {
+  console.log(`Importing suppressions from: ${filepath}`);
+  
+  const data = readCsvFile(filepath);
+  console.log(`Found ${data.length} records in file`);
+  
+  const suppressions = [];
+  const seen = new Set();
+  const today = new Date().toISOString().split('T')[0];
+  
+  data.forEach(row => {
+    let type = (row.type || '').trim().toLowerCase();
+    let value = row.value || '';
+    
+    if (!type) {
+      if (row.email) {
+        type = 'email';
+        value = row.email;
+      } else if (row.domain) {
+        type = 'domain';
+        value = row.domain;
+      }
+    }
+    
+    if (!['email', 'domain', 'pattern'].includes(type)) return;
+    
+    // Patterns are regular expressions, so their case is kept
+    let cleanValue = type === 'pattern' ? value.trim() : value.trim().toLowerCase();
+    if (type === 'domain') {
+      cleanValue = cleanValue.replace(/^@/, '');
+    }
+    
+    if (!cleanValue || (type === 'email' && cleanValue.split('@').length !== 2)) return;
+    
+    if (type === 'pattern') {
+      try {
+        new RegExp(cleanValue);
+      } catch (error) {
+        console.warn(`Skipping invalid pattern '${cleanValue}': ${error.message}`);
+        return;
+      }
+    }
+    
+    const key = `${type}:${cleanValue}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    
+    suppressions.push({
+      type,
+      value: cleanValue,
+      reason: (row.reason || 'imported').trim(),
+      source: 'suppression-import',
+      date_added: today,
+      notes: row.notes || ''
+    });
+  });
+  
+  console.log(`Prepared ${suppressions.length} suppression entries for import`);
+  
+  // Append to suppressions CSV (values are unique across types in practice)
+  const added = appendToCsv(suppressionsFile, suppressions, true, 'value');
+  console.log(`Added ${added} new suppression entries to ${suppressionsFile}`);
+}
+
 /**
  * Main function to run the import
  */
@@ -11,11 +11,21 @@ const baseDir = process.cwd();
 const dataDir = path.join(baseDir, 'data');
 const knownEmailsDir = path.join(dataDir, 'known-emails');
 const logsDir = path.join(dataDir, 'logs');
+const jobsDir = path.join(dataDir, 'jobs');
 
 // File paths
 const validDomainsFile = path.join(dataDir, 'valid-domains.csv');
+const disposableDomainsFile = path.join(dataDir, 'disposable-domains.csv');
+const emailProvidersFile = path.join(dataDir, 'email-providers.csv');
+const typoMappingsFile = path.join(dataDir, 'typo-mappings.csv');
+const suppressionsFile = path.join(dataDir, 'suppressions.csv');
+const apiKeysFile = path.join(dataDir, 'api-keys.csv');
+const apiUsageFile = path.join(dataDir, 'api-usage.csv');
 const validatedEmailsFile = path.join(knownEmailsDir, 'validated.csv');
 const correctionsFile = path.join(knownEmailsDir, 'corrections.csv');
+const verdictsFile = path.join(knownEmailsDir, 'verdicts.csv');
+const contactsFile = path.join(knownEmailsDir, 'contacts.csv');
+const domainsFile = path.join(knownEmailsDir, 'domains.csv');
 
 // Create directories
 function createDirectories() {
@@ -35,6 +45,11 @@ function createDirectories() {
     fs.mkdirSync(logsDir, { recursive: true });
     console.log(`Created directory: ${logsDir}`);
   }
+  
+  if (!fs.existsSync(jobsDir)) {
+    fs.mkdirSync(jobsDir, { recursive: true });
+    console.log(`Created directory: ${jobsDir}`);
+  }
 }
 
 // Create CSV files with headers
@@ -45,18 +60,62 @@ function createCsvFiles() {
   if (!fs.existsSync(validDomainsFile)) {
     const domainsHeader = 'domain,source,date_added,notes\n';
     const initialDomains = [
-      'gmail.com,initial,2025-04-17,Common email provider',
-      'outlook.com,initial,2025-04-17,Microsoft email',
-      'yahoo.com,initial,2025-04-17,Yahoo email',
-      'hotmail.com,initial,2025-04-17,Microsoft legacy email',
-      'aol.com,initial,2025-04-17,AOL email',
-      'icloud.com,initial,2025-04-17,Apple email'
+      'example.com.au,initial,2025-04-17,Example Australian domain'
     ].join('\n');
     
     fs.writeFileSync(validDomainsFile, domainsHeader + initialDomains + '\n');
     console.log(`Created file: ${validDomainsFile}`);
   }
   
+  // disposable-domains.csv
+  if (!fs.existsSync(disposableDomainsFile)) {
+    const disposableHeader = 'domain,source,date_added,notes\n';
+    const initialDisposable = [
+      'mailinator.com,initial,2025-04-17,Disposable email provider',
+      'guerrillamail.com,initial,2025-04-17,Disposable email provider',
+      '10minutemail.com,initial,2025-04-17,Disposable email provider',
+      'yopmail.com,initial,2025-04-17,Disposable email provider',
+      'temp-mail.org,initial,2025-04-17,Disposable email provider'
+    ].join('\n');
+    
+    fs.writeFileSync(disposableDomainsFile, disposableHeader + initialDisposable + '\n');
+    console.log(`Created file: ${disposableDomainsFile}`);
+  }
+  
+  // email-providers.csv (free-mail and ISP domains, kept apart from company domains)
+  if (!fs.existsSync(emailProvidersFile)) {
+    const providersHeader = 'domain,type,source,date_added,notes\n';
+    const initialProviders = [
+      'gmail.com,free,initial,2025-04-17,Free email provider',
+      'outlook.com,free,initial,2025-04-17,Free email provider',
+      'hotmail.com,free,initial,2025-04-17,Free email provider',
+      'yahoo.com,free,initial,2025-04-17,Free email provider',
+      'icloud.com,free,initial,2025-04-17,Free email provider',
+      'aol.com,free,initial,2025-04-17,Free email provider',
+      'bigpond.com,isp,initial,2025-04-17,Internet service provider email',
+      'optusnet.com.au,isp,initial,2025-04-17,Internet service provider email',
+      'iinet.net.au,isp,initial,2025-04-17,Internet service provider email',
+      'tpg.com.au,isp,initial,2025-04-17,Internet service provider email'
+    ].join('\n');
+    
+    fs.writeFileSync(emailProvidersFile, providersHeader + initialProviders + '\n');
+    console.log(`Created file: ${emailProvidersFile}`);
+  }
+  
+  // typo-mappings.csv
+  if (!fs.existsSync(typoMappingsFile)) {
+    const typoMappingsHeader = 'typo_domain,corrected_domain,status,count,manual_count,source,first_seen,last_seen,updated_date,updated_by\n';
+    fs.writeFileSync(typoMappingsFile, typoMappingsHeader);
+    console.log(`Created file: ${typoMappingsFile}`);
+  }
+  
+  // suppressions.csv
+  if (!fs.existsSync(suppressionsFile)) {
+    const suppressionsHeader = 'type,value,reason,source,date_added,notes\n';
+    fs.writeFileSync(suppressionsFile, suppressionsHeader);
+    console.log(`Created file: ${suppressionsFile}`);
+  }
+  
   // validated.csv
   if (!fs.existsSync(validatedEmailsFile)) {
     const validatedHeader = 'email,validation_date,validation_source,domain\n';
@@ -66,10 +125,45 @@ function createCsvFiles() {
   
   // corrections.csv
   if (!fs.existsSync(correctionsFile)) {
-    const correctionsHeader = 'original_email,corrected_email,correction_date,correction_type\n';
+    const correctionsHeader = 'original_email,corrected_email,correction_date,correction_type,correction_details\n';
     fs.writeFileSync(correctionsFile, correctionsHeader);
     console.log(`Created file: ${correctionsFile}`);
   }
+  
+  // verdicts.csv
+  if (!fs.existsSync(verdictsFile)) {
+    const verdictsHeader = 'email,status,sub_status,source,checked_date\n';
+    fs.writeFileSync(verdictsFile, verdictsHeader);
+    console.log(`Created file: ${verdictsFile}`);
+  }
+  
+  // contacts.csv
+  if (!fs.existsSync(contactsFile)) {
+    const contactsHeader = 'email,hubspot_contact_id,linked_date\n';
+    fs.writeFileSync(contactsFile, contactsHeader);
+    console.log(`Created file: ${contactsFile}`);
+  }
+  
+  // domains.csv
+  if (!fs.existsSync(domainsFile)) {
+    const domainsHeader = 'domain,catch_all,catch_all_override,mx_provider,valid_count,invalid_count,unknown_count,catch_all_count,last_checked,updated_by,notes\n';
+    fs.writeFileSync(domainsFile, domainsHeader);
+    console.log(`Created file: ${domainsFile}`);
+  }
+  
+  // api-keys.csv
+  if (!fs.existsSync(apiKeysFile)) {
+    const apiKeysHeader = 'key_id,key_hash,key_prefix,name,scopes,rate_limit,monthly_quota,created_at,revoked_at,notes\n';
+    fs.writeFileSync(apiKeysFile, apiKeysHeader);
+    console.log(`Created file: ${apiKeysFile}`);
+  }
+  
+  // api-usage.csv
+  if (!fs.existsSync(apiUsageFile)) {
+    const apiUsageHeader = 'key_id,month,requests,validations,updated_at\n';
+    fs.writeFileSync(apiUsageFile, apiUsageHeader);
+    console.log(`Created file: ${apiUsageFile}`);
+  }
 }
 
 // Create initial log file
@@ -3,6 +3,10 @@
  */
 
 import path from 'path';
+import { DEFAULT_ROLE_ACCOUNTS } from '../utils/role-utils';
+import { DEFAULT_SCORE_WEIGHTS } from '../utils/score-utils';
+import { DEFAULT_STEP_ORDER } from '../services/validation-steps';
+import { DEFAULT_NORMALIZATION_RULES } from '../utils/normalization-utils';
 
 /**
  * Default configuration values
@@ -16,17 +20,165 @@ const defaultConfig = {
   
   // Email validation options
   validation: {
-    useZeroBounce: process.env.USE_ZERO_BOUNCE === 'true',
-    zeroBounceApiKey: process.env.ZERO_BOUNCE_API_KEY || '',
-    removeGmailAliases: true,
-    checkAustralianTlds: true
+    // USE_ZERO_BOUNCE is still honoured from before other providers were supported
+    useProviderCheck: process.env.USE_PROVIDER_CHECK === 'true' || process.env.USE_ZERO_BOUNCE === 'true',
+    parseInput: process.env.PARSE_INPUT !== 'false', // Extract addresses from display names, mailto: links and obfuscated text
+    countryTlds: (process.env.COUNTRY_TLDS || 'au').split(',').map(pack => pack.trim()), // TLD correction packs: au, nz, uk, sg, za
+    typoConfidenceThreshold: 0.88, // Minimum confidence (0-1) for edit-distance domain corrections
+    typoMaxDistance: 2, // Largest keyboard-aware edit distance considered a typo
+    suggestionThreshold: 0.75, // Minimum confidence for "did you mean" suggestions in suggest mode
+    maxSuggestions: 3, // Most domain suggestions per email in suggest mode
+    useDnsCheck: process.env.USE_DNS_CHECK !== 'false', // Look up MX records by default
+    useSmtpCheck: process.env.USE_SMTP_CHECK === 'true', // Probe mailboxes over SMTP before verification providers
+    disposablePolicy: process.env.DISPOSABLE_POLICY || 'flag', // reject, flag or allow disposable domains
+    roleAccounts: process.env.ROLE_ACCOUNTS ? process.env.ROLE_ACCOUNTS.split(',') : DEFAULT_ROLE_ACCOUNTS,
+    knownValidMaxAgeDays: parseInt(process.env.KNOWN_VALID_MAX_AGE_DAYS || '180', 10) // 0 keeps known valid emails forever
+  },
+  
+  // Always-rejected emails, domains and patterns (data/suppressions.csv)
+  suppression: {
+    enabled: process.env.SUPPRESSION_LIST !== 'false'
+  },
+  
+  // Learning typo mappings from corrections.csv
+  typoLearning: {
+    minCount: parseInt(process.env.TYPO_LEARNING_MIN_COUNT || '3', 10) // Times a mistake must be seen to be proposed
+  },
+  
+  // Canonical email (mailbox identity) rules, see src/utils/normalization-utils.js
+  normalization: {
+    enabled: process.env.CANONICAL_EMAILS !== 'false',
+    rules: DEFAULT_NORMALIZATION_RULES,
+    // Company domains whose mail servers support plus-addressing, checked before the provider rules
+    companyRules: process.env.PLUS_ADDRESSING_DOMAINS
+      ? [{
+        provider: 'company',
+        domains: process.env.PLUS_ADDRESSING_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()),
+        tagSeparators: ['+']
+      }]
+      : []
+  },
+  
+  // Validation pipeline step order
+  pipeline: {
+    steps: process.env.VALIDATION_STEPS ? process.env.VALIDATION_STEPS.split(',') : DEFAULT_STEP_ORDER,
+    environments: {}, // Step order per environment, e.g. { test: ['format_check', 'typo_correction'] }
+    customSteps: {} // Extra steps by name: { name: { run: async context => {}, enabled: config => true } }
+  },
+  
+  // DNS lookups for the dns_check step
+  dns: {
+    resolver: null, // Custom resolver with resolveMx/resolve4/resolve6 (e.g. an in-memory fake)
+    servers: process.env.DNS_SERVERS ? process.env.DNS_SERVERS.split(',') : [], // e.g. 127.0.0.1:5353
+    timeout: parseInt(process.env.DNS_TIMEOUT || '5000', 10),
+    cacheTtl: 60 * 60 * 1000, // Cache found records for 1 hour
+    negativeCacheTtl: 5 * 60 * 1000 // Cache missing domains for 5 minutes
+  },
+  
+  // External verification providers for the provider_check step
+  verification: {
+    providers: (process.env.VERIFICATION_PROVIDERS || 'zerobounce').split(','), // Primary first, then fallbacks
+    secondOpinionOnCatchAll: process.env.SECOND_OPINION_ON_CATCH_ALL === 'true',
+    timeout: 10000,
+    zerobounce: {
+      apiKey: process.env.ZERO_BOUNCE_API_KEY || '',
+      baseUrl: process.env.ZERO_BOUNCE_BASE_URL || 'https://api.zerobounce.net'
+    },
+    neverbounce: {
+      apiKey: process.env.NEVERBOUNCE_API_KEY || '',
+      baseUrl: process.env.NEVERBOUNCE_BASE_URL || 'https://api.neverbounce.com'
+    },
+    kickbox: {
+      apiKey: process.env.KICKBOX_API_KEY || '',
+      baseUrl: process.env.KICKBOX_BASE_URL || 'https://api.kickbox.com'
+    }
+  },
+  
+  // Cache of invalid, catch-all and unknown verdicts (valid emails go to validated.csv)
+  verdictCache: {
+    enabled: process.env.VERDICT_CACHE !== 'false',
+    ttlDays: {
+      invalid: 90,
+      unknown: 3,
+      catch_all: 30 // Sub-status TTLs take precedence over status TTLs
+    }
+  },
+  
+  // Domain-level knowledge: catch-all status, MX provider and verdict stats (known-emails/domains.csv)
+  domainKnowledge: {
+    enabled: process.env.DOMAIN_KNOWLEDGE !== 'false',
+    catchAllPolicy: process.env.CATCH_ALL_POLICY || 'skip', // skip checks on known catch-all domains, or only label them
+    catchAllTtlDays: parseInt(process.env.CATCH_ALL_TTL_DAYS || '30', 10) // 0 trusts a detected status forever
+  },
+  
+  // Scheduled re-verification of stale known valid emails and recheckNeeded verdicts
+  recheck: {
+    batchSize: parseInt(process.env.RECHECK_BATCH_SIZE || '20', 10),
+    batchDelay: parseInt(process.env.RECHECK_BATCH_DELAY || '5000', 10), // Pause between batches (ms)
+    maxPerRun: parseInt(process.env.RECHECK_MAX_PER_RUN || '200', 10),
+    timeBudget: parseInt(process.env.RECHECK_TIME_BUDGET || '50000', 10), // Time one run may spend, pauses included (ms)
+    minIntervalDays: parseInt(process.env.RECHECK_MIN_INTERVAL_DAYS || '7', 10), // Days before an email is rechecked again
+    updateHubSpot: process.env.RECHECK_UPDATE_HUBSPOT !== 'false',
+    secret: process.env.CRON_SECRET || '' // Accepted as a Bearer token on /api/admin/recheck instead of an admin key
+  },
+  
+  // API keys for the validate and admin routes (api-keys.csv, usage in api-usage.csv)
+  auth: {
+    enabled: process.env.API_AUTH === 'true', // Off unless set, so existing clients keep working until they have keys
+    adminKey: process.env.ADMIN_API_KEY || '', // Admin key without limits, e.g. to create the first keys
+    defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT || '60', 10), // Requests per minute for new keys
+    defaultMonthlyQuota: parseInt(process.env.API_KEY_MONTHLY_QUOTA || '10000', 10) // Validations per month for new keys
+  },
+  
+  // Browser origins allowed to call the API ("*" for any); none by default
+  cors: {
+    allowedOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+  },
+  
+  // Background jobs for lists too large for /api/validate/batch
+  jobs: {
+    maxEmails: parseInt(process.env.JOB_MAX_EMAILS || '10000', 10),
+    timeBudget: parseInt(process.env.JOB_TIME_BUDGET || '50000', 10), // Time one run may spend before handing over (ms)
+    chunkSize: parseInt(process.env.JOB_CHUNK_SIZE || '25', 10), // Emails validated between progress saves
+    fileHosts: process.env.JOB_FILE_HOSTS ? process.env.JOB_FILE_HOSTS.split(',').map(host => host.trim()) : [], // Hosts fileUrl may point to; any public host when empty
+    maxFileBytes: parseInt(process.env.JOB_MAX_FILE_BYTES || '10485760', 10), // Largest file downloaded from a fileUrl
+    runInProcess: process.env.JOBS_RUN_IN_PROCESS !== 'false', // Start processing as soon as a job is created or polled
+    secret: process.env.CRON_SECRET || '' // Accepted as a Bearer token on /api/admin/run-jobs instead of an admin key
+  },
+  
+  // CSV uploads cleaned by /api/validate/csv
+  upload: {
+    maxRows: parseInt(process.env.UPLOAD_MAX_ROWS || '1000', 10) // Larger files go through background jobs
+  },
+  
+  // SMTP mailbox probing for the smtp_check step
+  smtp: {
+    mailFrom: process.env.SMTP_MAIL_FROM || null, // Required: a real mailbox on a domain you control, e.g. verify@example.com
+    heloHost: process.env.SMTP_HELO_HOST || null, // Defaults to the mailFrom domain
+    port: parseInt(process.env.SMTP_PORT || '25', 10),
+    hostOverride: process.env.SMTP_HOST_OVERRIDE || null, // Connect here instead of the MX (e.g. a local fake server)
+    timeout: 10000,
+    maxConnectionsPerHost: 2,
+    greylistRetries: 1,
+    greylistDelay: 10000,
+    detectCatchAll: process.env.SMTP_DETECT_CATCH_ALL !== 'false' // Probe a random address before trusting an accepted one
+  },
+  
+  // Deliverability score (0-100) added to every validation result
+  scoring: {
+    weights: DEFAULT_SCORE_WEIGHTS, // Points added to the base score for each signal
+    minScore: process.env.MIN_SCORE ? parseInt(process.env.MIN_SCORE, 10) : null // Default batch filter
   },
   
   // HubSpot integration
   hubspot: {
     apiKey: process.env.HUBSPOT_API_KEY || '',
     clientSecret: process.env.HUBSPOT_CLIENT_SECRET || '',
-    skipSignatureVerification: process.env.SKIP_SIGNATURE_VERIFICATION === 'true'
+    skipSignatureVerification: process.env.SKIP_SIGNATURE_VERIFICATION === 'true',
+    roleAccountProperty: process.env.HUBSPOT_ROLE_ACCOUNT_PROPERTY || '', // Custom property to write, e.g. email_is_role_account (see README)
+    scoreProperty: process.env.HUBSPOT_SCORE_PROPERTY || '', // Custom property to write, e.g. email_score (see README)
+    emailTypeProperty: process.env.HUBSPOT_EMAIL_TYPE_PROPERTY || '', // Custom property to write, e.g. email_type (see README)
+    correctionsProperty: process.env.HUBSPOT_CORRECTIONS_PROPERTY || '' // Custom property to write, e.g. email_corrections (see README)
   },
   
   // Logging configuration
@@ -49,9 +201,17 @@ function addDerivedConfig(config) {
     paths: {
       dataDir: config.dataDir,
       validDomainsFile: path.join(config.dataDir, 'valid-domains.csv'),
+      disposableDomainsFile: path.join(config.dataDir, 'disposable-domains.csv'),
+      emailProvidersFile: path.join(config.dataDir, 'email-providers.csv'),
+      typoMappingsFile: path.join(config.dataDir, 'typo-mappings.csv'),
+      suppressionsFile: path.join(config.dataDir, 'suppressions.csv'),
       knownEmailsDir: path.join(config.dataDir, 'known-emails'),
       validatedEmailsFile: path.join(config.dataDir, 'known-emails', 'validated.csv'),
       correctionsFile: path.join(config.dataDir, 'known-emails', 'corrections.csv'),
+      verdictsFile: path.join(config.dataDir, 'known-emails', 'verdicts.csv'),
+      contactsFile: path.join(config.dataDir, 'known-emails', 'contacts.csv'),
+      domainsFile: path.join(config.dataDir, 'known-emails', 'domains.csv'),
+      jobsDir: path.join(config.dataDir, 'jobs'),
       logsDir: path.join(config.dataDir, 'logs')
     }
   };
@@ -72,6 +232,74 @@ export function loadConfig(overrides = {}) {
       ...defaultConfig.validation,
       ...(overrides.validation || {})
     },
+    suppression: {
+      ...defaultConfig.suppression,
+      ...(overrides.suppression || {})
+    },
+    typoLearning: {
+      ...defaultConfig.typoLearning,
+      ...(overrides.typoLearning || {})
+    },
+    normalization: {
+      ...defaultConfig.normalization,
+      ...(overrides.normalization || {})
+    },
+    pipeline: {
+      ...defaultConfig.pipeline,
+      ...(overrides.pipeline || {})
+    },
+    dns: {
+      ...defaultConfig.dns,
+      ...(overrides.dns || {})
+    },
+    verification: {
+      ...defaultConfig.verification,
+      ...(overrides.verification || {})
+    },
+    verdictCache: {
+      ...defaultConfig.verdictCache,
+      ...(overrides.verdictCache || {}),
+      ttlDays: {
+        ...defaultConfig.verdictCache.ttlDays,
+        ...(overrides.verdictCache?.ttlDays || {})
+      }
+    },
+    domainKnowledge: {
+      ...defaultConfig.domainKnowledge,
+      ...(overrides.domainKnowledge || {})
+    },
+    recheck: {
+      ...defaultConfig.recheck,
+      ...(overrides.recheck || {})
+    },
+    auth: {
+      ...defaultConfig.auth,
+      ...(overrides.auth || {})
+    },
+    cors: {
+      ...defaultConfig.cors,
+      ...(overrides.cors || {})
+    },
+    jobs: {
+      ...defaultConfig.jobs,
+      ...(overrides.jobs || {})
+    },
+    upload: {
+      ...defaultConfig.upload,
+      ...(overrides.upload || {})
+    },
+    smtp: {
+      ...defaultConfig.smtp,
+      ...(overrides.smtp || {})
+    },
+    scoring: {
+      ...defaultConfig.scoring,
+      ...(overrides.scoring || {}),
+      weights: {
+        ...defaultConfig.scoring.weights,
+        ...(overrides.scoring?.weights || {})
+      }
+    },
     hubspot: {
       ...defaultConfig.hubspot,
       ...(overrides.hubspot || {})
@@ -0,0 +1,165 @@
+/**
+ * API key authentication
+ * Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>". The key found is kept on
+ * req.apiKey, and each request counts against the key's rate limit
+ */
+
+import crypto from 'crypto';
+import CSVManager from '../utils/csv-manager';
+import { ApiKeyService, hashApiKey } from '../services/api-key-service';
+import { sendError } from './errors';
+
+// Shared by every route of the function instance
+let apiKeyService = null;
+
+/**
+ * Get the API key service
+ * @param {Object} config - Configuration
+ * @returns {ApiKeyService}
+ */
+export function getApiKeyService(config) {
+  if (!apiKeyService) {
+    apiKeyService = new ApiKeyService(new CSVManager({ dataDir: config.dataDir }), config.auth);
+  }
+  
+  return apiKeyService;
+}
+
+/**
+ * Read the API key sent with a request
+ * @param {Object} req - Request
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const headers = req.headers || {};
+  if (headers['x-api-key']) return String(headers['x-api-key']).trim();
+  
+  const match = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Compare a sent key with a shared secret in constant time
+ * Both are hashed first, so the buffers compared always have the same length
+ * @param {string|null} key - Key sent with the request
+ * @param {string} secret - Expected secret
+ * @returns {boolean}
+ */
+function matchesSecret(key, secret) {
+  if (!key || !secret) return false;
+  
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(key)), Buffer.from(hashApiKey(secret)));
+}
+
+/**
+ * Require an API key with a scope
+ * Scheduled routes also accept the cron secret, which skips rate limits. With auth disabled
+ * (API_AUTH not set to true) only the cron secret is checked
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} config - Configuration
+ * @param {string|null} scope - Scope needed ('validate' or 'admin'), or null for any key
+ * @param {Object} options - {cronSecret}
+ * @returns {boolean} - Whether the request may continue; otherwise the response was sent
+ */
+export function requireApiKey(req, res, config, scope, options = {}) {
+  req.apiKey = null;
+  
+  const key = readApiKey(req);
+  
+  if (matchesSecret(key, options.cronSecret)) {
+    return true;
+  }
+  
+  if (!config.auth?.enabled) {
+    if (options.cronSecret) {
+      sendError(res, 401, 'unauthorized', 'Cron secret required');
+      return false;
+    }
+    return true;
+  }
+  
+  if (!key) {
+    sendError(res, 401, 'api_key_required', 'API key required, send it as X-API-Key or Authorization: Bearer');
+    return false;
+  }
+  
+  const service = getApiKeyService(config);
+  const entry = service.verify(key);
+  
+  if (!entry) {
+    sendError(res, 401, 'invalid_api_key', 'API key is not valid or has been revoked');
+    return false;
+  }
+  
+  if (scope && !service.hasScope(entry, scope)) {
+    sendError(res, 403, 'forbidden', `API key does not have the ${scope} scope`);
+    return false;
+  }
+  
+  const rate = service.checkRateLimit(entry);
+  
+  if (rate.limit) {
+    res.setHeader('X-RateLimit-Limit', String(rate.limit));
+    res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  }
+  
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfter));
+    sendError(res, 429, 'rate_limited', `Limit is ${rate.limit} requests per minute, retry in ${rate.retryAfter} seconds`, {
+      limit: rate.limit,
+      retryAfter: rate.retryAfter
+    });
+    return false;
+  }
+  
+  service.recordUsage(entry, { requests: 1 });
+  req.apiKey = entry;
+  
+  return true;
+}
+
+/**
+ * Use validations from the monthly quota of the request's API key
+ * Requests without a key (auth disabled or cron secret) aren't counted
+ * @param {Object} req - Request, after requireApiKey
+ * @param {Object} res - Response
+ * @param {Object} config - Configuration
+ * @param {number} count - Validations the request will run
+ * @returns {boolean} - Whether the request may continue; otherwise the response was sent
+ */
+export function consumeQuota(req, res, config, count) {
+  if (!req.apiKey) return true;
+  
+  const quota = getApiKeyService(config).consumeQuota(req.apiKey, count);
+  
+  if (quota.quota) {
+    res.setHeader('X-Quota-Limit', String(quota.quota));
+    res.setHeader('X-Quota-Remaining', String(quota.remaining));
+  }
+  
+  if (!quota.allowed) {
+    res.setHeader('Retry-After', String(quota.retryAfter));
+    sendError(res, 429, 'quota_exceeded', `${quota.used} of ${quota.quota} validations used this month, ${count} requested`, {
+      quota: quota.quota,
+      used: quota.used,
+      requested: count
+    });
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check if the request's API key may see something created with another key
+ * Admin keys see everything; without auth there is no owner to check
+ * @param {Object} req - Request, after requireApiKey
+ * @param {string|null} ownerKeyId - Key ID the resource was created with
+ * @returns {boolean}
+ */
+export function canAccess(req, ownerKeyId) {
+  if (!req.apiKey || !ownerKeyId) return true;
+  
+  return req.apiKey.keyId === ownerKeyId || req.apiKey.scopes.includes('admin');
+}
@@ -0,0 +1,29 @@
+/**
+ * Request bodies
+ * @vercel/node only parses JSON, form, text/plain and octet-stream bodies into req.body,
+ * so other text bodies (e.g. text/csv) are read from the request stream
+ */
+
+/**
+ * Read a body sent as text rather than JSON
+ * @param {Object} req - Request
+ * @returns {Promise<string|null>} - The body, or null when it was sent as JSON
+ */
+export async function readTextBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body != null) return null;
+
+  const contentType = String(req.headers?.['content-type'] || '').toLowerCase();
+  if (contentType.includes('application/json')) return null;
+
+  // Nothing to read when the stream was already consumed (or the request is not a stream)
+  if (typeof req.on !== 'function' || req.readableEnded) return null;
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
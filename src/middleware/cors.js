@@ -1,8 +1,24 @@
-export function enableCors(req, res) {
-  // Always set these headers for all responses
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+/**
+ * CORS headers for the API
+ * Only origins listed in CORS_ORIGINS get cross-origin access ("*" allows any origin)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} options - CORS configuration (config.cors)
+ * @param {string[]} options.allowedOrigins - Allowed browser origins
+ * @returns {boolean} - Whether the request was handled (preflight)
+ */
+export function enableCors(req, res, options = {}) {
+  const origin = req.headers?.origin;
+  const allowedOrigins = options.allowedOrigins || [];
+  
+  if (origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigins.includes('*') ? '*' : origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Accept');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining');
   
   // For preflight requests
   if (req.method === 'OPTIONS') {
@@ -11,4 +27,4 @@ export function enableCors(req, res) {
   }
   
   return false; // Continue with request handling
-}
\ No newline at end of file
+}
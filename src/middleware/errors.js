@@ -0,0 +1,70 @@
+/**
+ * Error responses
+ * Every handler answers errors with the same envelope: {code, message, details}, where code is
+ * machine-readable (e.g. invalid_request) and details is null unless there is more to say
+ */
+
+import { validateRequest } from '../schemas/api-schemas';
+
+/**
+ * Build an error envelope
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {*} details - Field-level errors or extra information (null when there is none)
+ * @returns {Object} - {code, message, details}
+ */
+export function errorBody(code, message, details = null) {
+  return { code, message, details: details ?? null };
+}
+
+/**
+ * Send an error response
+ * @param {Object} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {*} details - Field-level errors or extra information
+ * @returns {Object} - Response
+ */
+export function sendError(res, status, code, message, details = null) {
+  return res.status(status).json(errorBody(code, message, details));
+}
+
+/**
+ * Send a 405 for a method the route doesn't support
+ * @param {Object} res - Response
+ * @param {string[]} allowed - Methods the route supports
+ * @returns {Object} - Response
+ */
+export function methodNotAllowed(res, allowed) {
+  res.setHeader('Allow', allowed.join(', '));
+  return sendError(res, 405, 'method_not_allowed', `Method not allowed, use ${allowed.join(' or ')}`);
+}
+
+/**
+ * Send a 400 for one invalid field, in the same shape as schema validation errors
+ * @param {Object} res - Response
+ * @param {string} field - Field path, e.g. 'mode'
+ * @param {string} message - What is wrong with it, e.g. 'must be one of: correct, suggest'
+ * @returns {Object} - Response
+ */
+export function invalidField(res, field, message) {
+  return sendError(res, 400, 'invalid_request', `${field} ${message}`, [{ field, message }]);
+}
+
+/**
+ * Validate a request body against a schema (see src/schemas/api-schemas.js)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} schemaName - Component schema name, e.g. 'ValidateEmailRequest'
+ * @returns {boolean} - Whether the body is valid; otherwise a 400 invalid_request was sent
+ *   with the field-level errors as details
+ */
+export function validateBody(req, res, schemaName) {
+  const errors = validateRequest(schemaName, req.body);
+  if (errors.length === 0) return true;
+
+  const [first] = errors;
+  sendError(res, 400, 'invalid_request', `${first.field} ${first.message}`, errors);
+  return false;
+}
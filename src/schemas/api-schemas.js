@@ -0,0 +1,391 @@
+/**
+ * API schemas
+ * JSON schemas (OpenAPI 3.0 flavour) for request bodies and responses. Handlers validate
+ * incoming bodies against them, the OpenAPI document (openapi.js) publishes them, and
+ * tests can check responses with validateResponse
+ */
+
+import { validateSchema } from '../utils/schema-validator';
+import { JOB_STATUSES } from '../services/job-service';
+import { API_KEY_SCOPES } from '../services/api-key-service';
+import { MAPPING_STATUSES } from '../services/typo-learning-service';
+import { EMAIL_TYPES } from '../utils/email-type-utils';
+import { HOMOGRAPH_RISKS } from '../utils/idn-utils';
+
+// Correct applies typo fixes to currentEmail, suggest only lists them
+export const VALIDATION_MODES = ['correct', 'suggest'];
+
+// Most values accepted by /api/validate/batch
+export const MAX_BATCH_SIZE = 100;
+
+export const VALIDATION_STATUSES = ['valid', 'invalid', 'unknown', 'check_failed'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const nullableString = { type: 'string', nullable: true };
+const nullableBoolean = { type: 'boolean', nullable: true };
+const nullableLimit = { type: 'integer', minimum: 1, nullable: true };
+
+const mode = { type: 'string', enum: VALIDATION_MODES, description: 'correct applies typo fixes to currentEmail, suggest only lists them' };
+const forceRecheck = { type: 'boolean', description: 'Ignore cached verdicts and check again' };
+const minScore = { type: 'number', minimum: 0, maximum: 100, description: 'Only return results scoring at least this much' };
+
+/**
+ * Component schemas, referenced as "#/components/schemas/<name>"
+ */
+export const schemas = {
+  Error: {
+    type: 'object',
+    required: ['code', 'message', 'details'],
+    properties: {
+      code: { type: 'string', description: 'Machine-readable error code, e.g. invalid_request or rate_limited' },
+      message: { type: 'string' },
+      details: {
+        nullable: true,
+        description: 'Field-level errors for invalid_request, otherwise extra information or null',
+        oneOf: [{ type: 'array', items: ref('FieldError') }, { type: 'object' }, { type: 'string' }]
+      }
+    }
+  },
+
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Path of the field, e.g. emails[3]' },
+      message: { type: 'string' }
+    }
+  },
+
+  ValidateEmailRequest: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', minLength: 1, description: 'Email, or a raw field value such as "Jane <jane@acme.com.au>"' },
+      forceRecheck,
+      mode
+    }
+  },
+
+  ValidateBatchRequest: {
+    type: 'object',
+    required: ['emails'],
+    properties: {
+      emails: { type: 'array', items: { type: 'string' }, maxItems: MAX_BATCH_SIZE },
+      minScore,
+      forceRecheck,
+      mode
+    }
+  },
+
+  Correction: {
+    type: 'object',
+    required: ['type', 'from', 'to'],
+    properties: {
+      type: { type: 'string', enum: ['whitespace', 'domain_typo', 'tld'], description: 'Rule applied: whitespace, domain_typo or tld (country TLD packs)' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      confidence: { type: 'number' },
+      method: { type: 'string' }
+    }
+  },
+
+  Suggestion: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string' },
+      reason: { type: 'string' },
+      confidence: { type: 'number' }
+    }
+  },
+
+  ValidationResult: {
+    type: 'object',
+    required: ['originalEmail', 'currentEmail', 'status'],
+    properties: {
+      originalEmail: { type: 'string' },
+      currentEmail: { type: 'string' },
+      canonicalEmail: nullableString,
+      displayName: nullableString,
+      stripped: {
+        type: 'array',
+        items: { type: 'object', properties: { type: { type: 'string' }, value: { type: 'string' } } }
+      },
+      otherEmails: { type: 'array', items: { type: 'string' } },
+      formatValid: { type: 'boolean' },
+      wasCorrected: { type: 'boolean' },
+      corrections: { type: 'array', items: ref('Correction') },
+      suggestions: { type: 'array', items: ref('Suggestion') },
+      asciiEmail: nullableString,
+      unicodeEmail: nullableString,
+      isInternational: { type: 'boolean' },
+      homographRisk: { ...nullableString, enum: HOMOGRAPH_RISKS },
+      isSuppressed: { type: 'boolean' },
+      suppression: { type: 'object', nullable: true },
+      isKnownValid: { type: 'boolean' },
+      isDisposable: { type: 'boolean' },
+      isRoleAccount: { type: 'boolean' },
+      roleAccount: nullableString,
+      isCatchAll: nullableBoolean,
+      emailType: { type: 'string', nullable: true, enum: EMAIL_TYPES },
+      domainValid: nullableBoolean,
+      mxFound: nullableBoolean,
+      status: { type: 'string', enum: VALIDATION_STATUSES },
+      subStatus: nullableString,
+      recheckNeeded: { type: 'boolean' },
+      validationSteps: { type: 'array', items: { type: 'object', required: ['step'], properties: { step: { type: 'string' } } } },
+      score: { type: 'integer', minimum: 0, maximum: 100 },
+      scoreSignals: {
+        type: 'array',
+        items: { type: 'object', properties: { signal: { type: 'string' }, weight: { type: 'number' } } }
+      },
+      duplicateOf: { type: 'string', description: 'Batches only: earlier email for the same mailbox' },
+      splitFrom: { type: 'string', description: 'Batches only: the multi-address value this email came from' },
+      error: { type: 'string', description: 'Set when status is check_failed' }
+    }
+  },
+
+  BatchStreamLine: {
+    type: 'object',
+    required: ['type'],
+    description: 'One line of an application/x-ndjson batch response',
+    properties: {
+      type: { type: 'string', enum: ['result', 'summary', 'error'] },
+      index: { type: 'integer', description: 'result lines: position of the value in emails' },
+      result: ref('ValidationResult'),
+      total: { type: 'integer' },
+      returned: { type: 'integer' },
+      counts: { type: 'object', additionalProperties: { type: 'integer' } },
+      error: ref('Error')
+    }
+  },
+
+  CleanCsvRequest: {
+    type: 'object',
+    required: ['csv'],
+    properties: {
+      csv: { type: 'string', minLength: 1 },
+      emailColumn: { type: 'string' },
+      filename: { type: 'string' },
+      forceRecheck,
+      mode
+    }
+  },
+
+  CreateJobRequest: {
+    type: 'object',
+    description: 'Either emails or fileUrl',
+    properties: {
+      emails: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      fileUrl: { type: 'string', pattern: '^https?://' },
+      emailColumn: { type: 'string' },
+      minScore,
+      forceRecheck,
+      mode
+    }
+  },
+
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'total', 'processed', 'counts'],
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: JOB_STATUSES },
+      total: { type: 'integer' },
+      processed: { type: 'integer' },
+      counts: { type: 'object', additionalProperties: { type: 'integer' } },
+      options: { type: 'object' },
+      source: { type: 'object' },
+      keyId: nullableString,
+      createdAt: { type: 'string' },
+      startedAt: nullableString,
+      completedAt: nullableString,
+      updatedAt: { type: 'string' },
+      leaseUntil: nullableString,
+      error: nullableString
+    }
+  },
+
+  JobRunSummary: {
+    type: 'object',
+    properties: {
+      pending: { type: 'integer' },
+      jobs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: JOB_STATUSES },
+            processed: { type: 'integer' },
+            total: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['create', 'revoke'] },
+      keyId: { type: 'string', description: 'revoke: key to revoke' },
+      name: { type: 'string', minLength: 1, description: 'create: who or what the key is for' },
+      scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES }, minItems: 1 },
+      rateLimit: { ...nullableLimit, description: 'Requests per minute, null for no limit' },
+      monthlyQuota: { ...nullableLimit, description: 'Validations per calendar month, null for no limit' },
+      notes: { type: 'string' }
+    }
+  },
+
+  ApiUsage: {
+    type: 'object',
+    properties: {
+      month: { type: 'string', description: 'YYYY-MM (UTC)' },
+      requests: { type: 'integer' },
+      validations: { type: 'integer' }
+    }
+  },
+
+  ApiKey: {
+    type: 'object',
+    required: ['keyId', 'name', 'scopes'],
+    properties: {
+      key: { type: 'string', description: 'Only returned when the key is created' },
+      keyId: { type: 'string' },
+      keyPrefix: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+      rateLimit: nullableLimit,
+      monthlyQuota: nullableLimit,
+      createdAt: nullableString,
+      revokedAt: nullableString,
+      notes: nullableString,
+      usage: ref('ApiUsage'),
+      usageByMonth: { type: 'array', items: ref('ApiUsage') }
+    }
+  },
+
+  DomainOverrideRequest: {
+    type: 'object',
+    required: ['domain', 'catchAll'],
+    properties: {
+      domain: { type: 'string', minLength: 1 },
+      catchAll: { type: 'boolean', nullable: true, description: 'null clears the override' },
+      user: { type: 'string' },
+      notes: { type: 'string' }
+    }
+  },
+
+  DomainKnowledge: {
+    type: 'object',
+    required: ['domain'],
+    properties: {
+      domain: { type: 'string' },
+      catchAll: nullableBoolean,
+      catchAllOverride: nullableBoolean,
+      isCatchAll: nullableBoolean,
+      stale: { type: 'boolean' },
+      mxProvider: nullableString,
+      stats: {
+        type: 'object',
+        properties: {
+          valid: { type: 'integer' },
+          invalid: { type: 'integer' },
+          unknown: { type: 'integer' },
+          catchAll: { type: 'integer' }
+        }
+      },
+      lastChecked: nullableString,
+      updatedBy: nullableString,
+      notes: nullableString
+    }
+  },
+
+  TypoMappingRequest: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['learn', 'approve', 'reject'] },
+      typoDomain: { type: 'string', minLength: 1 },
+      correctedDomain: { type: 'string' },
+      minCount: { type: 'integer', minimum: 1 },
+      user: { type: 'string' }
+    }
+  },
+
+  TypoMapping: {
+    type: 'object',
+    required: ['typoDomain', 'correctedDomain', 'status'],
+    properties: {
+      typoDomain: { type: 'string' },
+      correctedDomain: { type: 'string' },
+      status: { type: 'string', enum: MAPPING_STATUSES },
+      count: { type: 'integer' },
+      manualCount: { type: 'integer' },
+      source: nullableString,
+      firstSeen: nullableString,
+      lastSeen: nullableString,
+      updatedAt: nullableString,
+      updatedBy: nullableString
+    }
+  },
+
+  RecheckRequest: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1 },
+      dryRun: { type: 'boolean' }
+    }
+  },
+
+  RecheckResult: {
+    type: 'object',
+    required: ['total', 'checked', 'remaining', 'dryRun'],
+    properties: {
+      total: { type: 'integer' },
+      checked: { type: 'integer' },
+      remaining: { type: 'integer' },
+      skipped: { type: 'integer' },
+      dryRun: { type: 'boolean' },
+      summary: { type: 'object', additionalProperties: { type: 'integer' } },
+      results: { type: 'array', items: { type: 'object' } }
+    }
+  },
+
+  Health: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string' },
+      message: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Validate a request body against a component schema
+ * @param {string} name - Component schema name, e.g. 'ValidateEmailRequest'
+ * @param {*} body - Parsed request body
+ * @returns {Array<{field, message}>} - Field-level errors, empty when the body is valid
+ */
+export function validateRequest(name, body) {
+  if (body === undefined || body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: '(body)', message: 'must be a JSON object' }];
+  }
+
+  return validateSchema(ref(name), body, { components: schemas });
+}
+
+/**
+ * Validate a response body against a component schema, e.g. in tests
+ * @param {string} name - Component schema name, e.g. 'ValidationResult'
+ * @param {*} body - Response body
+ * @returns {Array<{field, message}>} - Field-level errors, empty when the body matches
+ */
+export function validateResponse(name, body) {
+  return validateSchema(ref(name), body, { components: schemas });
+}
@@ -0,0 +1,292 @@
+/**
+ * OpenAPI document
+ * Describes every route for /api/openapi, built from the shared schemas (api-schemas.js)
+ * so the published contract is the one requests are validated against
+ */
+
+import { schemas, MAX_BATCH_SIZE } from './api-schemas';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * JSON request body
+ * @param {string} name - Component schema name
+ * @returns {Object}
+ */
+const jsonBody = name => ({
+  required: true,
+  content: { 'application/json': { schema: ref(name) } }
+});
+
+/**
+ * JSON response
+ * @param {string} description - Response description
+ * @param {Object} schema - Response schema
+ * @returns {Object}
+ */
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+/**
+ * Error responses, by HTTP status
+ * @param {...number} statuses - Statuses the route can answer with besides 405 and 500
+ * @returns {Object}
+ */
+function errorResponses(...statuses) {
+  const descriptions = {
+    400: 'Invalid request; details lists the field-level errors',
+    401: 'API key missing or not valid',
+    403: 'API key lacks the scope the route needs',
+    404: 'Not found',
+    409: 'Conflicts with the job\'s status',
+    429: 'Rate limit or monthly quota exceeded (see Retry-After)'
+  };
+
+  return Object.fromEntries([...statuses, 405, 500].map(status => [
+    String(status),
+    jsonResponse(descriptions[status] || (status === 405 ? 'Method not allowed' : 'Internal error'), ref('Error'))
+  ]));
+}
+
+const queryParameter = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} config - Configuration, for the limits the routes enforce
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+export function buildOpenApiDocument(config) {
+  const validateSecurity = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+  const authErrors = [401, 403, 429];
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Unmessy Email Validation API',
+      version: '1.0.0',
+      description: 'Cleans, corrects and validates email addresses. Errors are always {code, message, details}.'
+    },
+    servers: [{ url: '/' }],
+    security: config.auth?.enabled ? validateSecurity : [],
+    tags: [
+      { name: 'validate', description: 'Validation (validate scope)' },
+      { name: 'jobs', description: 'Background validation jobs (validate scope)' },
+      { name: 'admin', description: 'Administration (admin scope)' },
+      { name: 'meta', description: 'Service information' }
+    ],
+    paths: {
+      '/api/validate/email': {
+        post: {
+          tags: ['validate'],
+          summary: 'Validate one email',
+          requestBody: jsonBody('ValidateEmailRequest'),
+          responses: {
+            200: jsonResponse('Validation result', ref('ValidationResult')),
+            ...errorResponses(400, ...authErrors)
+          }
+        }
+      },
+      '/api/validate/batch': {
+        post: {
+          tags: ['validate'],
+          summary: `Validate up to ${MAX_BATCH_SIZE} emails`,
+          description: 'Send Accept: application/x-ndjson to stream one line per result as it is ready, then a summary line',
+          requestBody: jsonBody('ValidateBatchRequest'),
+          responses: {
+            200: {
+              description: 'Validation results, in the order sent',
+              content: {
+                'application/json': { schema: { type: 'array', items: ref('ValidationResult') } },
+                'application/x-ndjson': { schema: ref('BatchStreamLine') }
+              }
+            },
+            ...errorResponses(400, ...authErrors)
+          }
+        }
+      },
+      '/api/validate/csv': {
+        post: {
+          tags: ['validate'],
+          summary: `Clean a CSV file of up to ${config.upload.maxRows} rows`,
+          description: 'Send the file as text/csv (or text/plain) with options in the query string, or as JSON',
+          parameters: [
+            queryParameter('emailColumn', 'Column holding the emails (detected when not given)'),
+            queryParameter('mode', 'correct or suggest', schemas.ValidateEmailRequest.properties.mode),
+            queryParameter('forceRecheck', 'Ignore cached verdicts', { type: 'boolean' }),
+            queryParameter('filename', 'Name of the returned file')
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'text/plain': { schema: { type: 'string' } },
+              'application/json': { schema: ref('CleanCsvRequest') }
+            }
+          },
+          responses: {
+            200: {
+              description: 'The same file with unmessy_* result columns appended',
+              headers: { 'X-Unmessy-Email-Column': { schema: { type: 'string' }, description: 'Email column used (URL-encoded)' } },
+              content: { 'text/csv': { schema: { type: 'string' } } }
+            },
+            ...errorResponses(400, ...authErrors)
+          }
+        }
+      },
+      '/api/jobs': {
+        get: {
+          tags: ['jobs'],
+          summary: 'List jobs',
+          parameters: [queryParameter('status', 'Only jobs with this status', schemas.Job.properties.status)],
+          responses: {
+            200: jsonResponse('Jobs, newest first', { type: 'array', items: ref('Job') }),
+            ...errorResponses(400, ...authErrors)
+          }
+        },
+        post: {
+          tags: ['jobs'],
+          summary: `Start a job for up to ${config.jobs.maxEmails} emails`,
+          requestBody: jsonBody('CreateJobRequest'),
+          responses: {
+            202: jsonResponse('Job queued', ref('Job')),
+            ...errorResponses(400, ...authErrors)
+          }
+        }
+      },
+      '/api/jobs/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        get: {
+          tags: ['jobs'],
+          summary: 'Get a job\'s progress',
+          responses: { 200: jsonResponse('Job', ref('Job')), ...errorResponses(404, ...authErrors) }
+        },
+        delete: {
+          tags: ['jobs'],
+          summary: 'Cancel a job',
+          responses: { 200: jsonResponse('Cancelled job', ref('Job')), ...errorResponses(404, 409, ...authErrors) }
+        }
+      },
+      '/api/jobs/{id}/results': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        get: {
+          tags: ['jobs'],
+          summary: 'Download a finished job\'s results',
+          responses: {
+            200: jsonResponse('Validation results', { type: 'array', items: ref('ValidationResult') }),
+            ...errorResponses(404, 409, ...authErrors)
+          }
+        }
+      },
+      '/api/usage': {
+        get: {
+          tags: ['meta'],
+          summary: 'Limits and usage of the calling API key',
+          responses: { 200: jsonResponse('Key usage', ref('ApiKey')), ...errorResponses(400, 401, 429) }
+        }
+      },
+      '/api/admin/api-keys': {
+        get: {
+          tags: ['admin'],
+          summary: 'List API keys, or show one with its usage by month',
+          parameters: [queryParameter('keyId', 'Key to show')],
+          responses: {
+            200: jsonResponse('Key, or list of keys', { oneOf: [ref('ApiKey'), { type: 'array', items: ref('ApiKey') }] }),
+            ...errorResponses(404, ...authErrors)
+          }
+        },
+        post: {
+          tags: ['admin'],
+          summary: 'Create or revoke an API key',
+          requestBody: jsonBody('ApiKeyRequest'),
+          responses: {
+            200: jsonResponse('Revoked key', ref('ApiKey')),
+            201: jsonResponse('Created key; the key is only shown here', ref('ApiKey')),
+            ...errorResponses(400, 404, ...authErrors)
+          }
+        }
+      },
+      '/api/admin/domains': {
+        get: {
+          tags: ['admin'],
+          summary: 'Show one domain, or list known domains',
+          parameters: [
+            queryParameter('domain', 'Domain to show'),
+            queryParameter('catchAll', 'Only domains with this catch-all status', { type: 'boolean' })
+          ],
+          responses: {
+            200: jsonResponse('Domain, or list of domains', { oneOf: [ref('DomainKnowledge'), { type: 'array', items: ref('DomainKnowledge') }] }),
+            ...errorResponses(400, 404, ...authErrors)
+          }
+        },
+        post: {
+          tags: ['admin'],
+          summary: 'Override a domain\'s catch-all status',
+          requestBody: jsonBody('DomainOverrideRequest'),
+          responses: { 200: jsonResponse('Updated domain', ref('DomainKnowledge')), ...errorResponses(400, ...authErrors) }
+        }
+      },
+      '/api/admin/typo-mappings': {
+        get: {
+          tags: ['admin'],
+          summary: 'List learned typo mappings',
+          parameters: [queryParameter('status', 'Only mappings with this status', schemas.TypoMapping.properties.status)],
+          responses: {
+            200: jsonResponse('Typo mappings', { type: 'array', items: ref('TypoMapping') }),
+            ...errorResponses(400, ...authErrors)
+          }
+        },
+        post: {
+          tags: ['admin'],
+          summary: 'Learn new proposals, or approve or reject a mapping',
+          requestBody: jsonBody('TypoMappingRequest'),
+          responses: {
+            200: jsonResponse('Updated mapping, or {proposed, mined} for learn', { oneOf: [ref('TypoMapping'), { type: 'object' }] }),
+            ...errorResponses(400, 404, ...authErrors)
+          }
+        }
+      },
+      '/api/admin/recheck': {
+        post: {
+          tags: ['admin'],
+          summary: 'Re-verify stale results (also run daily by cron with GET)',
+          requestBody: { required: false, content: { 'application/json': { schema: ref('RecheckRequest') } } },
+          responses: { 200: jsonResponse('Recheck summary', ref('RecheckResult')), ...errorResponses(400, ...authErrors) }
+        }
+      },
+      '/api/admin/run-jobs': {
+        post: {
+          tags: ['admin'],
+          summary: 'Run waiting jobs (also run every 5 minutes by cron with GET)',
+          responses: { 200: jsonResponse('Jobs run', ref('JobRunSummary')), ...errorResponses(...authErrors) }
+        }
+      },
+      '/api/health': {
+        get: {
+          tags: ['meta'],
+          summary: 'Health check',
+          security: [],
+          responses: { 200: jsonResponse('Service is up', ref('Health')) }
+        }
+      },
+      '/api/openapi': {
+        get: {
+          tags: ['meta'],
+          summary: 'This document',
+          security: [],
+          responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas
+    }
+  };
+}
+
+export default buildOpenApiDocument;
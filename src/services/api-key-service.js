@@ -0,0 +1,345 @@
+/**
+ * API Key Service
+ * Issues and checks API keys, and enforces each key's request rate limit and monthly validation quota.
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is created.
+ * Keys and usage are re-read whenever their files change, so every instance sees revocations and shared quotas
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger';
+import { getFileStamp } from '../utils/file-utils';
+
+/**
+ * Scopes a key can be given; admin keys can call every route
+ */
+export const API_KEY_SCOPES = ['validate', 'admin'];
+
+// Key ID used for the ADMIN_API_KEY environment key
+const ENV_ADMIN_KEY_ID = 'env_admin';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Get the calendar month (UTC) usage is counted in
+ * @param {Date} date - Date
+ * @returns {string} - YYYY-MM
+ */
+function usageMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Seconds until the next calendar month (UTC), when monthly quotas reset
+ * @returns {number}
+ */
+function secondsUntilNextMonth() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+export class ApiKeyService {
+  /**
+   * Create a new ApiKeyService
+   * @param {CSVManager} csvManager - CSV manager used to persist keys and usage
+   * @param {Object} options - Auth configuration (config.auth)
+   * @param {string} options.adminKey - Key from the environment with the admin scope and no limits
+   * @param {number} options.defaultRateLimit - Requests per minute for keys created without a rate limit
+   * @param {number} options.defaultMonthlyQuota - Validations per month for keys created without a quota
+   */
+  constructor(csvManager, options = {}) {
+    this.csvManager = csvManager;
+    this.adminKeyHash = options.adminKey ? hashApiKey(options.adminKey) : null;
+    this.defaultRateLimit = options.defaultRateLimit || null;
+    this.defaultMonthlyQuota = options.defaultMonthlyQuota || null;
+    // Requests in the current one-minute window, by key ID
+    this.windows = new Map();
+
+    this.loadKeys();
+    this.loadUsage();
+  }
+
+  /**
+   * Load keys from api-keys.csv
+   */
+  loadKeys() {
+    this.keysStamp = getFileStamp(this.csvManager.apiKeysPath);
+    this.keys = this.csvManager.loadApiKeys();
+
+    // Keys are looked up by hash
+    this.keysByHash = new Map();
+    this.keys.forEach(entry => this.keysByHash.set(entry.keyHash, entry.keyId));
+  }
+
+  /**
+   * Load usage counters from api-usage.csv
+   */
+  loadUsage() {
+    this.usageStamp = getFileStamp(this.csvManager.apiUsagePath);
+    this.usage = this.csvManager.loadApiUsage();
+  }
+
+  /**
+   * Reload keys and usage that were changed since they were read (e.g. by another instance)
+   */
+  refresh() {
+    if (getFileStamp(this.csvManager.apiKeysPath) !== this.keysStamp) {
+      logger.debug('api-keys.csv changed, reloading API keys');
+      this.loadKeys();
+    }
+
+    if (getFileStamp(this.csvManager.apiUsagePath) !== this.usageStamp) {
+      this.loadUsage();
+    }
+  }
+
+  /**
+   * Describe a key for API responses, without its hash
+   * @param {Object} entry - Key entry
+   * @returns {Object}
+   */
+  describe(entry) {
+    const { keyHash, ...key } = entry;
+    return { ...key, usage: this.getUsage(entry.keyId, usageMonth()) };
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who or what the key is for
+   * @param {string[]} options.scopes - Scopes (see API_KEY_SCOPES)
+   * @param {number|null} options.rateLimit - Requests per minute (null for no limit)
+   * @param {number|null} options.monthlyQuota - Validations per calendar month (null for no limit)
+   * @param {string} options.notes - Notes
+   * @returns {Object} - {key, ...entry}; the key is not stored and can't be shown again
+   */
+  create(options = {}) {
+    const key = `um_${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      keyId: `key_${crypto.randomBytes(6).toString('hex')}`,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.slice(0, 8),
+      name: options.name || '',
+      scopes: options.scopes || ['validate'],
+      rateLimit: options.rateLimit === undefined ? this.defaultRateLimit : options.rateLimit,
+      monthlyQuota: options.monthlyQuota === undefined ? this.defaultMonthlyQuota : options.monthlyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      notes: options.notes || null
+    };
+
+    this.refresh();
+    this.keys.set(entry.keyId, entry);
+    this.keysByHash.set(entry.keyHash, entry.keyId);
+    this.csvManager.addApiKey(entry);
+    this.keysStamp = getFileStamp(this.csvManager.apiKeysPath);
+
+    logger.info(`Created API key ${entry.keyId} (${entry.name})`, { scopes: entry.scopes });
+
+    return { key, ...this.describe(entry) };
+  }
+
+  /**
+   * Get a key
+   * @param {string} keyId - Key ID
+   * @returns {Object|null} - Key entry (without its hash), or null
+   */
+  get(keyId) {
+    this.refresh();
+    const entry = this.keys.get(keyId);
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * List keys
+   * @returns {Object[]} - Key entries (without their hashes), newest first
+   */
+  list() {
+    this.refresh();
+    return Array.from(this.keys.values())
+      .map(entry => this.describe(entry))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} keyId - Key ID
+   * @returns {Object|null} - Revoked key, or null when it doesn't exist
+   */
+  revoke(keyId) {
+    this.refresh();
+    const current = this.keys.get(keyId);
+    if (!current) return null;
+    if (current.revokedAt) return this.describe(current);
+
+    const entry = { ...current, revokedAt: new Date().toISOString() };
+    this.keys.set(keyId, entry);
+    this.csvManager.addApiKey(entry);
+    this.keysStamp = getFileStamp(this.csvManager.apiKeysPath);
+
+    logger.info(`Revoked API key ${keyId} (${entry.name})`);
+
+    return this.describe(entry);
+  }
+
+  /**
+   * Find the key a request was made with
+   * @param {string} key - API key as sent
+   * @returns {Object|null} - Key entry, or null when the key is unknown or revoked
+   */
+  verify(key) {
+    if (!key) return null;
+
+    const hash = hashApiKey(key);
+
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.adminKeyHash))) {
+      return {
+        keyId: ENV_ADMIN_KEY_ID,
+        keyPrefix: key.slice(0, 8),
+        name: 'ADMIN_API_KEY',
+        scopes: ['admin'],
+        rateLimit: null,
+        monthlyQuota: null
+      };
+    }
+
+    this.refresh();
+    const entry = this.keys.get(this.keysByHash.get(hash));
+    return entry && !entry.revokedAt ? entry : null;
+  }
+
+  /**
+   * Check if a key may call routes needing a scope
+   * @param {Object} entry - Key entry
+   * @param {string} scope - Scope needed
+   * @returns {boolean}
+   */
+  hasScope(entry, scope) {
+    return entry.scopes.includes(scope) || entry.scopes.includes('admin');
+  }
+
+  /**
+   * Get a key's usage counters
+   * @param {string} keyId - Key ID
+   * @param {string} month - YYYY-MM (all months when not given)
+   * @returns {Object|Object[]} - {month, requests, validations} for one month, or every month newest first
+   */
+  getUsage(keyId, month) {
+    this.refresh();
+
+    if (month) {
+      const usage = this.usage.get(`${keyId} ${month}`);
+      return { month, requests: usage?.requests || 0, validations: usage?.validations || 0 };
+    }
+
+    return Array.from(this.usage.values())
+      .filter(usage => usage.keyId === keyId)
+      .map(usage => ({ month: usage.month, requests: usage.requests, validations: usage.validations }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  /**
+   * Add to a key's usage counters for the current month
+   * Only the increase is appended to api-usage.csv, so requests served at the same time by
+   * other instances are all counted
+   * @param {Object} entry - Key entry
+   * @param {Object} counts - {requests, validations} to add
+   */
+  recordUsage(entry, counts) {
+    const month = usageMonth();
+    const current = this.getUsage(entry.keyId, month);
+    const delta = {
+      keyId: entry.keyId,
+      month,
+      requests: counts.requests || 0,
+      validations: counts.validations || 0,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.usage.set(`${entry.keyId} ${month}`, {
+      ...delta,
+      requests: current.requests + delta.requests,
+      validations: current.validations + delta.validations
+    });
+
+    // Another instance may have appended since getUsage read the file; if so, reload next time
+    const upToDate = getFileStamp(this.csvManager.apiUsagePath) === this.usageStamp;
+    this.csvManager.addApiUsage(delta);
+    if (upToDate) {
+      this.usageStamp = getFileStamp(this.csvManager.apiUsagePath);
+    }
+  }
+
+  /**
+   * Count a request against a key's rate limit
+   * Requests are counted in fixed one-minute windows, in this instance's memory only: with several
+   * instances running, a key can make up to rateLimit requests per minute on each of them
+   * @param {Object} entry - Key entry
+   * @returns {Object} - {allowed, limit, remaining, retryAfter} (retryAfter in seconds)
+   */
+  checkRateLimit(entry) {
+    if (!entry.rateLimit) {
+      return { allowed: true, limit: null, remaining: null, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+    let window = this.windows.get(entry.keyId);
+    if (!window || now - window.start >= MINUTE_MS) {
+      window = { start: now, count: 0 };
+      this.windows.set(entry.keyId, window);
+    }
+
+    const retryAfter = Math.ceil((window.start + MINUTE_MS - now) / 1000);
+
+    if (window.count >= entry.rateLimit) {
+      logger.warn(`Rate limit exceeded for API key ${entry.keyId}`, { limit: entry.rateLimit });
+      return { allowed: false, limit: entry.rateLimit, remaining: 0, retryAfter };
+    }
+
+    window.count++;
+    return { allowed: true, limit: entry.rateLimit, remaining: entry.rateLimit - window.count, retryAfter };
+  }
+
+  /**
+   * Use validations from a key's monthly quota
+   * Nothing is used when the request would go over the quota
+   * @param {Object} entry - Key entry
+   * @param {number} count - Validations the request will run
+   * @returns {Object} - {allowed, quota, used, remaining, retryAfter} (retryAfter in seconds)
+   */
+  consumeQuota(entry, count) {
+    const { validations } = this.getUsage(entry.keyId, usageMonth());
+
+    if (entry.monthlyQuota && validations + count > entry.monthlyQuota) {
+      logger.warn(`Monthly quota exceeded for API key ${entry.keyId}`, { quota: entry.monthlyQuota, used: validations, count });
+      return {
+        allowed: false,
+        quota: entry.monthlyQuota,
+        used: validations,
+        remaining: Math.max(0, entry.monthlyQuota - validations),
+        retryAfter: secondsUntilNextMonth()
+      };
+    }
+
+    this.recordUsage(entry, { validations: count });
+
+    return {
+      allowed: true,
+      quota: entry.monthlyQuota || null,
+      used: validations + count,
+      remaining: entry.monthlyQuota ? entry.monthlyQuota - validations - count : null,
+      retryAfter: 0
+    };
+  }
+}
+
+export default ApiKeyService;
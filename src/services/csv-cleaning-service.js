@@ -0,0 +1,117 @@
+/**
+ * CSV Cleaning Service
+ * Validates the email column of an uploaded spreadsheet and returns the same file
+ * with the results in extra unmessy_* columns
+ */
+
+import logger from '../utils/logger';
+import { parseCsvRecords, appendCsvColumns } from '../utils/csv-append-utils';
+import { detectEmailColumn, findColumn } from '../utils/email-column-utils';
+
+/**
+ * Columns appended to every row, with the result field each one is read from
+ */
+export const RESULT_COLUMNS = [
+  { column: 'unmessy_email', value: result => result.currentEmail },
+  { column: 'unmessy_status', value: result => result.status },
+  { column: 'unmessy_sub_status', value: result => result.subStatus },
+  { column: 'unmessy_corrected', value: result => (result.formatValid === undefined ? '' : String(result.wasCorrected === true)) },
+  { column: 'unmessy_suggestion', value: result => result.suggestions?.[0]?.email },
+  { column: 'unmessy_score', value: result => result.score },
+  { column: 'unmessy_email_type', value: result => result.emailType },
+  { column: 'unmessy_role_account', value: result => (result.isRoleAccount === undefined ? '' : String(result.isRoleAccount)) },
+  { column: 'unmessy_duplicate_of', value: result => result.duplicateOf }
+];
+
+export class CsvCleaningService {
+  /**
+   * Create a new CsvCleaningService
+   * @param {EmailValidationService} validator - Validator used for every row
+   * @param {Object} options - Upload configuration (config.upload)
+   * @param {number} options.maxRows - Most rows accepted per file
+   */
+  constructor(validator, options = {}) {
+    this.validator = validator;
+    this.maxRows = options.maxRows || 1000;
+  }
+
+  /**
+   * Parse a CSV file and find its email column
+   * @param {string} csv - CSV text
+   * @param {string} emailColumn - Column holding the emails (detected when not given)
+   * @returns {Object} - {parsed, emailColumn, columnIndex, emails} (emails: the non-empty email cells)
+   */
+  prepare(csv, emailColumn) {
+    const parsed = parseCsvRecords(csv);
+    const rows = parsed.rows.map(({ fields }) => (
+      Object.fromEntries(parsed.header.map((field, index) => [field, fields[index]]))
+    ));
+
+    const column = emailColumn ? findColumn(parsed.header, emailColumn) : detectEmailColumn(parsed.header, rows);
+    if (!column) {
+      throw new Error(emailColumn
+        ? `Column "${emailColumn}" not found in file`
+        : 'Could not detect the email column, set emailColumn');
+    }
+
+    const columnIndex = parsed.header.indexOf(column);
+    const emails = parsed.rows
+      .map(({ fields }) => String(fields[columnIndex] ?? '').trim())
+      .filter(Boolean);
+
+    return { parsed, emailColumn: column, columnIndex, emails };
+  }
+
+  /**
+   * Validate every row of a CSV file
+   * Rows without an email keep empty result columns; blank lines are left untouched
+   * @param {string} csv - CSV text
+   * @param {Object} options - Cleaning options
+   * @param {string} options.emailColumn - Column holding the emails (detected when not given)
+   * @param {string} options.mode - 'correct' or 'suggest' (see validateEmail)
+   * @param {boolean} options.forceRecheck - Ignore cached verdicts and check again
+   * @returns {Object} - {csv, emailColumn, rows, counts}
+   */
+  async clean(csv, options = {}) {
+    const { parsed, emailColumn, columnIndex } = this.prepare(csv, options.emailColumn);
+
+    if (parsed.rows.length > this.maxRows) {
+      throw new Error(`Maximum file size is ${this.maxRows} rows`);
+    }
+
+    logger.info(`Cleaning CSV with ${parsed.rows.length} rows, email column "${emailColumn}"`);
+
+    const values = [];
+    const counts = {};
+    // First original email seen for each canonical email
+    const seen = new Map();
+
+    for (const { fields } of parsed.rows) {
+      if (fields.length === 0) {
+        values.push(null);
+        continue;
+      }
+
+      const email = String(fields[columnIndex] ?? '').trim();
+      if (!email) {
+        values.push(RESULT_COLUMNS.map(() => ''));
+        continue;
+      }
+
+      const result = await this.validator.validateBatchEntry({ email, splitFrom: null }, options, seen);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      values.push(RESULT_COLUMNS.map(({ value }) => value(result) ?? ''));
+    }
+
+    logger.info(`Cleaned CSV with ${parsed.rows.length} rows`, counts);
+
+    return {
+      csv: appendCsvColumns(parsed, RESULT_COLUMNS.map(({ column }) => column), values),
+      emailColumn,
+      rows: parsed.rows.length,
+      counts
+    };
+  }
+}
+
+export default CsvCleaningService;
@@ -0,0 +1,218 @@
+/**
+ * DNS Service
+ * Looks up mail exchangers for email domains with a pluggable resolver and TTL cache
+ */
+
+import dns from 'dns';
+import logger from '../utils/logger';
+
+/**
+ * DNS error codes that mean the domain itself does not exist
+ */
+const NXDOMAIN_CODES = ['ENOTFOUND', 'NXDOMAIN'];
+
+/**
+ * DNS error codes that mean the domain exists but has no records of the requested type
+ */
+const NODATA_CODES = ['ENODATA', 'NODATA'];
+
+/**
+ * Create the default resolver backed by Node's DNS module
+ * @param {Object} options - Resolver options
+ * @param {string[]} options.servers - Optional DNS servers (e.g. ['127.0.0.1:5353'])
+ * @param {number} options.timeout - Query timeout in milliseconds
+ * @returns {Object} - Resolver with resolveMx, resolve4 and resolve6 methods
+ */
+export function createDefaultResolver(options = {}) {
+  const resolver = new dns.promises.Resolver({
+    timeout: options.timeout || 5000,
+    tries: options.tries || 2
+  });
+
+  if (options.servers && options.servers.length > 0) {
+    resolver.setServers(options.servers);
+  }
+
+  return resolver;
+}
+
+/**
+ * Check for a null MX record (RFC 7505): a single record with an empty exchange,
+ * published by domains that accept no mail at all
+ * @param {Object[]} mxRecords - MX records
+ * @returns {boolean}
+ */
+export function isNullMx(mxRecords) {
+  return mxRecords.length === 1 && ['', '.'].includes(String(mxRecords[0].exchange || '').trim());
+}
+
+export class DnsService {
+  /**
+   * Create a new DnsService
+   * @param {Object} options - DNS configuration (config.dns)
+   * @param {Object} options.resolver - Optional resolver with resolveMx/resolve4/resolve6 methods
+   * @param {string[]} options.servers - DNS servers for the default resolver
+   * @param {number} options.timeout - Query timeout in milliseconds
+   * @param {number} options.cacheTtl - How long to cache successful lookups (ms)
+   * @param {number} options.negativeCacheTtl - How long to cache failed lookups (ms)
+   */
+  constructor(options = {}) {
+    this.resolver = options.resolver || createDefaultResolver(options);
+    this.cacheTtl = options.cacheTtl ?? 60 * 60 * 1000;
+    this.negativeCacheTtl = options.negativeCacheTtl ?? 5 * 60 * 1000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Get a cached lookup if it hasn't expired
+   * @param {string} domain - Domain to look up
+   * @returns {Object|null} - Cached lookup or null
+   */
+  getCached(domain) {
+    const entry = this.cache.get(domain);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(domain);
+      return null;
+    }
+
+    return entry.lookup;
+  }
+
+  /**
+   * Store a lookup in the cache
+   * @param {string} domain - Domain that was looked up
+   * @param {Object} lookup - Lookup result
+   */
+  setCached(domain, lookup) {
+    // Transient errors are never cached so the next request can retry
+    if (lookup.status === 'error') return;
+
+    const ttl = lookup.status === 'ok' ? this.cacheTtl : this.negativeCacheTtl;
+
+    if (ttl > 0) {
+      this.cache.set(domain, { lookup, expiresAt: Date.now() + ttl });
+    }
+  }
+
+  /**
+   * Clear the lookup cache
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Run a resolver query, treating "no records" as an empty answer
+   * @param {string} method - Resolver method name
+   * @param {string} domain - Domain to query
+   * @returns {Array} - Records returned by the resolver
+   */
+  async query(method, domain) {
+    if (typeof this.resolver[method] !== 'function') {
+      return [];
+    }
+
+    try {
+      return (await this.resolver[method](domain)) || [];
+    } catch (error) {
+      if (NODATA_CODES.includes(error.code)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the mail exchangers for a domain
+   * Falls back to A/AAAA records when no MX records exist (RFC 5321 implicit MX); a null MX
+   * (RFC 7505) means the domain accepts no mail, so there is no fallback
+   * @param {string} domain - Domain to look up
+   * @returns {Object} - {status, subStatus, mxRecords, addresses, fallback, cached, error}
+   */
+  async lookupDomain(domain) {
+    const normalizedDomain = domain.toLowerCase();
+
+    const cached = this.getCached(normalizedDomain);
+    if (cached) {
+      logger.debug(`DNS cache hit for ${normalizedDomain}`);
+      return { ...cached, cached: true };
+    }
+
+    let lookup;
+
+    try {
+      const mxRecords = await this.query('resolveMx', normalizedDomain);
+
+      if (isNullMx(mxRecords)) {
+        lookup = {
+          status: 'no_records',
+          subStatus: 'no_mail_server',
+          mxRecords: [],
+          addresses: [],
+          fallback: null,
+          nullMx: true
+        };
+      } else if (mxRecords.length > 0) {
+        lookup = {
+          status: 'ok',
+          subStatus: null,
+          mxRecords: mxRecords
+            .map(record => ({ exchange: record.exchange.toLowerCase(), priority: record.priority }))
+            .sort((a, b) => a.priority - b.priority),
+          addresses: [],
+          fallback: null
+        };
+      } else {
+        // No MX records, try the implicit MX (the domain's own address records)
+        const addresses = [
+          ...(await this.query('resolve4', normalizedDomain)),
+          ...(await this.query('resolve6', normalizedDomain))
+        ];
+
+        lookup = {
+          status: addresses.length > 0 ? 'ok' : 'no_records',
+          subStatus: addresses.length > 0 ? null : 'no_mail_server',
+          mxRecords: [],
+          addresses,
+          fallback: addresses.length > 0 ? 'address' : null
+        };
+      }
+    } catch (error) {
+      if (NXDOMAIN_CODES.includes(error.code)) {
+        lookup = {
+          status: 'no_records',
+          subStatus: 'domain_not_found',
+          mxRecords: [],
+          addresses: [],
+          fallback: null
+        };
+      } else {
+        logger.warn(`DNS lookup failed for ${normalizedDomain}:`, { code: error.code, message: error.message });
+        lookup = {
+          status: 'error',
+          subStatus: null,
+          mxRecords: [],
+          addresses: [],
+          fallback: null,
+          error: error.code || error.message
+        };
+      }
+    }
+
+    logger.debug(`DNS lookup for ${normalizedDomain}:`, {
+      status: lookup.status,
+      subStatus: lookup.subStatus,
+      mxCount: lookup.mxRecords.length,
+      fallback: lookup.fallback
+    });
+
+    this.setCached(normalizedDomain, lookup);
+
+    return { ...lookup, cached: false };
+  }
+}
+
+export default DnsService;
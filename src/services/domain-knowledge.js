@@ -0,0 +1,209 @@
+/**
+ * Domain Knowledge
+ * Remembers what was learned about each domain (catch-all status, MX provider, verdict stats),
+ * so catch-all domains aren't re-learned one paid check per address
+ */
+
+import logger from '../utils/logger';
+import { detectMxProvider } from '../utils/mx-provider-utils';
+import { getFileStamp } from '../utils/file-utils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class DomainKnowledge {
+  /**
+   * Create a new DomainKnowledge store
+   * @param {CSVManager} csvManager - CSV manager used to persist domain knowledge
+   * @param {Object} options - Store configuration (config.domainKnowledge)
+   * @param {number} options.catchAllTtlDays - Days a detected catch-all status is trusted (0 trusts it forever)
+   */
+  constructor(csvManager, options = {}) {
+    this.csvManager = csvManager;
+    this.catchAllTtlDays = options.catchAllTtlDays ?? 30;
+    this.load();
+  }
+
+  /**
+   * Load domain entries from known-emails/domains.csv
+   */
+  load() {
+    this.stamp = getFileStamp(this.csvManager.domainKnowledgePath);
+    this.domains = this.csvManager.loadDomainKnowledge();
+  }
+
+  /**
+   * Reload the entries if another instance changed the file (e.g. an override set through the admin API)
+   * @returns {boolean} - Whether the entries were reloaded
+   */
+  refresh() {
+    if (getFileStamp(this.csvManager.domainKnowledgePath) === this.stamp) return false;
+
+    logger.debug('domains.csv changed, reloading domain knowledge');
+    this.load();
+    return true;
+  }
+
+  /**
+   * Check if a detected catch-all status is too old to rely on
+   * @param {Object} entry - Domain entry
+   * @returns {boolean}
+   */
+  isStale(entry) {
+    if (!this.catchAllTtlDays) return false;
+
+    const checkedAt = new Date(entry.lastChecked).getTime();
+    if (Number.isNaN(checkedAt)) return true;
+
+    return Date.now() - checkedAt > this.catchAllTtlDays * DAY_MS;
+  }
+
+  /**
+   * Get whether a domain accepts mail for every address
+   * A manual override always wins; a detected status only counts while it is fresh
+   * @param {string} domain - Lowercase ASCII domain
+   * @returns {boolean|null} - true, false or null when not known
+   */
+  isCatchAll(domain) {
+    const entry = this.domains.get(domain);
+    if (!entry) return null;
+
+    if (entry.catchAllOverride !== null) return entry.catchAllOverride;
+    if (entry.catchAll === null || this.isStale(entry)) return null;
+
+    return entry.catchAll;
+  }
+
+  /**
+   * Get what is known about a domain
+   * @param {string} domain - Lowercase ASCII domain
+   * @returns {Object|null} - Domain entry with the effective catch-all status, or null
+   */
+  get(domain) {
+    const entry = this.domains.get(domain);
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * List known domains
+   * @param {Object} filters - Filters
+   * @param {boolean} filters.catchAll - Only domains with this effective catch-all status
+   * @returns {Object[]} - Domain entries, most recently checked first
+   */
+  list(filters = {}) {
+    return Array.from(this.domains.values())
+      .map(entry => this.describe(entry))
+      .filter(entry => filters.catchAll === undefined || entry.isCatchAll === filters.catchAll)
+      .sort((a, b) => String(b.lastChecked || '').localeCompare(String(a.lastChecked || '')));
+  }
+
+  /**
+   * Describe an entry for API responses
+   * @param {Object} entry - Domain entry
+   * @returns {Object}
+   */
+  describe(entry) {
+    return {
+      ...entry,
+      isCatchAll: this.isCatchAll(entry.domain),
+      stale: entry.catchAllOverride === null && entry.catchAll !== null && this.isStale(entry)
+    };
+  }
+
+  /**
+   * Save a new version of a domain entry
+   * @param {string} domain - Lowercase ASCII domain
+   * @param {Object} changes - Fields to change
+   * @returns {Object} - Updated entry
+   */
+  update(domain, changes) {
+    const current = this.domains.get(domain) || {
+      domain,
+      catchAll: null,
+      catchAllOverride: null,
+      mxProvider: null,
+      stats: { valid: 0, invalid: 0, unknown: 0, catchAll: 0 },
+      lastChecked: null,
+      updatedBy: null,
+      notes: null
+    };
+
+    const entry = { ...current, ...changes, stats: { ...current.stats, ...(changes.stats || {}) } };
+    this.domains.set(domain, entry);
+
+    // Our own write doesn't need a reload, unless someone else wrote since we last read
+    const upToDate = getFileStamp(this.csvManager.domainKnowledgePath) === this.stamp;
+    this.csvManager.addDomainKnowledge(entry);
+    if (upToDate) {
+      this.stamp = getFileStamp(this.csvManager.domainKnowledgePath);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Learn from a mailbox check (SMTP or verification provider) for an address on the domain
+   * Providers flag catch-all domains; a rejected mailbox shows the domain is not catch-all
+   * @param {string} domain - Lowercase ASCII domain
+   * @param {Object} result - {status, subStatus, catchAll, source}
+   */
+  recordVerdict(domain, result) {
+    if (!domain || !result || result.status === 'check_failed') return;
+
+    const current = this.domains.get(domain);
+    const stats = { ...(current?.stats || { valid: 0, invalid: 0, unknown: 0, catchAll: 0 }) };
+    let catchAll = current ? current.catchAll : null;
+
+    if (result.catchAll) {
+      stats.catchAll++;
+      catchAll = true;
+    } else {
+      stats[result.status] = (stats[result.status] || 0) + 1;
+
+      // SMTP servers of catch-all domains say 250 to everything, so only providers can clear the flag on a valid result
+      if ((result.status === 'invalid' && result.subStatus === 'mailbox_not_found')
+        || (result.status === 'valid' && result.source !== 'smtp')) {
+        catchAll = false;
+      }
+    }
+
+    if (catchAll !== current?.catchAll) {
+      logger.info(`Domain catch-all status learned: ${domain} = ${catchAll}`, { source: result.source });
+    }
+
+    this.update(domain, { catchAll, stats, lastChecked: new Date().toISOString() });
+  }
+
+  /**
+   * Remember which provider hosts a domain's mail
+   * Nothing is written unless the provider changed
+   * @param {string} domain - Lowercase ASCII domain
+   * @param {Array<{exchange, priority}>} mxRecords - MX records, most preferred first
+   */
+  recordMx(domain, mxRecords) {
+    const mxProvider = detectMxProvider(mxRecords);
+    if (!domain || !mxProvider || this.domains.get(domain)?.mxProvider === mxProvider) return;
+
+    this.update(domain, { mxProvider });
+  }
+
+  /**
+   * Set or clear the manual catch-all override for a domain
+   * @param {string} domain - Lowercase ASCII domain
+   * @param {boolean|null} catchAll - Override, or null to go back to the detected status
+   * @param {Object} options - {updatedBy, notes}
+   * @returns {Object} - Updated entry
+   */
+  setOverride(domain, catchAll, options = {}) {
+    logger.info(`Domain catch-all override for ${domain}: ${catchAll}`, { updatedBy: options.updatedBy });
+
+    const entry = this.update(domain, {
+      catchAllOverride: catchAll,
+      updatedBy: options.updatedBy || 'unknown',
+      notes: options.notes ?? this.domains.get(domain)?.notes ?? null
+    });
+
+    return this.describe(entry);
+  }
+}
+
+export default DomainKnowledge;
@@ -6,15 +6,53 @@
 import axios from 'axios';
 import CSVManager from '../utils/csv-manager';
 import logger from '../utils/logger';
+import DnsService from './dns-service';
+import SmtpVerifier from './smtp-verifier';
+import ValidationPipeline from './validation-pipeline';
+import VerificationService from './verification-service';
+import VerdictCache from './verdict-cache';
+import SuppressionList from './suppression-list';
+import DomainKnowledge from './domain-knowledge';
+import { compileDomainList, matchDomain } from '../utils/domain-matcher';
+import { detectRoleAccount } from '../utils/role-utils';
+import { calculateScore } from '../utils/score-utils';
+import { normalizeEmail } from '../utils/normalization-utils';
+import { splitAddressList, parseAddress } from '../utils/extraction-utils';
+import { getFileStamp } from '../utils/file-utils';
+import {
+  DEFAULT_EMAIL_PROVIDERS,
+  classifyEmailDomain,
+  compileProviderList
+} from '../utils/email-type-utils';
+import {
+  hasNonAscii,
+  normalizeUnicode,
+  toAsciiDomain,
+  toLookupEmail
+} from '../utils/idn-utils';
 import { 
-  DOMAIN_TYPOS, 
-  AUSTRALIAN_TLDS,
   correctDomainTypos,
-  correctAustralianTLD,
-  extractDomainFromEmail,
-  isValidDomainFormat
+  correctCountryTLD,
+  suggestDomains,
+  extractDomainFromEmail
 } from '../utils/domain-utils';
 
+/**
+ * Format a correction trail for display, one correction per line
+ * @param {Object[]} corrections - [{type, from, to, confidence}]
+ * @returns {string} - e.g. "domain_typo: john@gmial.com -> john@gmail.com (92%)"
+ */
+function formatCorrectionTrail(corrections) {
+  return corrections
+    .map(({ type, from, to, confidence }) => {
+      const certainty = typeof confidence === 'number' && confidence < 1
+        ? ` (${Math.round(confidence * 100)}%)`
+        : '';
+      return `${type}: ${from} -> ${to}${certainty}`;
+    })
+    .join('\n');
+}
+
 export class EmailValidationService {
   /**
    * Create a new EmailValidationService
@@ -23,9 +61,16 @@ export class EmailValidationService {
   constructor(config) {
     this.config = config;
     
+    // Company rules come first so they can override a provider's defaults
+    this.normalizationRules = [
+      ...(config.normalization?.companyRules || []),
+      ...(config.normalization?.rules || [])
+    ];
+    
     logger.info('Initializing EmailValidationService', {
       environment: config.environment,
-      useZeroBounce: config.validation?.useZeroBounce
+      useProviderCheck: config.validation?.useProviderCheck,
+      providers: config.verification?.providers
     });
     
     // Initialize CSV manager
@@ -35,16 +80,52 @@ export class EmailValidationService {
     
     // Load data
     this.validDomains = this.csvManager.loadValidDomains();
-    this.knownValidEmails = this.csvManager.loadValidatedEmails();
+    this.loadLearnedTypos();
+    this.knownValidEmails = this.csvManager.loadValidatedEmails(email => this.getCanonicalEmail(email));
+    this.disposableDomains = compileDomainList(this.csvManager.loadDisposableDomains());
+    // Listed providers override the built-in ones
+    this.emailProviders = compileProviderList(new Map([
+      ...Object.entries(DEFAULT_EMAIL_PROVIDERS),
+      ...this.csvManager.loadEmailProviders()
+    ]));
+    // Providers and domains of known valid emails exist, so are never typo-corrected
+    this.realDomains = new Set([
+      ...this.emailProviders.list.exact,
+      ...Array.from(this.knownValidEmails.keys(), email => extractDomainFromEmail(email))
+    ]);
+    this.verdictCache = new VerdictCache(this.csvManager, {
+      ...config.verdictCache,
+      toKey: email => this.getCanonicalEmail(email)
+    });
+    this.domainKnowledge = new DomainKnowledge(this.csvManager, config.domainKnowledge || {});
+    this.suppressionList = new SuppressionList(this.csvManager, { toKey: email => this.getCanonicalEmail(email) });
+    this.contactLinks = this.csvManager.loadContactLinks(email => this.getCanonicalEmail(email));
+    
+    // Initialize DNS lookups (resolver can be swapped through config.dns.resolver)
+    this.dnsService = new DnsService(config.dns || {});
+    this.smtpVerifier = new SmtpVerifier(config.smtp || {});
+    if (config.validation?.useSmtpCheck && !config.smtp?.mailFrom) {
+      logger.warn('USE_SMTP_CHECK is on but SMTP_MAIL_FROM is not set, so no mailbox will be probed');
+    }
+    this.verificationService = new VerificationService(config.verification || {});
+    
+    // Steps run in the order configured for this environment (config.pipeline)
+    this.pipeline = new ValidationPipeline(config);
     
     logger.info('EmailValidationService initialized', {
       domainsLoaded: this.validDomains.size,
-      emailsLoaded: this.knownValidEmails.size
+      disposableDomainsLoaded: this.disposableDomains.exact.size + this.disposableDomains.wildcards.length,
+      emailProvidersLoaded: this.emailProviders.types.size,
+      emailsLoaded: this.knownValidEmails.size,
+      verdictsLoaded: this.verdictCache.verdicts.size,
+      domainsKnown: this.domainKnowledge.domains.size,
+      suppressionsLoaded: this.suppressionList.size
     });
   }
   
   /**
    * Basic email format check with regex
+   * Internationalized emails (RFC 6531) may have a UTF-8 local part and an IDN domain
    * @param {string} email - Email to validate
    * @returns {boolean} - Whether the email has valid format
    */
@@ -53,7 +134,22 @@ export class EmailValidationService {
     
     // RFC 5322 compliant email regex
     const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    const result = emailRegex.test(email);
+    let result;
+    
+    if (hasNonAscii(email)) {
+      // Non-ASCII letters are allowed in the local part, controls and spaces are not
+      const localPartRegex = /^(?:[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]|[^\x00-\x7F\p{C}\p{Z}])+$/u;
+      const atIndex = email.lastIndexOf('@');
+      const localPart = email.slice(0, atIndex);
+      const asciiDomain = toAsciiDomain(email.slice(atIndex + 1));
+      
+      result = atIndex > 0 &&
+        localPartRegex.test(localPart) &&
+        Boolean(asciiDomain) &&
+        emailRegex.test(`x@${asciiDomain}`);
+    } else {
+      result = emailRegex.test(email);
+    }
     
     if (!result) {
       logger.debug(`Email format check failed for: ${email}`);
@@ -62,337 +158,756 @@ export class EmailValidationService {
     return result;
   }
   
+  /**
+   * Load the approved typo mappings from typo-mappings.csv
+   * Called again after mappings are approved or rejected
+   */
+  loadLearnedTypos() {
+    this.learnedTypos = new Map();
+    this.learnedTyposStamp = getFileStamp(this.csvManager.typoMappingsPath);
+    
+    this.csvManager.loadTypoMappings().forEach(mapping => {
+      if (mapping.status === 'approved') {
+        this.learnedTypos.set(mapping.typoDomain, mapping.correctedDomain);
+      }
+    });
+  }
+  
   /**
    * Clean and correct common email typos
+   * Every rule that changes the email is recorded in `corrections`, in the order it was applied
    * @param {string} email - Email to correct
-   * @returns {Object} - {corrected: boolean, email: string, correctionType: string}
+   * @param {Object} options - Correction options
+   * @param {boolean} options.record - Write applied corrections to corrections.csv (default true)
+   * @param {boolean} options.swapLabels - Allow swapped country labels to be fixed (default true)
+   * @returns {Object} - {corrected: boolean, email: string, correctionType: string, corrections: Array<{type, from, to, confidence}>}
    */
-  correctEmailTypos(email) {
-    if (!email) return { corrected: false, email, correctionType: null };
+  correctEmailTypos(email, options = {}) {
+    if (!email) return { corrected: false, email, correctionType: null, corrections: [] };
     
-    let corrected = false;
-    let correctionType = null;
+    const corrections = [];
     let cleanedEmail = email.trim().toLowerCase();
     
+    const applyCorrection = (type, correctedEmail, details = {}) => {
+      corrections.push({ type, from: cleanedEmail, to: correctedEmail, confidence: 1, ...details });
+      logger.debug(`Correction applied (${type}): ${cleanedEmail} -> ${correctedEmail}`, details);
+      cleanedEmail = correctedEmail;
+    };
+    
+    const buildResult = () => ({
+      corrected: corrections.length > 0,
+      email: cleanedEmail,
+      // Last rule applied, kept for callers that only look at one type
+      correctionType: corrections.length > 0 ? corrections[corrections.length - 1].type : null,
+      corrections
+    });
+    
     // Remove any spaces
     const noSpaceEmail = cleanedEmail.replace(/\s/g, '');
     if (noSpaceEmail !== cleanedEmail) {
-      cleanedEmail = noSpaceEmail;
-      corrected = true;
-      correctionType = 'whitespace';
-      logger.debug(`Whitespace removed: ${email} -> ${cleanedEmail}`);
+      applyCorrection('whitespace', noSpaceEmail);
     }
     
     // Split into local part and domain
     const parts = cleanedEmail.split('@');
     if (parts.length !== 2) {
-      return { corrected, email: cleanedEmail, correctionType };
+      return buildResult();
     }
     
     const [localPart, domain] = parts;
     
-    // Check for common domain typos
-    const { corrected: domainCorrected, domain: correctedDomain } = correctDomainTypos(domain);
+    // Check for common domain typos against known and popular domains
+    const {
+      corrected: domainCorrected,
+      domain: correctedDomain,
+      confidence,
+      method
+    } = correctDomainTypos(domain, {
+      knownDomains: this.validDomains,
+      realDomains: this.realDomains,
+      threshold: this.config.validation?.typoConfidenceThreshold,
+      maxDistance: this.config.validation?.typoMaxDistance,
+      learnedTypos: this.learnedTypos
+    });
     
     if (domainCorrected) {
-      cleanedEmail = `${localPart}@${correctedDomain}`;
-      corrected = true;
-      correctionType = 'domain_typo';
-      logger.debug(`Domain typo corrected: ${domain} -> ${correctedDomain}`);
+      applyCorrection('domain_typo', `${localPart}@${correctedDomain}`, { confidence, method });
+    }
+    
+    // Check country TLDs (.com.au, .co.nz...) for the configured packs
+    const {
+      corrected: tldCorrected,
+      domain: tldCorrectedDomain,
+      country,
+      rule
+    } = this.correctTld(correctedDomain || domain, { swapLabels: options.swapLabels });
+    
+    if (tldCorrected) {
+      applyCorrection('tld', `${localPart}@${tldCorrectedDomain}`, { country, rule });
     }
     
-    // Check for + alias in Gmail if configured to remove
-    if (this.config.validation?.removeGmailAliases && 
-        (correctedDomain || domain) === 'gmail.com' && 
-        localPart.includes('+')) {
-      const baseLocal = localPart.split('+')[0];
-      cleanedEmail = `${baseLocal}@gmail.com`;
-      corrected = true;
-      correctionType = 'gmail_alias';
-      logger.debug(`Gmail alias removed: ${localPart} -> ${baseLocal}`);
+    if (options.record !== false) {
+      this.recordCorrections(email, cleanedEmail, corrections);
     }
     
-    // Check Australian TLDs if configured
-    if (this.config.validation?.checkAustralianTlds) {
-      const { corrected: tldCorrected, domain: tldCorrectedDomain } = correctAustralianTLD(
-        correctedDomain || domain
-      );
+    return buildResult();
+  }
+  
+  /**
+   * Log applied corrections and write them to corrections.csv
+   * @param {string} email - Email as typed
+   * @param {string} correctedEmail - Email after the corrections
+   * @param {Object[]} corrections - Corrections applied, in order (nothing is written when empty)
+   */
+  recordCorrections(email, correctedEmail, corrections) {
+    if (corrections.length === 0) return;
+    
+    const types = corrections.map(correction => correction.type);
+    logger.info(`Email corrected: ${email} -> ${correctedEmail}`, { corrections: types });
+    this.csvManager.addCorrectedEmail(email, correctedEmail, corrections);
+  }
+  
+  /**
+   * Correct country TLD mistakes with the configured packs (config.validation.countryTlds)
+   * @param {string} domain - Domain to correct
+   * @param {Object} options - Correction options
+   * @param {boolean} options.swapLabels - Allow the swapped_labels rule (default true)
+   * @returns {Object} - {corrected: boolean, domain: string, country: string, rule: string}
+   */
+  correctTld(domain, options = {}) {
+    // checkAustralianTlds: false still turns TLD correction off, as before country packs
+    const packs = this.config.validation?.checkAustralianTlds === false
+      ? []
+      : this.config.validation?.countryTlds || [];
+    
+    return correctCountryTLD(domain, {
+      packs,
+      knownDomains: this.validDomains,
+      realDomains: this.realDomains,
+      swapLabels: options.swapLabels
+    });
+  }
+  
+  /**
+   * Suggest what the user may have meant, without changing the email
+   * Combines the typo, TLD and normalization rules; reasons of chained rules are joined with "|"
+   * @param {string} email - Email as typed
+   * @returns {Object[]} - [{email, reason, confidence}], most likely first
+   */
+  suggestCorrections(email) {
+    if (!email || typeof email !== 'string') return [];
+    
+    const typed = email.trim().toLowerCase();
+    const suggestions = new Map();
+    
+    const addSuggestion = (candidate, reasons, confidence) => {
+      if (!candidate || candidate === typed || reasons.length === 0) return;
       
-      if (tldCorrected) {
-        cleanedEmail = `${localPart}@${tldCorrectedDomain}`;
-        corrected = true;
-        correctionType = 'tld';
-        logger.debug(`Australian TLD corrected: ${domain} -> ${tldCorrectedDomain}`);
+      const existing = suggestions.get(candidate);
+      if (!existing || existing.confidence < confidence) {
+        suggestions.set(candidate, { email: candidate, reason: reasons.join('|'), confidence });
       }
-    }
+    };
+    
+    // What correct mode would do
+    const { email: correctedEmail, corrections } = this.correctEmailTypos(email, { record: false });
+    const correctedConfidence = corrections.reduce((total, { confidence }) => total * (confidence ?? 1), 1);
+    addSuggestion(correctedEmail, corrections.map(correction => correction.type), correctedConfidence);
     
-    // If a correction was made, log it
-    if (corrected) {
-      logger.info(`Email corrected: ${email} -> ${cleanedEmail}`, { correctionType });
-      this.csvManager.addCorrectedEmail(email, cleanedEmail, correctionType);
+    // Other likely domains, including near-ties correct mode won't pick between
+    const baseEmail = typed.replace(/\s/g, '');
+    const baseReasons = baseEmail !== typed ? ['whitespace'] : [];
+    const parts = baseEmail.split('@');
+    
+    if (parts.length === 2) {
+      const [localPart, domain] = parts;
+      
+      suggestDomains(domain, {
+        knownDomains: this.validDomains,
+        realDomains: this.realDomains,
+        threshold: this.config.validation?.suggestionThreshold,
+        maxDistance: this.config.validation?.typoMaxDistance,
+        limit: this.config.validation?.maxSuggestions,
+        learnedTypos: this.learnedTypos
+      }).forEach(({ domain: suggestedDomain, confidence }) => {
+        const reasons = [...baseReasons, 'domain_typo'];
+        const tld = this.correctTld(suggestedDomain);
+        if (tld.corrected) {
+          reasons.push('tld');
+        }
+        
+        addSuggestion(`${localPart}@${tld.domain}`, reasons, confidence);
+      });
     }
     
-    return { corrected, email: cleanedEmail, correctionType };
+    // The canonical address of each suggestion (and of the email itself) reaches the same mailbox
+    [
+      { email: baseEmail, reason: baseReasons.join('|'), confidence: 1 },
+      ...suggestions.values()
+    ].forEach(suggestion => {
+      const canonicalEmail = this.getCanonicalEmail(suggestion.email);
+      if (canonicalEmail !== suggestion.email) {
+        const reasons = suggestion.reason ? suggestion.reason.split('|') : [];
+        addSuggestion(canonicalEmail, [...reasons, 'normalization'], suggestion.confidence);
+      }
+    });
+    
+    // Most likely first; on ties, the suggestion that changes less
+    return Array.from(suggestions.values())
+      .sort((a, b) => (
+        b.confidence - a.confidence || a.reason.split('|').length - b.reason.split('|').length
+      ))
+      .map(suggestion => ({ ...suggestion, confidence: Math.round(suggestion.confidence * 100) / 100 }));
+  }
+  
+  /**
+   * Get the canonical form of an email: the mailbox identity used for known valid lookups and duplicates
+   * Provider rules drop tags, ignored dots and alias domains (e.g. J.Smith+news@googlemail.com -> jsmith@gmail.com)
+   * @param {string} email - Email address
+   * @returns {string} - Canonical email (lowercase, punycode domain)
+   */
+  getCanonicalEmail(email) {
+    const lookupEmail = toLookupEmail(email);
+    if (this.config.normalization?.enabled === false) return lookupEmail;
+    
+    return normalizeEmail(lookupEmail, this.normalizationRules).canonicalEmail;
+  }
+  
+  /**
+   * Check if a known valid entry is older than the freshness window
+   * Entries without a usable validation date are treated as stale
+   * @param {Object} entry - {validatedAt, source}
+   * @returns {boolean} - Whether the entry needs re-verification
+   */
+  isStaleEntry(entry) {
+    const maxAgeDays = this.config.validation?.knownValidMaxAgeDays;
+    if (!maxAgeDays) return false;
+    
+    const validatedAt = new Date(entry.validatedAt).getTime();
+    if (Number.isNaN(validatedAt)) return true;
+    
+    return Date.now() - validatedAt > maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+  
+  /**
+   * Look up an email in the known valid emails list
+   * @param {string} email - Email to check
+   * @returns {Object|null} - {validatedAt, source, stale} or null
+   */
+  getKnownValidEntry(email) {
+    const entry = this.knownValidEmails.get(this.getCanonicalEmail(email));
+    return entry ? { ...entry, stale: this.isStaleEntry(entry) } : null;
   }
   
   /**
-   * Check if email is in known valid emails list
+   * Check if email is in known valid emails list and still fresh
    * @param {string} email - Email to check
    * @returns {boolean} - Whether email is known valid
    */
   isKnownValidEmail(email) {
-    const result = this.knownValidEmails.has(email.toLowerCase());
+    const entry = this.getKnownValidEntry(email);
+    const result = Boolean(entry) && !entry.stale;
     
     if (result) {
       logger.debug(`Email found in known valid list: ${email}`);
+    } else if (entry) {
+      logger.debug(`Known valid entry is stale: ${email}`, { validatedAt: entry.validatedAt });
     }
     
     return result;
   }
   
+  /**
+   * Add an email to the known valid list
+   * @param {string} email - Valid email
+   * @param {string} source - Validation source (e.g. 'zerobounce', 'smtp')
+   */
+  rememberValidEmail(email, source) {
+    logger.info(`Adding valid email to known list: ${email}`);
+    this.csvManager.addValidatedEmail(email, source);
+    const canonicalEmail = this.getCanonicalEmail(email);
+    this.knownValidEmails.set(canonicalEmail, {
+      validatedAt: new Date().toISOString(),
+      source
+    });
+    this.realDomains.add(extractDomainFromEmail(canonicalEmail));
+  }
+  
+  /**
+   * Remove an email from the in-memory known valid list (e.g. after it failed re-verification)
+   * The CSV keeps the old row, but it is stale, so the email won't be treated as known valid
+   * @param {string} email - Email to forget
+   */
+  forgetValidEmail(email) {
+    this.knownValidEmails.delete(this.getCanonicalEmail(email));
+  }
+  
+  /**
+   * Check if the email is on the suppression list
+   * Suppressed emails also cover their tagged and dotted variants (same canonical email)
+   * @param {string} email - Email to check
+   * @returns {Object|null} - The matching entry ({type, value, reason}) or null
+   */
+  getSuppression(email) {
+    const match = this.suppressionList.match(email);
+    
+    if (match) {
+      logger.debug(`Email matched suppression list: ${email} (${match.type} ${match.value})`);
+    }
+    
+    return match;
+  }
+  
+  /**
+   * Check if the email is a shared role account (info@, sales@, noreply@...)
+   * @param {string} email - Email to check
+   * @returns {string|null} - The matching role or null
+   */
+  getRoleAccount(email) {
+    const localPart = email.split('@')[0];
+    const role = detectRoleAccount(localPart, this.config.validation?.roleAccounts);
+    
+    if (role) {
+      logger.debug(`Email is a role account: ${email} (${role})`);
+    }
+    
+    return role;
+  }
+  
+  /**
+   * Check if the email's domain belongs to a disposable email provider
+   * Subdomains and wildcard variants of listed providers also match
+   * @param {string} email - Email to check domain for
+   * @returns {string|null} - The matching disposable list entry or null
+   */
+  getDisposableMatch(email) {
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    if (!domain) return null;
+    
+    const match = matchDomain(domain, this.disposableDomains);
+    
+    if (match) {
+      logger.debug(`Domain matched disposable list: ${domain} (${match})`);
+    }
+    
+    return match;
+  }
+  
   /**
    * Check if domain is considered valid
+   * Known company domains and listed email providers (gmail.com, bigpond.com...) are valid
    * @param {string} email - Email to check domain for
    * @returns {boolean} - Whether domain is valid
    */
   isValidDomain(email) {
-    const domain = extractDomainFromEmail(email);
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
     if (!domain) return false;
     
-    const result = this.validDomains.has(domain.toLowerCase());
+    const result = this.validDomains.has(domain) || this.emailProviders.types.has(domain);
     
     if (result) {
-      logger.debug(`Domain found in valid domains list: ${domain}`);
+      logger.debug(`Domain found in valid domains or email providers list: ${domain}`);
     }
     
     return result;
   }
   
   /**
-   * Check email with ZeroBounce API
-   * @param {string} email - Email to validate
+   * Classify the email as business, free, isp, education, government or disposable
+   * @param {string} email - Email to classify
+   * @returns {string|null} - Email type, or null without a domain
+   */
+  getEmailType(email) {
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    
+    // Disposable domains are never a company's, whatever the provider list or TLD says
+    if (domain && this.getDisposableMatch(email)) return 'disposable';
+    
+    const { emailType, matched } = classifyEmailDomain(domain, this.emailProviders);
+    
+    if (emailType) {
+      logger.debug(`Email type for ${email}: ${emailType}`, { matched });
+    }
+    
+    return emailType;
+  }
+  
+  /**
+   * Get what is known about the email's domain (catch-all status, MX provider, verdict stats)
+   * @param {string} email - Email to check domain for
+   * @returns {Object|null} - Domain entry or null
+   */
+  getDomainKnowledge(email) {
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    return domain ? this.domainKnowledge.get(domain) : null;
+  }
+  
+  /**
+   * Learn about the email's domain from a mailbox check
+   * @param {string} email - Checked email
+   * @param {Object} result - SMTP or provider result
+   */
+  recordDomainVerdict(email, result) {
+    if (this.config.domainKnowledge?.enabled === false) return;
+    
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    this.domainKnowledge.recordVerdict(domain, result);
+  }
+  
+  /**
+   * Look up the mail exchangers for the email's domain
+   * @param {string} email - Email to check domain for
+   * @returns {Object} - DNS lookup result
+   */
+  async checkDomainDns(email) {
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    if (!domain) {
+      return {
+        status: 'no_records',
+        subStatus: 'domain_not_found',
+        mxRecords: [],
+        addresses: [],
+        fallback: null,
+        cached: false
+      };
+    }
+    
+    const lookup = await this.dnsService.lookupDomain(domain);
+    
+    if (lookup.status === 'ok' && !lookup.cached && this.config.domainKnowledge?.enabled !== false) {
+      this.domainKnowledge.recordMx(domain, lookup.mxRecords);
+    }
+    
+    return lookup;
+  }
+  
+  /**
+   * Probe the mailbox over SMTP
+   * @param {string} email - Email to verify
+   * @param {Object} dnsCheck - Previous DNS lookup for the domain, if any
    * @returns {Object} - Validation result
    */
-  async checkWithZeroBounce(email) {
+  async checkWithSmtp(email, dnsCheck = null) {
     try {
-      // Ensure we have a ZeroBounce API key
-      if (!this.config.validation?.zeroBounceApiKey) {
-        logger.error('ZeroBounce API key not configured');
-        throw new Error('ZeroBounce API key not configured');
-      }
-      
-      logger.info(`Checking email with ZeroBounce: ${email}`);
-      
-      const response = await axios.get('https://api.zerobounce.net/v2/validate', {
-        params: {
-          api_key: this.config.validation.zeroBounceApiKey,
-          email: email,
-          ip_address: ''
-        }
-      });
-      
-      const result = response.data;
+      const lookup = dnsCheck || await this.checkDomainDns(email);
       
-      // Log ZeroBounce response
-      logger.debug(`ZeroBounce response for ${email}:`, {
-        status: result.status,
-        subStatus: result.sub_status
-      });
+      // Without MX records the domain's own address is the implicit mail exchanger
+      const mxHosts = lookup.mxRecords.length > 0
+        ? lookup.mxRecords.map(record => record.exchange)
+        : lookup.fallback ? [toAsciiDomain(extractDomainFromEmail(email))] : [];
       
-      // Map ZeroBounce status to our simplified status
-      let status, subStatus, recheckNeeded;
+      logger.info(`Checking email with SMTP: ${email}`);
       
-      switch (result.status) {
-        case 'valid':
-          status = 'valid';
-          recheckNeeded = false;
-          break;
-        case 'invalid':
-          status = 'invalid';
-          subStatus = result.sub_status;
-          recheckNeeded = false;
-          break;
-        case 'catch-all':
-          status = 'unknown';
-          recheckNeeded = true;
-          break;
-        case 'unknown':
-          status = 'unknown';
-          recheckNeeded = true;
-          break;
-        case 'spamtrap':
-          status = 'invalid';
-          subStatus = 'spamtrap';
-          recheckNeeded = false;
-          break;
-        case 'abuse':
-          status = 'invalid';
-          subStatus = 'abuse';
-          recheckNeeded = false;
-          break;
-        default:
-          status = 'check_failed';
-          recheckNeeded = true;
-      }
+      const result = await this.smtpVerifier.verify(email, mxHosts);
+      this.recordDomainVerdict(email, result);
       
-      // If valid, add to known valid emails
-      if (status === 'valid') {
-        logger.info(`Adding valid email to known list: ${email}`);
-        this.csvManager.addValidatedEmail(email, 'zerobounce');
-        this.knownValidEmails.add(email.toLowerCase());
+      // Only a mailbox accepted where a made-up address was refused is known valid
+      if (result.status === 'valid' && result.catchAll === false) {
+        this.rememberValidEmail(email, 'smtp');
       }
       
-      return {
-        email,
-        status,
-        subStatus,
-        recheckNeeded,
-        source: 'zerobounce',
-        details: result
-      };
+      return result;
       
     } catch (error) {
-      logger.error(`ZeroBounce API error for ${email}:`, error);
+      logger.error(`SMTP check error for ${email}:`, error);
       return {
         email,
         status: 'check_failed',
         recheckNeeded: true,
-        source: 'zerobounce',
+        source: 'smtp',
         error: error.message
       };
     }
   }
   
+  /**
+   * Check email with the configured verification providers (ZeroBounce, NeverBounce, Kickbox...)
+   * @param {string} email - Email to validate
+   * @returns {Object} - Validation result
+   */
+  async checkWithProviders(email) {
+    const result = await this.verificationService.verify(email);
+    this.recordDomainVerdict(email, result);
+    
+    // If valid, add to known valid emails
+    if (result.status === 'valid') {
+      this.rememberValidEmail(email, result.source);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Reload data that admin endpoints change from another instance (approved typo mappings,
+   * domain overrides). A file is only read again when its modification time or size changed
+   */
+  refreshSharedData() {
+    if (getFileStamp(this.csvManager.typoMappingsPath) !== this.learnedTyposStamp) {
+      logger.debug('typo-mappings.csv changed, reloading learned typos');
+      this.loadLearnedTypos();
+    }
+    
+    this.domainKnowledge.refresh();
+  }
+  
   /**
    * Main validation function
    * @param {string} email - Email to validate
+   * @param {Object} options - Validation options
+   * @param {boolean} options.forceRecheck - Ignore cached verdicts and check again
+   * @param {string} options.mode - 'correct' (default) applies corrections, 'suggest' only returns suggestions
+   * @returns {Object} - Validation result with deliverability score
+   */
+  async validateEmail(email, options = {}) {
+    this.refreshSharedData();
+    const result = await this.runValidationSteps(email, options);
+    
+    // Score the final result so every exit path gets one
+    const { score, signals } = calculateScore(result, this.config.scoring?.weights);
+    result.score = score;
+    result.scoreSignals = signals;
+    
+    logger.debug(`Deliverability score for ${result.currentEmail}: ${score}`, { signals });
+    
+    return result;
+  }
+  
+  /**
+   * Run the validation steps for an email
+   * @param {string} email - Email to validate
+   * @param {Object} options - Validation options (see validateEmail)
    * @returns {Object} - Validation result
    */
-  async validateEmail(email) {
+  async runValidationSteps(email, options = {}) {
     logger.info(`Validating email: ${email}`);
     
     const result = {
       originalEmail: email,
       currentEmail: email,
+      canonicalEmail: null,
+      displayName: null,
+      stripped: [],
+      otherEmails: [],
       formatValid: false,
       wasCorrected: false,
+      corrections: [],
+      suggestions: [],
+      asciiEmail: email,
+      unicodeEmail: email,
+      isInternational: false,
+      homographRisk: null,
+      isSuppressed: false,
+      suppression: null,
       isKnownValid: false,
+      isDisposable: false,
+      isRoleAccount: false,
+      roleAccount: null,
+      isCatchAll: null,
+      emailType: null,
       domainValid: false,
+      mxFound: false,
       status: 'unknown',
       subStatus: null,
       recheckNeeded: true,
       validationSteps: []
     };
     
-    // Step 1: Basic format check with regex
-    result.formatValid = this.isValidEmailFormat(email);
-    result.validationSteps.push({
-      step: 'format_check',
-      passed: result.formatValid
-    });
+    // Normalize to NFC so visually identical addresses compare equal
+    await this.pipeline.run(this, normalizeUnicode(email), result, options);
     
-    if (!result.formatValid) {
-      result.status = 'invalid';
-      result.subStatus = 'bad_format';
-      result.recheckNeeded = false;
-      logger.info(`Email has invalid format: ${email}`);
-      return result;
+    // currentEmail stays the deliverable address; canonicalEmail identifies the mailbox
+    if (result.formatValid) {
+      result.canonicalEmail = this.getCanonicalEmail(result.currentEmail);
+      result.emailType = this.getEmailType(result.currentEmail);
     }
     
-    // Step 2: Correct common typos
-    const { corrected, email: correctedEmail, correctionType } = this.correctEmailTypos(email);
-    result.wasCorrected = corrected;
-    result.currentEmail = correctedEmail;
-    result.validationSteps.push({
-      step: 'typo_correction',
-      applied: corrected,
-      correctionType: correctionType,
-      original: email,
-      corrected: correctedEmail
-    });
-    
-    // Step 3: Check if it's a known valid email
-    result.isKnownValid = this.isKnownValidEmail(correctedEmail);
-    result.validationSteps.push({
-      step: 'known_valid_check',
-      passed: result.isKnownValid
+    return result;
+  }
+  
+  /**
+   * Add a custom step to the validation pipeline
+   * The step still has to be listed in config.pipeline.steps to run
+   * @param {string} name - Step name
+   * @param {Object} step - Step with an async run(context) method and optional enabled(config)
+   */
+  registerStep(name, step) {
+    this.pipeline.registerStep(name, step);
+  }
+  
+  /**
+   * Expand batch values into one entry per address
+   * Fields holding several addresses ("a@acme.com; b@acme.com") give one entry per address, each with `splitFrom`
+   * @param {string[]} emails - Emails (or raw field values) to validate
+   * @returns {Array<{email, splitFrom, index}>} - Entries in input order, with the index of the value they came from
+   */
+  expandBatchEntries(emails) {
+    const entries = emails.flatMap((value, index) => {
+      const segments = this.config.validation?.parseInput !== false ? splitAddressList(value) : [];
+      return segments.length > 1
+        ? segments.map(segment => ({ email: segment, splitFrom: value, index }))
+        : [{ email: value, splitFrom: null, index }];
     });
     
-    if (result.isKnownValid) {
-      result.status = 'valid';
-      result.recheckNeeded = false;
-      logger.info(`Email found in known valid list: ${correctedEmail}`);
-      return result;
+    if (entries.length > emails.length) {
+      logger.info(`Split multi-address fields into ${entries.length} emails`);
     }
     
-    // Step 4: Check if domain appears valid
-    result.domainValid = this.isValidDomain(correctedEmail);
-    result.validationSteps.push({
-      step: 'domain_check',
-      passed: result.domainValid
-    });
-    
-    // Step 5: If enabled, check with ZeroBounce
-    if (this.config.validation?.useZeroBounce) {
-      const bounceCheck = await this.checkWithZeroBounce(correctedEmail);
-      result.status = bounceCheck.status;
-      result.subStatus = bounceCheck.subStatus;
-      result.recheckNeeded = bounceCheck.recheckNeeded;
-      result.validationSteps.push({
-        step: 'zerobounce_check',
-        result: bounceCheck
+    return entries;
+  }
+  
+  /**
+   * Count the different mailboxes among emails, which is what quotas are charged for
+   * Display names are stripped and spellings of the same mailbox count once
+   * @param {string[]} emails - Emails (or raw single-address field values)
+   * @returns {number}
+   */
+  countMailboxes(emails) {
+    const parseInput = this.config.validation?.parseInput !== false;
+    const mailboxes = new Set(emails.map(value => {
+      const email = parseInput ? parseAddress(String(value)).email : String(value);
+      return this.getCanonicalEmail(email) || email;
+    }));
+    
+    return mailboxes.size;
+  }
+  
+  /**
+   * Count the validations a batch will be charged for
+   * Multi-address fields count once per address (see expandBatchEntries), duplicates once
+   * @param {string[]} emails - Emails (or raw field values) to validate
+   * @returns {number}
+   */
+  countBatchValidations(emails) {
+    return this.countMailboxes(this.expandBatchEntries(emails).map(entry => entry.email));
+  }
+  
+  /**
+   * Validate one batch entry
+   * Different spellings of the same mailbox are flagged with `duplicateOf`
+   * @param {Object} entry - {email, splitFrom, index} from expandBatchEntries
+   * @param {Object} options - {forceRecheck, mode} (see validateEmail)
+   * @param {Map} seen - First original email seen for each canonical email, updated in place
+   * @returns {Object} - Validation result, with status 'check_failed' when validation threw
+   */
+  async validateBatchEntry({ email, splitFrom }, options = {}, seen = new Map()) {
+    try {
+      const result = await this.validateEmail(email, {
+        forceRecheck: options.forceRecheck,
+        mode: options.mode
       });
       
-      logger.info(`ZeroBounce validation result for ${correctedEmail}:`, {
-        status: result.status,
-        subStatus: result.subStatus,
-        recheckNeeded: result.recheckNeeded
-      });
-    } else {
-      // Without ZeroBounce, rely on domain check
-      result.status = result.domainValid ? 'unknown' : 'invalid';
-      result.recheckNeeded = result.domainValid;
-      logger.info(`Domain-only validation result for ${correctedEmail}:`, {
-        status: result.status,
-        recheckNeeded: result.recheckNeeded
-      });
+      if (splitFrom) {
+        result.splitFrom = splitFrom;
+      }
+      
+      if (result.canonicalEmail) {
+        if (seen.has(result.canonicalEmail)) {
+          result.duplicateOf = seen.get(result.canonicalEmail);
+          logger.debug(`Duplicate email in batch: ${email} (same mailbox as ${result.duplicateOf})`);
+        } else {
+          seen.set(result.canonicalEmail, email);
+        }
+      }
+      
+      // Add a small delay to avoid rate limits if using verification providers
+      if (this.config.validation?.useProviderCheck) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error(`Error validating email ${email}:`, error);
+      return {
+        originalEmail: email,
+        currentEmail: email,
+        ...(splitFrom ? { splitFrom } : {}),
+        status: 'check_failed',
+        error: error.message
+      };
     }
-    
-    return result;
   }
   
   /**
    * Process a batch of emails
-   * @param {string[]} emails - Emails to validate
+   * Fields holding several addresses ("a@acme.com; b@acme.com") give one result per address, each with `splitFrom`
+   * @param {string[]} emails - Emails (or raw field values) to validate
+   * @param {Object} options - Batch options
+   * @param {number} options.minScore - Only return results scoring at least this much
+   * @param {boolean} options.forceRecheck - Ignore cached verdicts and check again
+   * @param {string} options.mode - 'correct' or 'suggest' (see validateEmail)
+   * @param {Function} options.onResult - Called with (result, index) as soon as each result kept by minScore is ready;
+   *   index is the position of the value in `emails`. Returning false stops the batch
    * @returns {Object[]} - Validation results
    */
-  async validateBatch(emails) {
+  async validateBatch(emails, options = {}) {
     logger.info(`Starting batch validation of ${emails.length} emails`);
     
     const results = [];
+    // First original email seen for each canonical email
+    const seen = new Map();
     
-    for (const email of emails) {
-      try {
-        const result = await this.validateEmail(email);
-        results.push(result);
-        
-        // Add a small delay to avoid rate limits if using ZeroBounce
-        if (this.config.validation?.useZeroBounce) {
-          await new Promise(resolve => setTimeout(resolve, 300));
-        }
-      } catch (error) {
-        logger.error(`Error validating email ${email}:`, error);
-        results.push({
-          originalEmail: email,
-          currentEmail: email,
-          status: 'check_failed',
-          error: error.message
-        });
+    for (const entry of this.expandBatchEntries(emails)) {
+      const result = await this.validateBatchEntry(entry, options, seen);
+      results.push(result);
+      
+      if (options.onResult && this.meetsMinScore(result, options.minScore)
+        && options.onResult(result, entry.index) === false) {
+        logger.info(`Batch validation stopped after ${results.length} emails`);
+        break;
       }
     }
     
     logger.info(`Completed batch validation of ${emails.length} emails`);
-    return results;
+    
+    return this.filterByScore(results, options.minScore);
+  }
+  
+  /**
+   * Check if a result scores at least the minimum
+   * @param {Object} result - Validation result
+   * @param {number} minScore - Minimum score (defaults to config.scoring.minScore; every result passes when unset)
+   * @returns {boolean}
+   */
+  meetsMinScore(result, minScore) {
+    minScore = minScore ?? this.config.scoring?.minScore;
+    return typeof minScore !== 'number' || (result.score ?? 0) >= minScore;
+  }
+  
+  /**
+   * Drop results scoring below the minimum
+   * @param {Object[]} results - Validation results
+   * @param {number} minScore - Minimum score (defaults to config.scoring.minScore; no filter when unset)
+   * @returns {Object[]} - Results kept
+   */
+  filterByScore(results, minScore) {
+    minScore = minScore ?? this.config.scoring?.minScore;
+    if (typeof minScore !== 'number') return results;
+    
+    const filtered = results.filter(result => this.meetsMinScore(result, minScore));
+    logger.info(`Filtered batch by score >= ${minScore}: ${filtered.length} of ${results.length} kept`);
+    return filtered;
+  }
+  
+  /**
+   * Link an email to a HubSpot contact
+   * @param {string} email - Email address
+   * @param {string} contactId - HubSpot contact ID
+   */
+  linkContact(email, contactId) {
+    const key = this.getCanonicalEmail(email);
+    if (!contactId || this.contactLinks.get(key) === String(contactId)) return;
+    
+    this.csvManager.addContactLink(key, String(contactId));
+    this.contactLinks.set(key, String(contactId));
+  }
+  
+  /**
+   * Get the HubSpot contact linked to an email
+   * @param {string} email - Email address
+   * @returns {string|null} - HubSpot contact ID
+   */
+  getContactId(email) {
+    return this.contactLinks.get(this.getCanonicalEmail(email)) || null;
   }
   
   /**
@@ -420,12 +935,28 @@ export class EmailValidationService {
       if (validationResult.wasCorrected) {
         properties.original_email = validationResult.originalEmail;
         properties.email_corrected = true;
+        
+        if (this.config.hubspot.correctionsProperty && validationResult.corrections?.length) {
+          properties[this.config.hubspot.correctionsProperty] = formatCorrectionTrail(validationResult.corrections);
+        }
       }
       
       if (validationResult.subStatus) {
         properties.email_sub_status = validationResult.subStatus;
       }
       
+      if (this.config.hubspot.scoreProperty && typeof validationResult.score === 'number') {
+        properties[this.config.hubspot.scoreProperty] = validationResult.score;
+      }
+      
+      if (this.config.hubspot.emailTypeProperty && validationResult.emailType) {
+        properties[this.config.hubspot.emailTypeProperty] = validationResult.emailType;
+      }
+      
+      if (this.config.hubspot.roleAccountProperty) {
+        properties[this.config.hubspot.roleAccountProperty] = Boolean(validationResult.isRoleAccount);
+      }
+      
       logger.debug(`HubSpot update properties for ${contactId}:`, properties);
       
       const response = await axios.patch(
@@ -441,6 +972,9 @@ export class EmailValidationService {
       
       logger.info(`Successfully updated HubSpot contact ${contactId}`);
       
+      // Remember the contact so scheduled re-verification can update it later
+      this.linkContact(validationResult.currentEmail, contactId);
+      
       return {
         success: true,
         contactId,
@@ -0,0 +1,412 @@
+/**
+ * Job Service
+ * Validates large lists in the background. Each job keeps its state, input and results
+ * under data/jobs/, so a job interrupted by a restart or a function timeout resumes
+ * where it stopped
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import axios from 'axios';
+import Papa from 'papaparse';
+import logger from '../utils/logger';
+import { fileExists, readTextFile, writeTextFile, appendTextFile, createDirectory } from '../utils/file-utils';
+import { detectEmailColumn, findColumn } from '../utils/email-column-utils';
+import { assertFetchableUrl, publicOnlyLookup } from '../utils/network-utils';
+
+/**
+ * Job statuses; completed, cancelled and failed jobs are finished
+ */
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+const JOB_ID_REGEX = /^job_[a-f0-9]{16}$/;
+
+export class JobService {
+  /**
+   * Create a new JobService
+   * @param {EmailValidationService} validator - Validator used for every email
+   * @param {Object} options - Job configuration (config.jobs)
+   * @param {string} options.jobsDir - Directory holding job files (defaults to config.paths.jobsDir)
+   * @param {number} options.maxEmails - Most emails accepted per job
+   * @param {number} options.timeBudget - Time a single run may spend before handing over (ms)
+   * @param {number} options.chunkSize - Emails validated between progress saves
+   * @param {string[]} options.fileHosts - Hosts file URLs may point to (any public host when empty)
+   * @param {number} options.maxFileBytes - Largest file downloaded from a file URL
+   */
+  constructor(validator, options = {}) {
+    this.validator = validator;
+    this.jobsDir = options.jobsDir || validator.config.paths.jobsDir;
+    this.maxEmails = options.maxEmails || 10000;
+    this.timeBudget = options.timeBudget || 50000;
+    this.chunkSize = Math.max(1, options.chunkSize || 25);
+    this.fileHosts = options.fileHosts || [];
+    this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+    // Jobs this process is working on
+    this.active = new Set();
+
+    createDirectory(this.jobsDir);
+  }
+
+  /**
+   * Get the path of a job file
+   * @param {string} id - Job ID
+   * @param {string} suffix - 'json', 'input.json' or 'results.jsonl'
+   * @returns {string}
+   */
+  filePath(id, suffix) {
+    return path.join(this.jobsDir, `${id}.${suffix}`);
+  }
+
+  /**
+   * Save a job's state
+   * @param {Object} job - Job state
+   * @returns {Object} - Saved job
+   */
+  save(job) {
+    const saved = { ...job, updatedAt: new Date().toISOString() };
+    writeTextFile(this.filePath(job.id, 'json'), JSON.stringify(saved, null, 2));
+    return saved;
+  }
+
+  /**
+   * Create a job
+   * @param {string[]} emails - Emails (or raw field values) to validate
+   * @param {Object} options - Job options
+   * @param {string} options.mode - 'correct' or 'suggest' (see validateEmail)
+   * @param {boolean} options.forceRecheck - Ignore cached verdicts and check again
+   * @param {number} options.minScore - Only return results scoring at least this much
+   * @param {Object} options.source - Where the emails came from, e.g. {type: 'file', url, emailColumn}
+   * @param {string} options.keyId - API key the job was submitted with
+   * @returns {Object} - Queued job
+   */
+  create(emails, options = {}) {
+    if (emails.length > this.maxEmails) {
+      throw new Error(`Maximum job size is ${this.maxEmails} emails`);
+    }
+
+    const id = `job_${crypto.randomBytes(8).toString('hex')}`;
+    const entries = this.validator.expandBatchEntries(emails);
+    const now = new Date().toISOString();
+
+    writeTextFile(this.filePath(id, 'input.json'), JSON.stringify(entries));
+
+    const job = this.save({
+      id,
+      status: 'queued',
+      total: entries.length,
+      processed: 0,
+      counts: {},
+      options: {
+        mode: options.mode || 'correct',
+        forceRecheck: options.forceRecheck === true,
+        minScore: options.minScore ?? null
+      },
+      source: options.source || { type: 'list' },
+      keyId: options.keyId || null,
+      createdAt: now,
+      startedAt: null,
+      completedAt: null,
+      leaseUntil: null,
+      error: null
+    });
+
+    logger.info(`Created job ${id} for ${entries.length} emails`);
+
+    return job;
+  }
+
+  /**
+   * Get a job's state
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Job, or null when it doesn't exist
+   */
+  get(id) {
+    if (!JOB_ID_REGEX.test(String(id))) return null;
+
+    const content = readTextFile(this.filePath(id, 'json'));
+    if (!content) return null;
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      logger.error(`Error reading job ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List jobs
+   * @param {Object} filters - Filters
+   * @param {string} filters.status - Only jobs with this status
+   * @returns {Object[]} - Jobs, newest first
+   */
+  list(filters = {}) {
+    if (!fileExists(this.jobsDir)) return [];
+
+    return fs.readdirSync(this.jobsDir)
+      .map(file => file.match(/^(job_[a-f0-9]+)\.json$/))
+      .filter(Boolean)
+      .map(match => this.get(match[1]))
+      .filter(job => job && (!filters.status || job.status === filters.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Check if a job has finished
+   * @param {Object} job - Job state
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Check if a job is waiting for a worker
+   * Running jobs whose lease ran out were interrupted and can be resumed
+   * @param {Object} job - Job state
+   * @returns {boolean}
+   */
+  isResumable(job) {
+    if (job.status === 'queued') return true;
+    if (job.status !== 'running') return false;
+
+    return !job.leaseUntil || new Date(job.leaseUntil).getTime() < Date.now();
+  }
+
+  /**
+   * Cancel a job
+   * Results validated so far are kept and can still be downloaded
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Job, or null when it doesn't exist
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || this.isFinished(job)) return job;
+
+    logger.info(`Cancelled job ${id} after ${job.processed} of ${job.total} emails`);
+
+    return this.save({
+      ...job,
+      status: 'cancelled',
+      completedAt: new Date().toISOString(),
+      leaseUntil: null
+    });
+  }
+
+  /**
+   * Read the results validated so far
+   * A line cut short by a crash is dropped, so the email is validated again on resume
+   * @param {string} id - Job ID
+   * @returns {Object[]} - Results in input order
+   */
+  readResults(id) {
+    const resultsPath = this.filePath(id, 'results.jsonl');
+    const content = readTextFile(resultsPath);
+    if (!content) return [];
+
+    const complete = content.endsWith('\n') ? content : content.slice(0, content.lastIndexOf('\n') + 1);
+    if (complete !== content) {
+      logger.warn(`Dropping incomplete result line from job ${id}`);
+      writeTextFile(resultsPath, complete);
+    }
+
+    return complete.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Get the results of a job
+   * @param {string} id - Job ID
+   * @returns {Object[]|null} - Results (filtered by the job's minScore), or null when the job doesn't exist
+   */
+  getResults(id) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    return this.validator.filterByScore(this.readResults(id), job.options.minScore);
+  }
+
+  /**
+   * Count results by status
+   * @param {Object[]} results - Validation results
+   * @returns {Object} - {status: count}
+   */
+  countByStatus(results) {
+    return results.reduce((counts, { status }) => {
+      counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Process a job until it finishes, is cancelled or runs out of time
+   * Progress is saved every chunk, and the job is leased so no other worker picks it up meanwhile
+   * @param {string} id - Job ID
+   * @param {Object} options - Run options
+   * @param {number} options.timeBudget - Time to spend before handing over (ms)
+   * @returns {Object|null} - Job state after the run
+   */
+  async run(id, options = {}) {
+    let job = this.get(id);
+    if (!job || !this.isResumable(job)) return job;
+
+    const timeBudget = options.timeBudget || this.timeBudget;
+    const deadline = Date.now() + timeBudget;
+    // The lease outlives the budget by a margin, so a slow last email doesn't let a second worker in
+    const lease = () => new Date(Date.now() + timeBudget + 30000).toISOString();
+
+    try {
+      const entries = JSON.parse(readTextFile(this.filePath(id, 'input.json')) || '[]');
+      const results = this.readResults(id);
+      const counts = this.countByStatus(results);
+
+      // Rebuild duplicate detection from what was validated before
+      const seen = new Map();
+      results.forEach(result => {
+        if (result.canonicalEmail && !result.duplicateOf && !seen.has(result.canonicalEmail)) {
+          seen.set(result.canonicalEmail, result.originalEmail);
+        }
+      });
+
+      job = this.save({
+        ...job,
+        status: 'running',
+        processed: results.length,
+        counts,
+        startedAt: job.startedAt || new Date().toISOString(),
+        leaseUntil: lease()
+      });
+
+      logger.info(`Running job ${id} from ${results.length} of ${entries.length} emails`);
+
+      let processed = results.length;
+
+      while (processed < entries.length && Date.now() < deadline) {
+        const chunk = entries.slice(processed, processed + this.chunkSize);
+
+        for (const entry of chunk) {
+          const result = await this.validator.validateBatchEntry(entry, job.options, seen);
+          appendTextFile(this.filePath(id, 'results.jsonl'), `${JSON.stringify(result)}\n`);
+          counts[result.status] = (counts[result.status] || 0) + 1;
+          processed++;
+
+          if (Date.now() >= deadline) break;
+        }
+
+        // Cancellation is written to the state file by another request
+        const current = this.get(id);
+        if (!current || current.status === 'cancelled') {
+          logger.info(`Job ${id} was cancelled, stopping`);
+          return current;
+        }
+
+        job = this.save({ ...current, processed, counts, leaseUntil: lease() });
+      }
+
+      if (processed >= entries.length) {
+        logger.info(`Completed job ${id}`, counts);
+        return this.save({ ...job, status: 'completed', completedAt: new Date().toISOString(), leaseUntil: null });
+      }
+
+      // Out of time: release the lease so the next worker resumes the job
+      logger.info(`Job ${id} paused after ${processed} of ${entries.length} emails`);
+      return this.save({ ...job, leaseUntil: null });
+    } catch (error) {
+      logger.error(`Error running job ${id}:`, error);
+      return this.save({
+        ...(this.get(id) || job),
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        leaseUntil: null,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Start processing a job in the background without waiting for it
+   * Does nothing while this process is already working on the job
+   * @param {string} id - Job ID
+   */
+  start(id) {
+    if (this.active.has(id)) return;
+
+    this.active.add(id);
+    this.run(id)
+      .catch(error => logger.error(`Error running job ${id}:`, error))
+      .finally(() => this.active.delete(id));
+  }
+
+  /**
+   * Process waiting jobs, oldest first, within one time budget
+   * Used by the worker endpoint to pick up new jobs and resume interrupted ones
+   * @param {Object} options - Run options
+   * @param {number} options.timeBudget - Time to spend across all jobs (ms)
+   * @returns {Object} - {pending, jobs: [{id, status, processed, total}]}
+   */
+  async runPending(options = {}) {
+    const deadline = Date.now() + (options.timeBudget || this.timeBudget);
+    const pending = this.list()
+      .filter(job => this.isResumable(job))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const jobs = [];
+
+    for (const { id } of pending) {
+      const timeBudget = deadline - Date.now();
+      if (timeBudget <= 0) break;
+
+      const job = await this.run(id, { timeBudget });
+      if (job) {
+        jobs.push({ id, status: job.status, processed: job.processed, total: job.total });
+      }
+    }
+
+    return { pending: pending.length, jobs };
+  }
+
+  /**
+   * Read the emails of an uploaded CSV file
+   * Only public addresses (and the fileHosts allowlist, when set) can be reached, redirects
+   * included, and the download stops at maxFileBytes
+   * @param {string} url - URL of the CSV file
+   * @param {string} emailColumn - Column holding the emails (detected when not given)
+   * @returns {Object} - {emails, emailColumn}
+   */
+  async fetchEmailsFromFile(url, emailColumn) {
+    const checkUrl = target => assertFetchableUrl(target, { allowedHosts: this.fileHosts });
+    checkUrl(url);
+
+    const response = await axios.get(url, {
+      responseType: 'text',
+      timeout: 30000,
+      maxContentLength: this.maxFileBytes,
+      maxBodyLength: this.maxFileBytes,
+      maxRedirects: 3,
+      beforeRedirect: options => checkUrl(options.href),
+      httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+      httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+    });
+    const parsed = Papa.parse(String(response.data), { header: true, skipEmptyLines: true });
+    const fields = parsed.meta.fields || [];
+
+    const column = emailColumn ? findColumn(fields, emailColumn) : detectEmailColumn(fields, parsed.data);
+    if (!column) {
+      throw new Error(emailColumn
+        ? `Column "${emailColumn}" not found in file`
+        : 'Could not detect the email column, set emailColumn');
+    }
+
+    const emails = parsed.data.map(row => String(row[column] ?? '').trim()).filter(Boolean);
+
+    logger.info(`Read ${emails.length} emails from column "${column}" of ${url}`);
+
+    return { emails, emailColumn: column };
+  }
+}
+
+export default JobService;
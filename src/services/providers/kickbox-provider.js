@@ -0,0 +1,87 @@
+/**
+ * Kickbox verification provider
+ * https://docs.kickbox.com/docs/single-verification-api
+ */
+
+import axios from 'axios';
+
+export class KickboxProvider {
+  /**
+   * Create a new KickboxProvider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Kickbox API key
+   * @param {string} options.baseUrl - API base URL (point at a local stand-in for tests)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    this.name = 'kickbox';
+    this.apiKey = options.apiKey || '';
+    this.baseUrl = options.baseUrl || 'https://api.kickbox.com';
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} - Whether the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Verify an email
+   * @param {string} email - Email to verify
+   * @returns {Object} - {email, status, subStatus, recheckNeeded, catchAll, source, details}
+   */
+  async verify(email) {
+    const response = await axios.get(`${this.baseUrl}/v2/verify`, {
+      params: {
+        email: email,
+        apikey: this.apiKey
+      },
+      timeout: this.timeout
+    });
+
+    const result = response.data;
+
+    if (result.success === false) {
+      throw new Error(`Kickbox error: ${result.message || 'request failed'}`);
+    }
+
+    return {
+      email,
+      ...this.mapStatus(result),
+      source: this.name,
+      details: result
+    };
+  }
+
+  /**
+   * Map Kickbox results to our simplified status
+   * @param {Object} result - Kickbox response
+   * @returns {Object} - {status, subStatus, recheckNeeded, catchAll}
+   */
+  mapStatus(result) {
+    const catchAll = Boolean(result.accept_all);
+
+    switch (result.result) {
+      case 'deliverable':
+        return { status: 'valid', subStatus: null, recheckNeeded: false, catchAll };
+      case 'undeliverable':
+        return { status: 'invalid', subStatus: result.reason || null, recheckNeeded: false, catchAll };
+      case 'risky':
+        return {
+          status: 'unknown',
+          subStatus: catchAll ? 'catch_all' : result.reason || 'risky',
+          recheckNeeded: true,
+          catchAll
+        };
+      case 'unknown':
+        return { status: 'unknown', subStatus: result.reason || null, recheckNeeded: true, catchAll };
+      default:
+        return { status: 'check_failed', subStatus: null, recheckNeeded: true, catchAll };
+    }
+  }
+}
+
+export default KickboxProvider;
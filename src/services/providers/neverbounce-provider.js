@@ -0,0 +1,83 @@
+/**
+ * NeverBounce verification provider
+ * https://developers.neverbounce.com/reference/single-check
+ */
+
+import axios from 'axios';
+
+export class NeverBounceProvider {
+  /**
+   * Create a new NeverBounceProvider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - NeverBounce API key
+   * @param {string} options.baseUrl - API base URL (point at a local stand-in for tests)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    this.name = 'neverbounce';
+    this.apiKey = options.apiKey || '';
+    this.baseUrl = options.baseUrl || 'https://api.neverbounce.com';
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} - Whether the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Verify an email
+   * @param {string} email - Email to verify
+   * @returns {Object} - {email, status, subStatus, recheckNeeded, catchAll, source, details}
+   */
+  async verify(email) {
+    const response = await axios.get(`${this.baseUrl}/v4/single/check`, {
+      params: {
+        key: this.apiKey,
+        email: email
+      },
+      timeout: this.timeout
+    });
+
+    const result = response.data;
+
+    // Failed requests still return 200 with a non-success status
+    if (result.status !== 'success') {
+      throw new Error(`NeverBounce error: ${result.message || result.status}`);
+    }
+
+    return {
+      email,
+      ...this.mapStatus(result),
+      source: this.name,
+      details: result
+    };
+  }
+
+  /**
+   * Map NeverBounce result codes to our simplified status
+   * @param {Object} result - NeverBounce response
+   * @returns {Object} - {status, subStatus, recheckNeeded, catchAll}
+   */
+  mapStatus(result) {
+    switch (result.result) {
+      case 'valid':
+        return { status: 'valid', subStatus: null, recheckNeeded: false, catchAll: false };
+      case 'invalid':
+        return { status: 'invalid', subStatus: 'mailbox_not_found', recheckNeeded: false, catchAll: false };
+      case 'disposable':
+        return { status: 'invalid', subStatus: 'disposable', recheckNeeded: false, catchAll: false };
+      case 'catchall':
+        return { status: 'unknown', subStatus: 'catch_all', recheckNeeded: true, catchAll: true };
+      case 'unknown':
+        return { status: 'unknown', subStatus: null, recheckNeeded: true, catchAll: false };
+      default:
+        return { status: 'check_failed', subStatus: null, recheckNeeded: true, catchAll: false };
+    }
+  }
+}
+
+export default NeverBounceProvider;
@@ -0,0 +1,88 @@
+/**
+ * ZeroBounce verification provider
+ * https://www.zerobounce.net/docs/email-validation-api-quickstart/
+ */
+
+import axios from 'axios';
+
+export class ZeroBounceProvider {
+  /**
+   * Create a new ZeroBounceProvider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - ZeroBounce API key
+   * @param {string} options.baseUrl - API base URL (point at a local stand-in for tests)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    this.name = 'zerobounce';
+    this.apiKey = options.apiKey || '';
+    this.baseUrl = options.baseUrl || 'https://api.zerobounce.net';
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} - Whether the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Verify an email
+   * @param {string} email - Email to verify
+   * @returns {Object} - {email, status, subStatus, recheckNeeded, catchAll, source, details}
+   */
+  async verify(email) {
+    const response = await axios.get(`${this.baseUrl}/v2/validate`, {
+      params: {
+        api_key: this.apiKey,
+        email: email,
+        ip_address: ''
+      },
+      timeout: this.timeout
+    });
+
+    const result = response.data;
+
+    // ZeroBounce reports problems such as invalid keys or missing credits in an "error" field
+    if (result.error) {
+      throw new Error(`ZeroBounce error: ${result.error}`);
+    }
+
+    return {
+      email,
+      ...this.mapStatus(result),
+      source: this.name,
+      details: result
+    };
+  }
+
+  /**
+   * Map ZeroBounce status to our simplified status
+   * @param {Object} result - ZeroBounce response
+   * @returns {Object} - {status, subStatus, recheckNeeded, catchAll}
+   */
+  mapStatus(result) {
+    switch (result.status) {
+      case 'valid':
+        return { status: 'valid', subStatus: null, recheckNeeded: false, catchAll: false };
+      case 'invalid':
+        return { status: 'invalid', subStatus: result.sub_status || null, recheckNeeded: false, catchAll: false };
+      case 'catch-all':
+        return { status: 'unknown', subStatus: 'catch_all', recheckNeeded: true, catchAll: true };
+      case 'unknown':
+        return { status: 'unknown', subStatus: result.sub_status || null, recheckNeeded: true, catchAll: false };
+      case 'spamtrap':
+        return { status: 'invalid', subStatus: 'spamtrap', recheckNeeded: false, catchAll: false };
+      case 'abuse':
+        return { status: 'invalid', subStatus: 'abuse', recheckNeeded: false, catchAll: false };
+      case 'do_not_mail':
+        return { status: 'invalid', subStatus: result.sub_status || 'do_not_mail', recheckNeeded: false, catchAll: false };
+      default:
+        return { status: 'check_failed', subStatus: null, recheckNeeded: true, catchAll: false };
+    }
+  }
+}
+
+export default ZeroBounceProvider;
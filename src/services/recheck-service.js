@@ -0,0 +1,241 @@
+/**
+ * Recheck Service
+ * Re-verifies stale known valid emails and cached verdicts that need a recheck,
+ * in rate-limited batches, and pushes the new results to HubSpot where a contact is linked
+ */
+
+import logger from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date, treating missing or unparsable ones as the oldest possible
+ * @param {string} value - ISO date
+ * @returns {number} - Milliseconds since the epoch
+ */
+const toTime = value => {
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+export class RecheckService {
+  /**
+   * Create a new RecheckService
+   * @param {EmailValidationService} validator - Validator that owns the known valid list and verdict cache
+   * @param {Object} options - Recheck configuration (config.recheck)
+   * @param {number} options.batchSize - Emails validated per batch
+   * @param {number} options.batchDelay - Pause between batches (ms)
+   * @param {number} options.maxPerRun - Most emails rechecked in one run
+   * @param {number} options.timeBudget - Time a run may spend, pauses included (ms)
+   * @param {number} options.minIntervalDays - Days before an email is rechecked again
+   * @param {boolean} options.updateHubSpot - Update linked HubSpot contacts with the new results
+   */
+  constructor(validator, options = {}) {
+    this.validator = validator;
+    this.batchSize = Math.max(1, options.batchSize || 20);
+    this.batchDelay = options.batchDelay ?? 5000;
+    this.maxPerRun = options.maxPerRun || 200;
+    this.timeBudget = options.timeBudget || 50000;
+    this.minIntervalDays = options.minIntervalDays ?? 7;
+    this.updateHubSpot = options.updateHubSpot !== false;
+    this.rechecks = this.loadRechecks();
+  }
+
+  /**
+   * Load when each email was last rechecked (known-emails/rechecks.csv)
+   * @returns {Map} - Canonical email to {status, subStatus, checkedAt}
+   */
+  loadRechecks() {
+    return this.validator.csvManager.loadRechecks(email => this.validator.getCanonicalEmail(email));
+  }
+
+  /**
+   * Check if rechecks can settle a mailbox, i.e. SMTP or a verification provider is set up
+   * Without either, validation only checks the domain, which can't resolve a cached verdict
+   * @returns {boolean}
+   */
+  canVerifyMailboxes() {
+    const { validation = {}, smtp = {} } = this.validator.config;
+    return Boolean((validation.useSmtpCheck && smtp.mailFrom) || validation.useProviderCheck);
+  }
+
+  /**
+   * Find emails due for re-verification, oldest first
+   * Emails rechecked within minIntervalDays, and cached verdicts when mailboxes can't be
+   * verified, are skipped, so results that stay unknown don't come back on every run
+   * @returns {Object} - {candidates: [{email, reason, lastCheckedAt}], skipped}
+   */
+  getCandidates() {
+    const candidates = new Map();
+    const canVerify = this.canVerifyMailboxes();
+    const recheckedSince = Date.now() - this.minIntervalDays * DAY_MS;
+    let skipped = 0;
+
+    const add = (email, reason, checkedAt) => {
+      const recheck = this.rechecks.get(email);
+      if (recheck && toTime(recheck.checkedAt) > recheckedSince) {
+        skipped++;
+        return;
+      }
+
+      const lastCheckedAt = recheck && toTime(recheck.checkedAt) > toTime(checkedAt) ? recheck.checkedAt : checkedAt;
+      candidates.set(email, { email, reason, lastCheckedAt });
+    };
+
+    this.validator.knownValidEmails.forEach((entry, email) => {
+      if (!this.validator.isStaleEntry(entry)) return;
+
+      // Stale entries that already failed re-verification stay in the CSV, but the failure is recorded
+      const recheck = this.rechecks.get(email);
+      const failedRecheck = recheck?.status === 'invalid' && toTime(recheck.checkedAt) >= toTime(entry.validatedAt);
+      if (this.validator.verdictCache.get(email)?.status === 'invalid' || failedRecheck) return;
+
+      add(email, 'stale', entry.validatedAt);
+    });
+
+    this.validator.verdictCache.getRecheckable().forEach(verdict => {
+      // A known valid entry is newer information than an old verdict
+      if (candidates.has(verdict.email) || this.validator.isKnownValidEmail(verdict.email)) return;
+
+      if (!canVerify) {
+        skipped++;
+        return;
+      }
+
+      add(verdict.email, 'recheck_needed', verdict.checkedAt);
+    });
+
+    return {
+      candidates: Array.from(candidates.values()).sort((a, b) => toTime(a.lastCheckedAt) - toTime(b.lastCheckedAt)),
+      skipped
+    };
+  }
+
+  /**
+   * Record that an email was rechecked, so it isn't picked again for minIntervalDays
+   * @param {string} email - Email as listed in the candidates
+   * @param {Object} result - {status, subStatus}
+   */
+  recordRecheck(email, result) {
+    const key = this.validator.getCanonicalEmail(email);
+    const recheck = {
+      status: result.status,
+      subStatus: result.subStatus || null,
+      checkedAt: new Date().toISOString()
+    };
+
+    this.rechecks.set(key, recheck);
+    this.validator.csvManager.addRecheck(key, recheck);
+  }
+
+  /**
+   * Re-verify one email and apply the result
+   * @param {Object} candidate - {email, reason, lastCheckedAt}
+   * @returns {Object} - Summary of the recheck
+   */
+  async recheckEmail(candidate) {
+    const { email, reason } = candidate;
+
+    try {
+      const result = await this.validator.validateEmail(email, { forceRecheck: true });
+      this.recordRecheck(email, result);
+
+      // Valid results refresh the known valid list on their own; invalid ones must leave it
+      if (result.status === 'invalid' && reason === 'stale') {
+        this.validator.forgetValidEmail(email);
+        logger.info(`Known valid email failed re-verification: ${email}`, { subStatus: result.subStatus });
+      }
+
+      const contactId = this.validator.getContactId(email);
+      let hubspotUpdated = false;
+
+      if (contactId && this.updateHubSpot) {
+        const update = await this.validator.updateHubSpotContact(contactId, result);
+        hubspotUpdated = update.success;
+      }
+
+      return {
+        email,
+        reason,
+        status: result.status,
+        subStatus: result.subStatus,
+        contactId,
+        hubspotUpdated
+      };
+    } catch (error) {
+      logger.error(`Error rechecking ${email}:`, error);
+      return {
+        email,
+        reason,
+        status: 'check_failed',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Run a recheck pass
+   * @param {Object} options - Run options
+   * @param {number} options.limit - Most emails to recheck (defaults to maxPerRun)
+   * @param {boolean} options.dryRun - Only report the candidates
+   * @param {number} options.timeBudget - Time to spend (defaults to timeBudget)
+   * @returns {Object} - {total, checked, remaining, skipped, dryRun, summary, results}
+   */
+  async run(options = {}) {
+    // Another instance may have rechecked emails since this one started
+    this.rechecks = this.loadRechecks();
+
+    const { candidates, skipped } = this.getCandidates();
+    const limit = Math.min(options.limit || this.maxPerRun, this.maxPerRun);
+    const selected = candidates.slice(0, limit);
+    const deadline = Date.now() + (options.timeBudget || this.timeBudget);
+
+    logger.info(`Recheck found ${candidates.length} candidates (${skipped} skipped), checking ${options.dryRun ? 0 : selected.length}`);
+
+    if (options.dryRun) {
+      return {
+        total: candidates.length,
+        checked: 0,
+        remaining: candidates.length,
+        skipped,
+        dryRun: true,
+        results: selected
+      };
+    }
+
+    const results = [];
+
+    for (let i = 0; i < selected.length && Date.now() < deadline; i += this.batchSize) {
+      if (i > 0 && this.batchDelay > 0) {
+        // A pause that would use up the budget ends the run instead
+        if (Date.now() + this.batchDelay >= deadline) break;
+        await new Promise(resolve => setTimeout(resolve, this.batchDelay));
+      }
+
+      const batch = selected.slice(i, i + this.batchSize);
+      for (const candidate of batch) {
+        if (Date.now() >= deadline) break;
+        results.push(await this.recheckEmail(candidate));
+      }
+    }
+
+    const summary = results.reduce((counts, { status }) => {
+      counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    }, {});
+
+    logger.info(`Recheck completed for ${results.length} emails`, summary);
+
+    return {
+      total: candidates.length,
+      checked: results.length,
+      remaining: candidates.length - results.length,
+      skipped,
+      dryRun: false,
+      summary,
+      results
+    };
+  }
+}
+
+export default RecheckService;
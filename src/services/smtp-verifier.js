@@ -0,0 +1,471 @@
+/**
+ * SMTP Verifier
+ * Probes a mailbox over SMTP (EHLO / MAIL FROM / RCPT TO) without sending any data
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import logger from '../utils/logger';
+
+/**
+ * Check for an SMTP reply accepting a recipient
+ * @param {Object} reply - {code, message}
+ * @returns {boolean}
+ */
+function isAccepted(reply) {
+  return reply.code === 250 || reply.code === 251;
+}
+
+/**
+ * Read the enhanced status code (RFC 3463) a reply starts with, e.g. 5.1.1
+ * @param {Object} reply - {code, message}
+ * @returns {string|null}
+ */
+function enhancedStatus(reply) {
+  const match = String(reply.message || '').match(/^([245]\.\d{1,3}\.\d{1,3})\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check for a reply saying the mailbox doesn't exist
+ * Only 5.1.1 / 5.1.10, or a 550 without an enhanced code of the 5.7 (policy) class, count:
+ * blocks of the sending IP or domain are often 550 5.7.x, 553 or 554, and say nothing about the mailbox
+ * @param {Object} reply - {code, message}
+ * @returns {boolean}
+ */
+function isMailboxNotFound(reply) {
+  const enhanced = enhancedStatus(reply);
+
+  if (enhanced) {
+    return enhanced === '5.1.1' || enhanced === '5.1.10';
+  }
+
+  return reply.code === 550;
+}
+
+/**
+ * Read SMTP replies from a socket one complete (possibly multiline) reply at a time
+ */
+class SmtpConnection {
+  /**
+   * Create a new SmtpConnection
+   * @param {net.Socket} socket - Connected socket
+   * @param {number} timeout - Time to wait for each reply (ms)
+   */
+  constructor(socket, timeout) {
+    this.socket = socket;
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.closedError = null;
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.onClose(error));
+    socket.on('close', () => this.onClose(new Error('Connection closed by server')));
+  }
+
+  /**
+   * Split incoming data into lines and complete replies
+   * @param {string} chunk - Data received from the server
+   */
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({
+          code: parseInt(line.slice(0, 3), 10),
+          message: this.lines.map(l => l.slice(4)).join('\n')
+        });
+        this.lines = [];
+      }
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Handle the socket closing or failing
+   * @param {Error} error - Reason for closing
+   */
+  onClose(error) {
+    if (!this.closedError) {
+      this.closedError = error;
+    }
+    this.flush();
+  }
+
+  /**
+   * Hand the next reply (or the close error) to whoever is waiting
+   */
+  flush() {
+    if (!this.waiting) return;
+
+    const { resolve, reject, timer } = this.waiting;
+
+    if (this.replies.length > 0) {
+      clearTimeout(timer);
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.closedError) {
+      clearTimeout(timer);
+      this.waiting = null;
+      reject(this.closedError);
+    }
+  }
+
+  /**
+   * Wait for the next complete reply
+   * @returns {Promise<Object>} - {code, message}
+   */
+  readReply() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        const error = new Error('SMTP reply timed out');
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, this.timeout);
+
+      this.waiting = { resolve, reject, timer };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {string} command - SMTP command without line ending
+   * @returns {Promise<Object>} - {code, message}
+   */
+  async command(command) {
+    this.socket.write(`${command}\r\n`);
+    return this.readReply();
+  }
+
+  /**
+   * Politely end the session and close the socket
+   */
+  close() {
+    if (!this.closedError) {
+      this.socket.end('QUIT\r\n');
+    }
+    this.socket.destroy();
+  }
+}
+
+export class SmtpVerifier {
+  /**
+   * Create a new SmtpVerifier
+   * @param {Object} options - SMTP configuration (config.smtp)
+   * @param {string} options.mailFrom - Envelope sender used for MAIL FROM, on a domain you control
+   *   (required; nothing is probed without it)
+   * @param {string} options.heloHost - Hostname announced in EHLO/HELO (defaults to the mailFrom domain)
+   * @param {number} options.port - SMTP port to connect to
+   * @param {string} options.hostOverride - Connect to this host instead of the MX (e.g. a local fake server)
+   * @param {number} options.timeout - Connection and reply timeout (ms)
+   * @param {number} options.maxConnectionsPerHost - Concurrent connections allowed to one MX host
+   * @param {number} options.greylistRetries - How many times to retry a greylisted (4xx) address
+   * @param {number} options.greylistDelay - Delay before retrying a greylisted address (ms)
+   * @param {boolean} options.detectCatchAll - Also probe a random address, so servers that accept every
+   *   recipient aren't taken as proof the mailbox exists
+   */
+  constructor(options = {}) {
+    this.mailFrom = options.mailFrom || null;
+    this.heloHost = options.heloHost || this.mailFrom?.split('@')[1] || 'localhost';
+    this.port = options.port || 25;
+    this.hostOverride = options.hostOverride || null;
+    this.timeout = options.timeout || 10000;
+    this.maxConnectionsPerHost = options.maxConnectionsPerHost || 2;
+    this.greylistRetries = options.greylistRetries ?? 1;
+    this.greylistDelay = options.greylistDelay ?? 10000;
+    this.detectCatchAll = options.detectCatchAll !== false;
+
+    // Active connection counts and waiting callers per host
+    this.activeConnections = new Map();
+    this.waitingForHost = new Map();
+  }
+
+  /**
+   * Wait until a connection slot is free for a host
+   * @param {string} host - MX host
+   */
+  async acquireSlot(host) {
+    const active = this.activeConnections.get(host) || 0;
+
+    if (active < this.maxConnectionsPerHost) {
+      this.activeConnections.set(host, active + 1);
+      return;
+    }
+
+    // The slot is handed over directly by releaseSlot, so the count stays the same
+    await new Promise(resolve => {
+      const queue = this.waitingForHost.get(host) || [];
+      queue.push(resolve);
+      this.waitingForHost.set(host, queue);
+    });
+  }
+
+  /**
+   * Release a connection slot for a host
+   * @param {string} host - MX host
+   */
+  releaseSlot(host) {
+    const queue = this.waitingForHost.get(host);
+
+    if (queue && queue.length > 0) {
+      queue.shift()();
+      return;
+    }
+
+    this.waitingForHost.delete(host);
+    const active = (this.activeConnections.get(host) || 1) - 1;
+
+    if (active > 0) {
+      this.activeConnections.set(host, active);
+    } else {
+      this.activeConnections.delete(host);
+    }
+  }
+
+  /**
+   * Open a connection to an SMTP server
+   * @param {string} host - Host to connect to
+   * @returns {Promise<SmtpConnection>} - Connected session
+   */
+  connect(host) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port: this.port });
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        const error = new Error(`Connection to ${host}:${this.port} timed out`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        resolve(new SmtpConnection(socket, this.timeout));
+      });
+
+      socket.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Make up an address on the same domain that can't exist, for catch-all detection
+   * @param {string} email - Email address being probed
+   * @returns {string}
+   */
+  randomAddress(email) {
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    return `unmessy-probe-${crypto.randomBytes(6).toString('hex')}@${domain}`;
+  }
+
+  /**
+   * Run one EHLO / MAIL FROM / RCPT TO conversation against a host
+   * When the address is accepted and catch-all detection is on, a random address on the
+   * same domain is asked for in the same session
+   * @param {string} host - Host to connect to
+   * @param {string} email - Email address to probe
+   * @returns {Object} - {code, message, stage, catchAllReply}
+   */
+  async probeHost(host, email) {
+    const connection = await this.connect(host);
+
+    try {
+      const greeting = await connection.readReply();
+      if (greeting.code !== 220) {
+        return { ...greeting, stage: 'greeting' };
+      }
+
+      let hello = await connection.command(`EHLO ${this.heloHost}`);
+      if (hello.code >= 500) {
+        // Very old servers only understand HELO
+        hello = await connection.command(`HELO ${this.heloHost}`);
+      }
+      if (hello.code !== 250) {
+        return { ...hello, stage: 'helo' };
+      }
+
+      // UTF-8 local parts can only be sent to servers that advertise SMTPUTF8 (RFC 6531)
+      const needsSmtpUtf8 = /[^\x00-\x7F]/.test(email);
+      if (needsSmtpUtf8 && !/^SMTPUTF8$/im.test(hello.message)) {
+        return { code: 0, message: 'Server does not support SMTPUTF8', stage: 'smtputf8' };
+      }
+
+      const mailFrom = await connection.command(
+        `MAIL FROM:<${this.mailFrom}>${needsSmtpUtf8 ? ' SMTPUTF8' : ''}`
+      );
+      if (mailFrom.code !== 250) {
+        return { ...mailFrom, stage: 'mail_from' };
+      }
+
+      const rcptTo = await connection.command(`RCPT TO:<${email}>`);
+      if (!isAccepted(rcptTo) || !this.detectCatchAll) {
+        return { ...rcptTo, stage: 'rcpt_to' };
+      }
+
+      const catchAllReply = await connection.command(`RCPT TO:<${this.randomAddress(email)}>`);
+      return { ...rcptTo, stage: 'rcpt_to', catchAllReply };
+    } finally {
+      connection.close();
+    }
+  }
+
+  /**
+   * Map an SMTP reply onto our validation statuses
+   * @param {Object} reply - {code, message, stage, catchAllReply}
+   * @returns {Object} - {status, subStatus, recheckNeeded, catchAll}
+   */
+  mapReply(reply) {
+    const { code, stage, catchAllReply } = reply;
+
+    if (stage === 'rcpt_to' && isAccepted(reply)) {
+      if (!catchAllReply) {
+        return { status: 'valid', subStatus: null, recheckNeeded: false, catchAll: null };
+      }
+      // A server that also takes a made-up address says nothing about this mailbox
+      if (isAccepted(catchAllReply)) {
+        return { status: 'unknown', subStatus: 'catch_all', recheckNeeded: true, catchAll: true };
+      }
+      if (isMailboxNotFound(catchAllReply)) {
+        return { status: 'valid', subStatus: null, recheckNeeded: false, catchAll: false };
+      }
+      // The made-up address was neither accepted nor refused as unknown (e.g. greylisted), so
+      // whether the server takes every address is not known
+      const greylisted = catchAllReply.code >= 400 && catchAllReply.code < 500;
+      return { status: 'unknown', subStatus: greylisted ? 'greylisted' : 'catch_all_unverified', recheckNeeded: true, catchAll: null };
+    }
+
+    if (stage === 'smtputf8') {
+      return { status: 'unknown', subStatus: 'smtputf8_unsupported', recheckNeeded: true };
+    }
+
+    // Only a temporary refusal of the recipient is greylisting; earlier 4xx replies (e.g. a 421
+    // greeting) mean the server won't talk to us right now
+    if (stage === 'rcpt_to' && code >= 400 && code < 500) {
+      return { status: 'unknown', subStatus: 'greylisted', recheckNeeded: true };
+    }
+
+    if (stage === 'rcpt_to' && code >= 500) {
+      // 552 (5.2.2) is "mailbox full" - the mailbox exists but can't take mail right now
+      if (code === 552 || enhancedStatus(reply) === '5.2.2') {
+        return { status: 'invalid', subStatus: 'mailbox_full', recheckNeeded: true };
+      }
+      if (isMailboxNotFound(reply)) {
+        return { status: 'invalid', subStatus: 'mailbox_not_found', recheckNeeded: false };
+      }
+    }
+
+    // The server refused us (e.g. blocked our IP) before or instead of answering about the mailbox
+    return { status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true };
+  }
+
+  /**
+   * Verify a mailbox against its domain's mail exchangers
+   * @param {string} email - Email address to verify
+   * @param {string[]} mxHosts - MX hosts in priority order
+   * @returns {Object} - {email, status, subStatus, recheckNeeded, source, host, code, message, attempts}
+   */
+  async verify(email, mxHosts = []) {
+    const hosts = this.hostOverride ? [this.hostOverride] : mxHosts;
+
+    if (!this.mailFrom) {
+      logger.warn(`SMTP check skipped for ${email}: SMTP_MAIL_FROM is not set`);
+      return {
+        email,
+        status: 'unknown',
+        subStatus: 'smtp_not_configured',
+        recheckNeeded: true,
+        source: 'smtp',
+        attempts: 0
+      };
+    }
+
+    if (hosts.length === 0) {
+      return {
+        email,
+        status: 'unknown',
+        subStatus: 'no_mail_server',
+        recheckNeeded: true,
+        source: 'smtp',
+        attempts: 0
+      };
+    }
+
+    let attempts = 0;
+    let lastError = null;
+
+    for (const host of hosts) {
+      for (let retry = 0; retry <= this.greylistRetries; retry++) {
+        if (retry > 0) {
+          logger.debug(`Greylisted by ${host}, retrying ${email} in ${this.greylistDelay}ms`);
+          await new Promise(resolve => setTimeout(resolve, this.greylistDelay));
+        }
+
+        attempts++;
+        await this.acquireSlot(host);
+
+        let reply;
+        try {
+          reply = await this.probeHost(host, email);
+        } catch (error) {
+          logger.warn(`SMTP connection to ${host} failed for ${email}:`, { code: error.code, message: error.message });
+          lastError = error;
+          // Try the next MX host
+          break;
+        } finally {
+          this.releaseSlot(host);
+        }
+
+        const mapped = this.mapReply(reply);
+
+        logger.debug(`SMTP reply from ${host} for ${email}:`, {
+          stage: reply.stage,
+          code: reply.code,
+          status: mapped.status
+        });
+
+        // Retry the same host while we're being greylisted
+        if (mapped.subStatus === 'greylisted' && retry < this.greylistRetries) {
+          continue;
+        }
+
+        return {
+          email,
+          ...mapped,
+          source: 'smtp',
+          host,
+          code: reply.code,
+          message: reply.message,
+          attempts
+        };
+      }
+    }
+
+    return {
+      email,
+      status: 'unknown',
+      subStatus: 'smtp_unavailable',
+      recheckNeeded: true,
+      source: 'smtp',
+      attempts,
+      error: lastError?.message
+    };
+  }
+}
+
+export default SmtpVerifier;
@@ -0,0 +1,112 @@
+/**
+ * Suppression List
+ * Addresses that must always be rejected: unsubscribed contacts, competitors' domains,
+ * known spam traps and test patterns
+ */
+
+import logger from '../utils/logger';
+import { compileDomainList, matchDomain } from '../utils/domain-matcher';
+import { toAsciiDomain, toLookupEmail } from '../utils/idn-utils';
+import { extractDomainFromEmail } from '../utils/domain-utils';
+
+export class SuppressionList {
+  /**
+   * Create a new SuppressionList
+   * Entries are one of:
+   * - email: one mailbox (every spelling with the same canonical email)
+   * - domain: a domain and all of its subdomains
+   * - pattern: a regular expression tested against the lowercase email (punycode domain)
+   * @param {CSVManager} csvManager - CSV manager used to read suppressions.csv
+   * @param {Object} options - List options
+   * @param {Function} options.toKey - Maps an email to the key entries are stored under (defaults to the lookup form)
+   */
+  constructor(csvManager, options = {}) {
+    this.csvManager = csvManager;
+    this.toKey = options.toKey || toLookupEmail;
+    this.load();
+  }
+
+  /**
+   * (Re)load the entries from suppressions.csv
+   */
+  load() {
+    this.emails = new Map();
+    this.domainEntries = new Map();
+    this.patterns = [];
+
+    this.csvManager.loadSuppressions().forEach(entry => this.addToIndex(entry));
+    this.domains = compileDomainList(this.domainEntries.keys());
+  }
+
+  /**
+   * Number of entries in the list
+   * @returns {number}
+   */
+  get size() {
+    return this.emails.size + this.domainEntries.size + this.patterns.length;
+  }
+
+  /**
+   * Index one entry for matching
+   * @param {Object} entry - {type, value, reason, source, addedAt, notes}
+   */
+  addToIndex(entry) {
+    if (entry.type === 'email') {
+      this.emails.set(this.toKey(entry.value), entry);
+      return;
+    }
+
+    if (entry.type === 'domain') {
+      const domain = toAsciiDomain(entry.value) || entry.value.toLowerCase();
+      this.domainEntries.set(domain, entry);
+      return;
+    }
+
+    if (entry.type === 'pattern') {
+      try {
+        this.patterns.push({ entry, regex: new RegExp(entry.value, 'i') });
+      } catch (error) {
+        logger.warn(`Invalid suppression pattern: ${entry.value}`, { error: error.message });
+      }
+      return;
+    }
+
+    logger.warn(`Unknown suppression type: ${entry.type}`, { value: entry.value });
+  }
+
+  /**
+   * Find the entry suppressing an email
+   * @param {string} email - Email address
+   * @returns {Object|null} - {type, value, reason} or null
+   */
+  match(email) {
+    if (!email) return null;
+
+    const emailEntry = this.emails.get(this.toKey(email));
+    if (emailEntry) return this.describe(emailEntry);
+
+    const domain = toAsciiDomain(extractDomainFromEmail(email));
+    const domainMatch = matchDomain(domain, this.domains);
+    if (domainMatch) return this.describe(this.domainEntries.get(domainMatch));
+
+    const pattern = this.patterns.find(({ regex }) => regex.test(toLookupEmail(email)));
+    if (pattern) return this.describe(pattern.entry);
+
+    return null;
+  }
+
+  /**
+   * Describe a matching entry for validation results
+   * @param {Object} entry - Suppression entry
+   * @returns {Object} - {type, value, reason}
+   */
+  describe(entry) {
+    return {
+      type: entry.type,
+      value: entry.value,
+      reason: entry.reason || null
+    };
+  }
+}
+
+export default SuppressionList;
@@ -0,0 +1,199 @@
+/**
+ * Typo Learning Service
+ * Mines corrections.csv for recurring domain mistakes, proposes them as typo mappings
+ * and, once approved, makes them available to correctDomainTypos at runtime
+ */
+
+import logger from '../utils/logger';
+import { DOMAIN_TYPOS, extractDomainFromEmail, isValidDomainFormat } from '../utils/domain-utils';
+
+/**
+ * Mapping statuses
+ */
+export const MAPPING_STATUSES = ['proposed', 'approved', 'rejected'];
+
+export class TypoLearningService {
+  /**
+   * Create a new TypoLearningService
+   * @param {EmailValidationService} validator - Validator whose CSV manager and learned typos are used
+   * @param {Object} options - Learning configuration (config.typoLearning)
+   * @param {number} options.minCount - Times a mistake must be seen before it is proposed
+   */
+  constructor(validator, options = {}) {
+    this.validator = validator;
+    this.csvManager = validator.csvManager;
+    this.minCount = options.minCount || 3;
+  }
+
+  /**
+   * Count domain corrections in corrections.csv
+   * Corrections of type "manual" were made (or approved) by a person
+   * @returns {Object[]} - [{typoDomain, correctedDomain, count, manualCount, firstSeen, lastSeen}]
+   */
+  mineCorrections() {
+    const pairs = new Map();
+
+    this.csvManager.loadCorrections().forEach(({ originalEmail, correctedEmail, correctedAt, corrections }) => {
+      const typoDomain = extractDomainFromEmail(originalEmail.replace(/\s/g, ''));
+      const correctedDomain = extractDomainFromEmail(correctedEmail);
+
+      if (!typoDomain || !correctedDomain || typoDomain === correctedDomain) return;
+
+      const key = `${typoDomain} ${correctedDomain}`;
+      const pair = pairs.get(key) || {
+        typoDomain,
+        correctedDomain,
+        count: 0,
+        manualCount: 0,
+        firstSeen: correctedAt,
+        lastSeen: correctedAt
+      };
+
+      pair.count++;
+      if (corrections.some(correction => correction.type === 'manual')) pair.manualCount++;
+      if (correctedAt < pair.firstSeen) pair.firstSeen = correctedAt;
+      if (correctedAt > pair.lastSeen) pair.lastSeen = correctedAt;
+
+      pairs.set(key, pair);
+    });
+
+    // When a typo was corrected to different domains, keep the one people chose, then the most common
+    const byTypo = new Map();
+    pairs.forEach(pair => {
+      const best = byTypo.get(pair.typoDomain);
+      const preferred = !best
+        || pair.manualCount > best.manualCount
+        || (pair.manualCount === best.manualCount && pair.count > best.count);
+
+      if (preferred) {
+        byTypo.set(pair.typoDomain, pair);
+      }
+    });
+
+    return Array.from(byTypo.values()).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Propose typo mappings for recurring mistakes
+   * Mistakes seen at least minCount times, or corrected manually at least once, are proposed.
+   * Mappings the built-in typo map already covers, mappings already approved or rejected, and
+   * mappings to a domain that isn't well-formed are skipped
+   * @param {Object} options - Learning options
+   * @param {number} options.minCount - Overrides the configured minimum count
+   * @returns {Object} - {proposed: Object[], mined: number}
+   */
+  learn(options = {}) {
+    const minCount = options.minCount || this.minCount;
+    const existing = this.csvManager.loadTypoMappings();
+    const mined = this.mineCorrections();
+    const proposed = [];
+
+    mined.forEach(pair => {
+      if (DOMAIN_TYPOS[pair.typoDomain]) return;
+      if (pair.count < minCount && pair.manualCount === 0) return;
+
+      // Corrections that produced a broken domain (e.g. "corporation..com.au") are never proposed
+      if (!isValidDomainFormat(pair.correctedDomain)) {
+        logger.debug(`Skipping typo mapping with an invalid target: ${pair.typoDomain} -> ${pair.correctedDomain}`);
+        return;
+      }
+
+      // Already decided, or already proposed with the same evidence
+      const current = existing.get(pair.typoDomain);
+      if (current && current.correctedDomain === pair.correctedDomain) {
+        if (current.status !== 'proposed' || current.count === pair.count) return;
+      }
+
+      const mapping = {
+        ...pair,
+        status: 'proposed',
+        source: pair.manualCount > 0 ? 'corrections+manual' : 'corrections',
+        updatedBy: 'typo-learning'
+      };
+
+      this.csvManager.addTypoMapping(mapping);
+      proposed.push(mapping);
+    });
+
+    logger.info(`Typo learning mined ${mined.length} domain corrections, proposed ${proposed.length} mappings`);
+
+    return { proposed, mined: mined.length };
+  }
+
+  /**
+   * List typo mappings
+   * @param {string} status - Only mappings with this status (proposed, approved or rejected)
+   * @returns {Object[]} - Mappings, most seen first
+   */
+  list(status) {
+    return Array.from(this.csvManager.loadTypoMappings().values())
+      .filter(mapping => !status || mapping.status === status)
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Approve a mapping so it is used for corrections
+   * Without a proposal, a corrected domain must be given (a manual mapping)
+   * @param {string} typoDomain - Mistyped domain
+   * @param {Object} options - Approval options
+   * @param {string} options.correctedDomain - Domain to correct to (defaults to the proposal's)
+   * @param {string} options.approvedBy - Who approved the mapping
+   * @returns {Object|null} - Approved mapping, or null when there is nothing to approve
+   */
+  approve(typoDomain, options = {}) {
+    const typo = typoDomain.trim().toLowerCase();
+    const current = this.csvManager.loadTypoMappings().get(typo);
+    const correctedDomain = (options.correctedDomain || current?.correctedDomain || '').trim().toLowerCase();
+
+    if (!correctedDomain) return null;
+
+    if (!isValidDomainFormat(correctedDomain) || typo === correctedDomain) {
+      throw new Error(`Invalid typo mapping: ${typo} -> ${correctedDomain}`);
+    }
+
+    const mapping = {
+      ...(current || { count: 0, manualCount: 0 }),
+      typoDomain: typo,
+      correctedDomain,
+      status: 'approved',
+      source: current ? current.source : 'manual',
+      updatedAt: new Date().toISOString(),
+      updatedBy: options.approvedBy || 'unknown'
+    };
+
+    this.csvManager.addTypoMapping(mapping);
+    this.validator.loadLearnedTypos();
+
+    logger.info(`Typo mapping approved: ${typo} -> ${correctedDomain}`, { approvedBy: mapping.updatedBy });
+    return mapping;
+  }
+
+  /**
+   * Reject a proposed (or previously approved) mapping
+   * @param {string} typoDomain - Mistyped domain
+   * @param {Object} options - Rejection options
+   * @param {string} options.rejectedBy - Who rejected the mapping
+   * @returns {Object|null} - Rejected mapping, or null when there is no such mapping
+   */
+  reject(typoDomain, options = {}) {
+    const typo = typoDomain.trim().toLowerCase();
+    const current = this.csvManager.loadTypoMappings().get(typo);
+
+    if (!current) return null;
+
+    const mapping = {
+      ...current,
+      status: 'rejected',
+      updatedAt: new Date().toISOString(),
+      updatedBy: options.rejectedBy || 'unknown'
+    };
+
+    this.csvManager.addTypoMapping(mapping);
+    this.validator.loadLearnedTypos();
+
+    logger.info(`Typo mapping rejected: ${typo} -> ${current.correctedDomain}`, { rejectedBy: mapping.updatedBy });
+    return mapping;
+  }
+}
+
+export default TypoLearningService;
@@ -0,0 +1,114 @@
+/**
+ * Validation Pipeline
+ * Runs an ordered, configurable list of validation steps over an email
+ */
+
+import logger from '../utils/logger';
+import { BUILT_IN_STEPS, DEFAULT_STEP_ORDER, applyDefaultVerdict } from './validation-steps';
+
+export class ValidationPipeline {
+  /**
+   * Create a new ValidationPipeline
+   * @param {Object} config - Configuration options
+   * @param {string[]} config.pipeline.steps - Step order (names of built-in or custom steps)
+   * @param {Object} config.pipeline.environments - Step order per environment, overrides steps
+   * @param {Object} config.pipeline.customSteps - Extra steps by name ({run, enabled})
+   */
+  constructor(config) {
+    this.config = config;
+    this.steps = { ...BUILT_IN_STEPS };
+
+    Object.entries(config.pipeline?.customSteps || {}).forEach(([name, step]) => {
+      this.registerStep(name, step);
+    });
+  }
+
+  /**
+   * Register (or replace) a step
+   * @param {string} name - Step name used in the configured order
+   * @param {Object} step - Step with an async run(context) method and optional enabled(config)
+   */
+  registerStep(name, step) {
+    if (!step || typeof step.run !== 'function') {
+      throw new Error(`Validation step "${name}" must have a run(context) method`);
+    }
+
+    this.steps[name] = { ...step, name };
+    logger.debug(`Registered validation step: ${name}`);
+  }
+
+  /**
+   * Get the configured step order for the current environment
+   * @returns {string[]} - Step names
+   */
+  getStepOrder() {
+    const pipeline = this.config.pipeline || {};
+    const environmentOrder = pipeline.environments?.[this.config.environment];
+
+    return environmentOrder || pipeline.steps || DEFAULT_STEP_ORDER;
+  }
+
+  /**
+   * Get the steps that will run, in order
+   * @returns {Object[]} - Steps
+   */
+  getActiveSteps() {
+    return this.getStepOrder()
+      .map(name => {
+        const step = this.steps[name];
+        if (!step) {
+          logger.warn(`Unknown validation step in configuration: ${name}`);
+        }
+        return step;
+      })
+      .filter(step => step && (!step.enabled || step.enabled(this.config)));
+  }
+
+  /**
+   * Run the pipeline
+   * @param {Object} service - EmailValidationService the steps call into
+   * @param {string} email - Email to validate
+   * @param {Object} result - Working validation result
+   * @param {Object} options - Per-request options (e.g. forceRecheck)
+   * @returns {Object} - Final validation result
+   */
+  async run(service, email, result, options = {}) {
+    const context = {
+      service,
+      config: this.config,
+      options,
+      email,
+      result,
+      state: {},
+      stopped: false,
+      // Rewrite the email the following steps work with
+      setEmail(newEmail) {
+        context.email = newEmail;
+        result.currentEmail = newEmail;
+      },
+      // Stop the pipeline; the result's status is final
+      stop() {
+        context.stopped = true;
+      }
+    };
+
+    for (const step of this.getActiveSteps()) {
+      try {
+        await step.run(context);
+      } catch (error) {
+        logger.error(`Validation step ${step.name} failed for ${context.email}:`, error);
+        throw error;
+      }
+
+      if (context.stopped) {
+        logger.debug(`Validation stopped after step: ${step.name}`);
+        return result;
+      }
+    }
+
+    applyDefaultVerdict(context);
+    return result;
+  }
+}
+
+export default ValidationPipeline;
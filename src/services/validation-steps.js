@@ -0,0 +1,533 @@
+/**
+ * Built-in validation steps
+ * Each step receives the pipeline context and can annotate the result,
+ * rewrite the working email (context.setEmail) or short-circuit (context.stop)
+ */
+
+import logger from '../utils/logger';
+import { extractDomainFromEmail } from '../utils/domain-utils';
+import { parseAddress, splitAddressList } from '../utils/extraction-utils';
+import {
+  hasNonAscii,
+  toAsciiEmail,
+  toUnicodeEmail,
+  detectHomograph
+} from '../utils/idn-utils';
+
+/**
+ * Default order of the built-in steps
+ */
+export const DEFAULT_STEP_ORDER = [
+  'input_parsing',
+  'format_check',
+  'typo_correction',
+  'suppression_check',
+  'idn_check',
+  'disposable_check',
+  'role_check',
+  'known_valid_check',
+  'verdict_cache',
+  'domain_knowledge',
+  'domain_check',
+  'dns_check',
+  'smtp_check',
+  'provider_check'
+];
+
+/**
+ * Extract the address from a raw field value (display name, mailto:, obfuscation...)
+ * Only the first address of a multi-address field is validated; the others are listed in otherEmails
+ */
+const inputParsing = {
+  name: 'input_parsing',
+  enabled: config => config.validation?.parseInput !== false,
+  async run(context) {
+    const { result, email } = context;
+
+    const [first, ...others] = splitAddressList(email);
+    if (!first) return;
+
+    const { email: extractedEmail, displayName, stripped } = parseAddress(first);
+    result.displayName = displayName;
+    result.stripped = stripped;
+    result.otherEmails = others.map(segment => parseAddress(segment).email);
+    context.setEmail(extractedEmail);
+    result.validationSteps.push({
+      step: 'input_parsing',
+      extracted: extractedEmail !== email,
+      email: extractedEmail,
+      displayName,
+      stripped: stripped.map(item => item.type),
+      otherEmails: result.otherEmails.length
+    });
+
+    if (extractedEmail !== email) {
+      logger.info(`Extracted email from input: ${email} -> ${extractedEmail}`, {
+        stripped: stripped.map(item => item.type),
+        otherEmails: result.otherEmails.length
+      });
+    }
+  }
+};
+
+/**
+ * Basic format check with regex
+ */
+const formatCheck = {
+  name: 'format_check',
+  async run(context) {
+    const { service, result, email } = context;
+
+    result.formatValid = service.isValidEmailFormat(email);
+    result.validationSteps.push({
+      step: 'format_check',
+      passed: result.formatValid
+    });
+
+    if (!result.formatValid) {
+      result.status = 'invalid';
+      result.subStatus = 'bad_format';
+      result.recheckNeeded = false;
+      // Typo rules can still say what was meant (e.g. stray spaces)
+      if (context.options.mode === 'suggest') {
+        result.suggestions = service.suggestCorrections(email);
+      }
+      logger.info(`Email has invalid format: ${email}`);
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Correct common typos
+ */
+const typoCorrection = {
+  name: 'typo_correction',
+  async run(context) {
+    const { service, config, options, result, email } = context;
+
+    // Suggest mode never changes what the user typed
+    if (options.mode === 'suggest') {
+      result.suggestions = service.suggestCorrections(email);
+      result.validationSteps.push({
+        step: 'typo_correction',
+        applied: false,
+        mode: 'suggest',
+        suggestions: result.suggestions.length
+      });
+      return;
+    }
+
+    const typos = service.correctEmailTypos(email, { record: false });
+    let { corrections, email: correctedEmail } = typos;
+
+    // A typed domain that looks swapped ("shop.au.com") but has mail servers is real. The swap
+    // is always the last correction, so dropping it leaves the email as it was before the swap
+    const swap = corrections.find(correction => correction.rule === 'swapped_labels');
+    if (swap && config.validation?.useDnsCheck && (await service.checkDomainDns(swap.from)).status === 'ok') {
+      corrections = corrections.filter(correction => correction !== swap);
+      correctedEmail = swap.from;
+    }
+
+    const corrected = corrections.length > 0;
+    const correctionType = corrected ? corrections[corrections.length - 1].type : null;
+    service.recordCorrections(email, correctedEmail, corrections);
+
+    result.wasCorrected = result.wasCorrected || corrected;
+    result.corrections.push(...corrections);
+    context.setEmail(correctedEmail);
+    result.validationSteps.push({
+      step: 'typo_correction',
+      applied: corrected,
+      correctionType: correctionType,
+      corrections: corrections.map(correction => correction.type),
+      original: email,
+      corrected: correctedEmail
+    });
+  }
+};
+
+/**
+ * Reject emails on the suppression list (unsubscribed, competitors, spam traps, test patterns)
+ */
+const suppressionCheck = {
+  name: 'suppression_check',
+  enabled: config => config.suppression?.enabled !== false,
+  async run(context) {
+    const { service, result, email } = context;
+
+    const suppression = service.getSuppression(email);
+    result.isSuppressed = Boolean(suppression);
+    result.suppression = suppression;
+    result.validationSteps.push({
+      step: 'suppression_check',
+      passed: !result.isSuppressed,
+      ...(suppression ? { matched: suppression } : {})
+    });
+
+    if (suppression) {
+      result.status = 'invalid';
+      result.subStatus = 'suppressed';
+      result.recheckNeeded = false;
+      logger.info(`Email is suppressed: ${email}`, suppression);
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Record both forms of internationalized addresses and flag lookalike domains
+ */
+const idnCheck = {
+  name: 'idn_check',
+  async run(context) {
+    const { result, email } = context;
+
+    result.asciiEmail = toAsciiEmail(email);
+    result.unicodeEmail = toUnicodeEmail(email);
+    result.isInternational = hasNonAscii(result.unicodeEmail);
+    result.homographRisk = detectHomograph(extractDomainFromEmail(email));
+    result.validationSteps.push({
+      step: 'idn_check',
+      isInternational: result.isInternational,
+      requiresSmtpUtf8: hasNonAscii(email.split('@')[0]),
+      asciiEmail: result.asciiEmail,
+      unicodeEmail: result.unicodeEmail,
+      homographRisk: result.homographRisk
+    });
+
+    if (result.homographRisk) {
+      // Don't silently accept domains that could be impersonating another one
+      result.subStatus = 'homograph_risk';
+      logger.warn(`Possible homograph domain: ${email}`, { risk: result.homographRisk });
+    }
+  }
+};
+
+/**
+ * Check for disposable email providers
+ */
+const disposableCheck = {
+  name: 'disposable_check',
+  async run(context) {
+    const { service, config, result, email } = context;
+
+    const disposablePolicy = config.validation?.disposablePolicy || 'flag';
+    const disposableMatch = service.getDisposableMatch(email);
+    result.isDisposable = Boolean(disposableMatch);
+    result.validationSteps.push({
+      step: 'disposable_check',
+      passed: !result.isDisposable,
+      matched: disposableMatch,
+      policy: disposablePolicy
+    });
+
+    if (result.isDisposable && disposablePolicy === 'reject') {
+      result.status = 'invalid';
+      result.subStatus = 'disposable';
+      result.recheckNeeded = false;
+      logger.info(`Email uses a disposable domain: ${email}`, { matched: disposableMatch });
+      context.stop();
+      return;
+    }
+
+    if (result.isDisposable && disposablePolicy === 'flag') {
+      // Keep validating, but remember why this email is suspicious
+      result.subStatus = 'disposable';
+    }
+  }
+};
+
+/**
+ * Flag role accounts (valid mailboxes, but not a person)
+ */
+const roleCheck = {
+  name: 'role_check',
+  async run(context) {
+    const { service, result, email } = context;
+
+    result.roleAccount = service.getRoleAccount(email);
+    result.isRoleAccount = Boolean(result.roleAccount);
+    result.validationSteps.push({
+      step: 'role_check',
+      isRoleAccount: result.isRoleAccount,
+      role: result.roleAccount
+    });
+  }
+};
+
+/**
+ * Check if it's a known valid email
+ */
+const knownValidCheck = {
+  name: 'known_valid_check',
+  async run(context) {
+    const { service, result, email } = context;
+
+    const entry = service.getKnownValidEntry(email);
+    result.isKnownValid = service.isKnownValidEmail(email);
+    result.validationSteps.push({
+      step: 'known_valid_check',
+      passed: result.isKnownValid,
+      // Stale entries fall through to full validation
+      ...(entry ? { validatedAt: entry.validatedAt, stale: entry.stale } : {})
+    });
+
+    if (result.isKnownValid) {
+      result.status = 'valid';
+      result.recheckNeeded = false;
+      logger.info(`Email found in known valid list: ${email}`);
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Reuse a fresh cached verdict for invalid, catch-all and unknown emails
+ */
+const verdictCacheCheck = {
+  name: 'verdict_cache',
+  enabled: config => config.verdictCache?.enabled !== false,
+  async run(context) {
+    const { service, options, result, email } = context;
+
+    if (options.forceRecheck) {
+      result.validationSteps.push({
+        step: 'verdict_cache',
+        cacheHit: false,
+        bypassed: true
+      });
+      return;
+    }
+
+    const verdict = service.verdictCache.get(email);
+    result.validationSteps.push({
+      step: 'verdict_cache',
+      cacheHit: Boolean(verdict),
+      ...(verdict ? { source: verdict.source, checkedAt: verdict.checkedAt } : {})
+    });
+
+    if (verdict) {
+      result.status = verdict.status;
+      result.subStatus = verdict.subStatus || result.subStatus;
+      result.recheckNeeded = verdict.status !== 'invalid';
+      logger.info(`Using cached verdict for ${email}:`, verdict);
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Use what is known about the domain: addresses on catch-all domains can't be verified one by one
+ */
+const domainKnowledgeCheck = {
+  name: 'domain_knowledge',
+  enabled: config => config.domainKnowledge?.enabled !== false,
+  async run(context) {
+    const { service, config, result, email } = context;
+
+    const knowledge = service.getDomainKnowledge(email);
+    const catchAllPolicy = config.domainKnowledge?.catchAllPolicy || 'skip';
+    result.isCatchAll = knowledge ? knowledge.isCatchAll : null;
+    result.validationSteps.push({
+      step: 'domain_knowledge',
+      known: Boolean(knowledge),
+      isCatchAll: result.isCatchAll,
+      ...(knowledge ? {
+        override: knowledge.catchAllOverride !== null,
+        mxProvider: knowledge.mxProvider,
+        lastChecked: knowledge.lastChecked
+      } : {}),
+      policy: catchAllPolicy
+    });
+
+    if (!result.isCatchAll) return;
+
+    result.subStatus = 'accept_all';
+
+    if (catchAllPolicy === 'skip') {
+      // The domain accepts every address, so a mailbox check would only confirm that again
+      result.status = 'unknown';
+      result.recheckNeeded = false;
+      logger.info(`Email domain is known to accept all addresses: ${email}`);
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Check if domain appears valid
+ */
+const domainCheck = {
+  name: 'domain_check',
+  async run(context) {
+    const { service, result, email } = context;
+
+    result.domainValid = service.isValidDomain(email);
+    result.validationSteps.push({
+      step: 'domain_check',
+      passed: result.domainValid
+    });
+  }
+};
+
+/**
+ * Look up MX (or A/AAAA) records for the domain
+ */
+const dnsCheck = {
+  name: 'dns_check',
+  enabled: config => Boolean(config.validation?.useDnsCheck),
+  async run(context) {
+    const { service, result, email } = context;
+
+    const lookup = await service.checkDomainDns(email);
+    context.state.dnsCheck = lookup;
+    result.mxFound = lookup.status === 'ok';
+    result.validationSteps.push({
+      step: 'dns_check',
+      passed: result.mxFound,
+      subStatus: lookup.subStatus,
+      mxRecords: lookup.mxRecords,
+      fallback: lookup.fallback,
+      cached: lookup.cached,
+      error: lookup.error
+    });
+
+    if (lookup.status === 'no_records') {
+      result.status = 'invalid';
+      result.subStatus = lookup.subStatus;
+      result.recheckNeeded = false;
+      logger.info(`Email domain has no mail server: ${email}`, {
+        subStatus: lookup.subStatus
+      });
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Probe the mailbox over SMTP
+ */
+const smtpCheck = {
+  name: 'smtp_check',
+  enabled: config => Boolean(config.validation?.useSmtpCheck),
+  async run(context) {
+    const { service, result, email } = context;
+
+    const check = await service.checkWithSmtp(toAsciiEmail(email), context.state.dnsCheck);
+    context.state.smtpCheck = check;
+    result.validationSteps.push({
+      step: 'smtp_check',
+      result: check
+    });
+
+    // A definite answer means there's no need to spend provider credits
+    if (check.status === 'valid' || check.status === 'invalid') {
+      service.verdictCache.set(email, check);
+      result.status = check.status;
+      result.subStatus = check.subStatus || result.subStatus;
+      result.recheckNeeded = check.recheckNeeded;
+      logger.info(`SMTP validation result for ${email}:`, {
+        status: result.status,
+        subStatus: result.subStatus
+      });
+      context.stop();
+    }
+  }
+};
+
+/**
+ * Check with the external verification providers (primary, then fallbacks)
+ */
+const providerCheck = {
+  name: 'provider_check',
+  enabled: config => Boolean(config.validation?.useProviderCheck),
+  async run(context) {
+    const { service, result, email } = context;
+
+    const providerResult = await service.checkWithProviders(toAsciiEmail(email));
+    service.verdictCache.set(email, providerResult);
+    result.status = providerResult.status;
+    result.subStatus = providerResult.subStatus || result.subStatus;
+    result.recheckNeeded = providerResult.recheckNeeded;
+    if (providerResult.catchAll) {
+      result.isCatchAll = true;
+    }
+    result.validationSteps.push({
+      step: 'provider_check',
+      provider: providerResult.source,
+      result: providerResult
+    });
+
+    logger.info(`Provider validation result for ${email}:`, {
+      provider: providerResult.source,
+      status: result.status,
+      subStatus: result.subStatus,
+      recheckNeeded: result.recheckNeeded
+    });
+
+    // The providers have the final say
+    context.stop();
+  }
+};
+
+/**
+ * Decide the status when no step gave a final verdict
+ * @param {Object} context - Pipeline context
+ */
+export function applyDefaultVerdict(context) {
+  const { result, email } = context;
+  const { smtpCheck: smtpResult, dnsCheck: lookup } = context.state;
+
+  if (smtpResult) {
+    // SMTP couldn't give a definite answer and there's no provider to fall back on
+    result.status = smtpResult.status;
+    result.subStatus = smtpResult.subStatus || result.subStatus;
+    result.recheckNeeded = true;
+    logger.info(`SMTP validation inconclusive for ${email}:`, {
+      status: result.status,
+      subStatus: result.subStatus
+    });
+    return;
+  }
+
+  if (lookup?.status === 'error') {
+    // The lookup failed (e.g. SERVFAIL or a timeout), which says nothing about the domain
+    result.status = 'unknown';
+    result.subStatus = result.subStatus || 'dns_error';
+    result.recheckNeeded = true;
+    logger.info(`DNS lookup failed for ${email}, result is unknown:`, { error: lookup.error });
+    return;
+  }
+
+  // Without verification providers, rely on domain and DNS checks
+  const domainLooksValid = result.domainValid || result.mxFound;
+  result.status = domainLooksValid ? 'unknown' : 'invalid';
+  result.recheckNeeded = domainLooksValid;
+  logger.info(`Domain-only validation result for ${email}:`, {
+    status: result.status,
+    recheckNeeded: result.recheckNeeded
+  });
+}
+
+/**
+ * Built-in steps by name
+ */
+export const BUILT_IN_STEPS = {
+  [inputParsing.name]: inputParsing,
+  [formatCheck.name]: formatCheck,
+  [typoCorrection.name]: typoCorrection,
+  [suppressionCheck.name]: suppressionCheck,
+  [idnCheck.name]: idnCheck,
+  [disposableCheck.name]: disposableCheck,
+  [roleCheck.name]: roleCheck,
+  [knownValidCheck.name]: knownValidCheck,
+  [verdictCacheCheck.name]: verdictCacheCheck,
+  [domainKnowledgeCheck.name]: domainKnowledgeCheck,
+  [domainCheck.name]: domainCheck,
+  [dnsCheck.name]: dnsCheck,
+  [smtpCheck.name]: smtpCheck,
+  [providerCheck.name]: providerCheck,
+  // Kept so step lists written before multi-provider support keep working
+  zerobounce_check: providerCheck
+};
@@ -0,0 +1,99 @@
+/**
+ * Verdict Cache
+ * Remembers invalid, catch-all and unknown results so they aren't re-checked on every request
+ */
+
+import logger from '../utils/logger';
+import { toLookupEmail } from '../utils/idn-utils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class VerdictCache {
+  /**
+   * Create a new VerdictCache
+   * @param {CSVManager} csvManager - CSV manager used to persist verdicts
+   * @param {Object} options - Cache configuration (config.verdictCache)
+   * @param {Object} options.ttlDays - Days to keep a verdict, by sub-status or status
+   * @param {Function} options.toKey - Maps an email to its cache key; the validator uses the
+   *   canonical email, like the known valid list, so every spelling of a mailbox shares a verdict
+   */
+  constructor(csvManager, options = {}) {
+    this.csvManager = csvManager;
+    this.ttlDays = options.ttlDays || {};
+    this.toKey = options.toKey || toLookupEmail;
+    this.verdicts = csvManager.loadVerdicts(this.toKey);
+  }
+
+  /**
+   * Get how long a verdict stays fresh
+   * A sub-status TTL (e.g. catch_all) takes precedence over the status TTL
+   * @param {Object} verdict - {status, subStatus}
+   * @returns {number} - TTL in milliseconds (0 means don't cache)
+   */
+  getTtl(verdict) {
+    const days = this.ttlDays[verdict.subStatus] ?? this.ttlDays[verdict.status] ?? 0;
+    return days * DAY_MS;
+  }
+
+  /**
+   * Get a fresh cached verdict for an email
+   * @param {string} email - Email address
+   * @returns {Object|null} - {status, subStatus, source, checkedAt} or null
+   */
+  get(email) {
+    const verdict = this.verdicts.get(this.toKey(email));
+    if (!verdict) return null;
+
+    const age = Date.now() - new Date(verdict.checkedAt).getTime();
+
+    if (!(age < this.getTtl(verdict))) {
+      logger.debug(`Cached verdict expired for ${email}`, { status: verdict.status, checkedAt: verdict.checkedAt });
+      return null;
+    }
+
+    return verdict;
+  }
+
+  /**
+   * List cached verdicts that should be checked again (anything not definitely invalid)
+   * @returns {Array} - [{email, status, subStatus, source, checkedAt}]
+   */
+  getRecheckable() {
+    return Array.from(this.verdicts.entries())
+      .filter(([, verdict]) => verdict.status !== 'invalid')
+      .map(([email, verdict]) => ({ email, ...verdict }));
+  }
+
+  /**
+   * Remember the verdict for an email
+   * Valid results belong in the known valid list, and failed checks are never cached
+   * @param {string} email - Email address
+   * @param {Object} result - {status, subStatus, source}
+   * @returns {boolean} - Whether the verdict was cached
+   */
+  set(email, result) {
+    if (result.status === 'valid' || result.status === 'check_failed') {
+      return false;
+    }
+
+    const verdict = {
+      status: result.status,
+      subStatus: result.subStatus || null,
+      source: result.source || null,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (this.getTtl(verdict) <= 0) {
+      return false;
+    }
+
+    const key = this.toKey(email);
+    this.verdicts.set(key, verdict);
+    this.csvManager.addVerdict(key, verdict);
+
+    logger.debug(`Cached verdict for ${email}`, verdict);
+    return true;
+  }
+}
+
+export default VerdictCache;
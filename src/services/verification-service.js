@@ -0,0 +1,145 @@
+/**
+ * Verification Service
+ * Runs external verification providers in primary/fallback order
+ */
+
+import logger from '../utils/logger';
+import ZeroBounceProvider from './providers/zerobounce-provider';
+import NeverBounceProvider from './providers/neverbounce-provider';
+import KickboxProvider from './providers/kickbox-provider';
+
+/**
+ * Provider adapters by name
+ */
+export const PROVIDERS = {
+  zerobounce: ZeroBounceProvider,
+  neverbounce: NeverBounceProvider,
+  kickbox: KickboxProvider
+};
+
+/**
+ * Statuses that settle whether an address can receive mail
+ */
+const DEFINITE_STATUSES = ['valid', 'invalid'];
+
+export class VerificationService {
+  /**
+   * Create a new VerificationService
+   * @param {Object} options - Verification configuration (config.verification)
+   * @param {string[]} options.providers - Provider names, primary first
+   * @param {boolean} options.secondOpinionOnCatchAll - Ask the next provider when the result is catch-all
+   * @param {number} options.timeout - Default request timeout (ms)
+   */
+  constructor(options = {}) {
+    this.secondOpinionOnCatchAll = Boolean(options.secondOpinionOnCatchAll);
+
+    this.providers = (options.providers || ['zerobounce'])
+      .map(name => name.trim().toLowerCase())
+      .filter(name => {
+        if (!PROVIDERS[name]) {
+          logger.warn(`Unknown verification provider in configuration: ${name}`);
+          return false;
+        }
+        return true;
+      })
+      .map(name => new PROVIDERS[name]({
+        timeout: options.timeout,
+        ...(options[name] || {})
+      }));
+  }
+
+  /**
+   * Ask a single provider about an email
+   * Transport and API errors are turned into a check_failed result
+   * @param {Object} provider - Provider adapter
+   * @param {string} email - Email to verify
+   * @returns {Object} - Provider result
+   */
+  async verifyWith(provider, email) {
+    if (!provider.isConfigured()) {
+      logger.warn(`Verification provider ${provider.name} is not configured, skipping`);
+      return {
+        email,
+        status: 'check_failed',
+        recheckNeeded: true,
+        source: provider.name,
+        error: `${provider.name} API key not configured`
+      };
+    }
+
+    try {
+      logger.info(`Checking email with ${provider.name}: ${email}`);
+      const result = await provider.verify(email);
+
+      logger.debug(`${provider.name} response for ${email}:`, {
+        status: result.status,
+        subStatus: result.subStatus,
+        catchAll: result.catchAll
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`${provider.name} API error for ${email}:`, error);
+      return {
+        email,
+        status: 'check_failed',
+        recheckNeeded: true,
+        source: provider.name,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Verify an email with the first provider that answers,
+   * optionally asking the next one when the answer is catch-all
+   * @param {string} email - Email to verify
+   * @returns {Object} - Final result with every provider attempt in `attempts`
+   */
+  async verify(email) {
+    const attempts = [];
+    let chosen = null;
+    let index = 0;
+
+    // Primary, then fallbacks until one gives an answer
+    for (; index < this.providers.length; index++) {
+      const result = await this.verifyWith(this.providers[index], email);
+      attempts.push(result);
+
+      if (result.status !== 'check_failed') {
+        chosen = result;
+        break;
+      }
+    }
+
+    if (!chosen) {
+      const last = attempts[attempts.length - 1];
+      return {
+        email,
+        status: 'check_failed',
+        recheckNeeded: true,
+        source: last ? last.source : null,
+        error: last ? last.error : 'No verification providers configured',
+        attempts
+      };
+    }
+
+    // Second opinion on catch-all domains from the remaining providers
+    if (chosen.catchAll && !DEFINITE_STATUSES.includes(chosen.status) && this.secondOpinionOnCatchAll) {
+      for (index++; index < this.providers.length; index++) {
+        const secondOpinion = await this.verifyWith(this.providers[index], email);
+        attempts.push(secondOpinion);
+
+        if (DEFINITE_STATUSES.includes(secondOpinion.status)) {
+          logger.info(`Second opinion from ${secondOpinion.source} for catch-all ${email}: ${secondOpinion.status}`);
+          chosen = { ...secondOpinion, catchAll: true, secondOpinion: true };
+          break;
+        }
+      }
+    }
+
+    return { ...chosen, attempts };
+  }
+}
+
+export default VerificationService;
@@ -0,0 +1,99 @@
+/**
+ * CSV append utilities
+ * Adds columns to an existing CSV file without re-writing what is already there,
+ * so column order, quoting, delimiters and line endings come back as they were sent
+ */
+
+import Papa from 'papaparse';
+
+/**
+ * Split CSV text into raw records
+ * Line breaks inside quoted fields stay part of their record
+ * @param {string} text - CSV text
+ * @returns {Object} - {records: string[] without line endings, newline, trailingNewline}
+ */
+export function splitCsvRecords(text) {
+  const records = [];
+  let newline = null;
+  let start = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      const ending = char === '\r' && text[i + 1] === '\n' ? '\r\n' : char;
+      newline = newline || ending;
+      records.push(text.slice(start, i));
+      i += ending.length - 1;
+      start = i + 1;
+    }
+  }
+
+  const trailingNewline = start === text.length && records.length > 0;
+  if (!trailingNewline) {
+    records.push(text.slice(start));
+  }
+
+  return { records, newline: newline || '\n', trailingNewline };
+}
+
+/**
+ * Parse a CSV file into raw records and their fields
+ * @param {string} text - CSV text
+ * @returns {Object} - {header: string[], headerRaw, rows: Array<{raw, fields}>, delimiter, newline, trailingNewline, quoted}
+ */
+export function parseCsvRecords(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const bom = content !== text ? '\uFEFF' : '';
+  // Blank lines (e.g. the trailing newline) would otherwise be sniffed as rows of one field
+  const { delimiter } = Papa.parse(content, { preview: 10, skipEmptyLines: true }).meta;
+  const { records, newline, trailingNewline } = splitCsvRecords(content);
+
+  const parseFields = raw => (raw.trim() ? Papa.parse(raw, { delimiter }).data[0] || [] : []);
+  const [headerRaw = '', ...rowRecords] = records;
+
+  return {
+    header: parseFields(headerRaw),
+    headerRaw: bom + headerRaw,
+    rows: rowRecords.map(raw => ({ raw, fields: parseFields(raw) })),
+    delimiter,
+    newline,
+    trailingNewline,
+    // Files that quote every header are answered in kind
+    quoted: headerRaw.startsWith('"')
+  };
+}
+
+/**
+ * Append columns to parsed CSV records
+ * Original records are kept byte-for-byte; short rows are padded so the new columns line up
+ * @param {Object} parsed - Result of parseCsvRecords
+ * @param {string[]} columns - Headers of the new columns
+ * @param {Array<Array|null>} values - New values for each row, or null to leave a row untouched (e.g. blank lines)
+ * @returns {string} - CSV text
+ */
+export function appendCsvColumns(parsed, columns, values) {
+  const { header, headerRaw, rows, delimiter, newline, trailingNewline, quoted } = parsed;
+  const format = fields => Papa.unparse([fields.map(value => (value ?? ''))], {
+    delimiter,
+    newline,
+    quotes: quoted
+  });
+
+  const lines = [`${headerRaw}${delimiter}${format(columns)}`];
+
+  rows.forEach(({ raw, fields }, index) => {
+    if (!values[index]) {
+      lines.push(raw);
+      return;
+    }
+
+    const padding = delimiter.repeat(Math.max(0, header.length - fields.length));
+    lines.push(`${raw}${padding}${delimiter}${format(values[index])}`);
+  });
+
+  return lines.join(newline) + (trailingNewline ? newline : '');
+}
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import Papa from 'papaparse';
 import { createDirectory } from './file-utils';
+import { toAsciiDomain, toLookupEmail } from './idn-utils';
 
 class CSVManager {
   /**
@@ -17,9 +18,19 @@ class CSVManager {
   constructor(options = {}) {
     this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
     this.validDomainsPath = path.join(this.dataDir, 'valid-domains.csv');
+    this.disposableDomainsPath = path.join(this.dataDir, 'disposable-domains.csv');
+    this.emailProvidersPath = path.join(this.dataDir, 'email-providers.csv');
+    this.typoMappingsPath = path.join(this.dataDir, 'typo-mappings.csv');
+    this.suppressionsPath = path.join(this.dataDir, 'suppressions.csv');
+    this.apiKeysPath = path.join(this.dataDir, 'api-keys.csv');
+    this.apiUsagePath = path.join(this.dataDir, 'api-usage.csv');
     this.knownEmailsDir = path.join(this.dataDir, 'known-emails');
     this.validatedEmailsPath = path.join(this.knownEmailsDir, 'validated.csv');
     this.correctedEmailsPath = path.join(this.knownEmailsDir, 'corrections.csv');
+    this.verdictsPath = path.join(this.knownEmailsDir, 'verdicts.csv');
+    this.contactsPath = path.join(this.knownEmailsDir, 'contacts.csv');
+    this.domainKnowledgePath = path.join(this.knownEmailsDir, 'domains.csv');
+    this.rechecksPath = path.join(this.knownEmailsDir, 'rechecks.csv');
     
     // Ensure directories exist
     this.initializeDirectories();
@@ -38,6 +49,36 @@ class CSVManager {
       'domain,source,date_added,notes\n'
     );
     
+    this.initializeFile(
+      this.disposableDomainsPath, 
+      'domain,source,date_added,notes\n'
+    );
+    
+    this.initializeFile(
+      this.emailProvidersPath, 
+      'domain,type,source,date_added,notes\n'
+    );
+    
+    this.initializeFile(
+      this.typoMappingsPath, 
+      'typo_domain,corrected_domain,status,count,manual_count,source,first_seen,last_seen,updated_date,updated_by\n'
+    );
+    
+    this.initializeFile(
+      this.suppressionsPath, 
+      'type,value,reason,source,date_added,notes\n'
+    );
+    
+    this.initializeFile(
+      this.apiKeysPath, 
+      'key_id,key_hash,key_prefix,name,scopes,rate_limit,monthly_quota,created_at,revoked_at,notes\n'
+    );
+    
+    this.initializeFile(
+      this.apiUsagePath, 
+      'key_id,month,requests,validations,updated_at\n'
+    );
+    
     this.initializeFile(
       this.validatedEmailsPath, 
       'email,validation_date,validation_source,domain\n'
@@ -45,7 +86,29 @@ class CSVManager {
     
     this.initializeFile(
       this.correctedEmailsPath, 
-      'original_email,corrected_email,correction_date,correction_type\n'
+      'original_email,corrected_email,correction_date,correction_type,correction_details\n'
+    );
+    // Files created before correction trails were recorded lack the details column
+    this.ensureColumns(this.correctedEmailsPath, ['correction_details']);
+    
+    this.initializeFile(
+      this.verdictsPath, 
+      'email,status,sub_status,source,checked_date\n'
+    );
+    
+    this.initializeFile(
+      this.contactsPath, 
+      'email,hubspot_contact_id,linked_date\n'
+    );
+    
+    this.initializeFile(
+      this.domainKnowledgePath, 
+      'domain,catch_all,catch_all_override,mx_provider,valid_count,invalid_count,unknown_count,catch_all_count,last_checked,updated_by,notes\n'
+    );
+    
+    this.initializeFile(
+      this.rechecksPath, 
+      'email,status,sub_status,checked_date\n'
     );
   }
   
@@ -65,6 +128,35 @@ class CSVManager {
     }
   }
   
+  /**
+   * Add missing columns to an existing CSV file
+   * Existing rows get empty values, so they read the same as before. The file is parsed rather
+   * than split into lines, so quoted fields holding line breaks stay intact
+   * @param {string} filePath - Path to the file
+   * @param {string[]} columns - Columns that should be in the header
+   */
+  ensureColumns(filePath, columns) {
+    try {
+      if (!fs.existsSync(filePath)) return;
+      
+      const { data, meta } = Papa.parse(fs.readFileSync(filePath, 'utf8'), {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: header => header.trim()
+      });
+      const headers = meta.fields || [];
+      const missing = columns.filter(column => !headers.includes(column));
+      
+      if (missing.length === 0) return;
+      
+      if (this.writeCSV(filePath, [...headers, ...missing], data)) {
+        console.log(`Added columns to ${filePath}: ${missing.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Error updating header of ${filePath}:`, error);
+    }
+  }
+  
   /**
    * Read a CSV file and parse it
    * @param {string} filePath - Path to the CSV file
@@ -129,20 +221,42 @@ class CSVManager {
   }
   
   /**
-   * Load valid domains from CSV
+   * Replace the rows of a CSV file
+   * The file is written next to the old one and then renamed over it, so readers never see it half written
+   * @param {string} filePath - Path to the CSV file
+   * @param {string[]} headers - Columns
+   * @param {Object[]} rows - Data objects
+   * @returns {boolean} - Success status
+   */
+  writeCSV(filePath, headers, rows) {
+    try {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      const content = Papa.unparse({ fields: headers, data: rows.map(row => headers.map(header => row[header] ?? '')) }, { newline: '\n' });
+      
+      fs.writeFileSync(tempPath, content + '\n');
+      fs.renameSync(tempPath, filePath);
+      
+      return true;
+    } catch (error) {
+      console.error(`Error writing CSV ${filePath}:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Load valid company domains from CSV
+   * Free-mail and ISP providers are kept in email-providers.csv instead
    * @returns {Set} Set of valid domains
    */
   loadValidDomains() {
     const data = this.readCSV(this.validDomainsPath);
     const domains = new Set();
     
-    // Add default domains
-    ['gmail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'aol.com'].forEach(d => domains.add(d));
-    
     // Add domains from CSV
+    // IDN domains are stored in punycode so lookups match either form
     data.forEach(row => {
       if (row.domain) {
-        domains.add(row.domain.trim().toLowerCase());
+        domains.add(toAsciiDomain(row.domain.trim()) || row.domain.trim().toLowerCase());
       }
     });
     
@@ -150,17 +264,119 @@ class CSVManager {
     return domains;
   }
   
+  /**
+   * Load disposable email domains from CSV
+   * Entries may be plain domains or wildcards such as "mailinator.*"
+   * @returns {Set} Set of disposable domain entries
+   */
+  loadDisposableDomains() {
+    const data = this.readCSV(this.disposableDomainsPath);
+    const domains = new Set();
+    
+    data.forEach(row => {
+      if (row.domain) {
+        domains.add(row.domain.trim().toLowerCase());
+      }
+    });
+    
+    console.log(`Loaded ${domains.size} disposable domains`);
+    return domains;
+  }
+  
+  /**
+   * Load suppression entries (emails, domains and patterns that are always rejected) from CSV
+   * @returns {Array} - [{type, value, reason, source, addedAt, notes}]
+   */
+  loadSuppressions() {
+    const data = this.readCSV(this.suppressionsPath);
+    
+    const suppressions = data
+      .filter(row => row.type && row.value)
+      .map(row => {
+        const type = row.type.trim().toLowerCase();
+        const value = row.value.trim();
+        
+        return {
+          type,
+          // Patterns are regular expressions, so their case is kept
+          value: type === 'pattern' ? value : value.toLowerCase(),
+          reason: row.reason || null,
+          source: row.source || null,
+          addedAt: row.date_added || null,
+          notes: row.notes || null
+        };
+      });
+    
+    console.log(`Loaded ${suppressions.length} suppression entries`);
+    return suppressions;
+  }
+  
+  /**
+   * Load email providers (free-mail, ISP...) and their email type from CSV
+   * Entries may be plain domains or wildcards such as "yahoo.*"
+   * @returns {Map} Map of domain entry to email type
+   */
+  loadEmailProviders() {
+    const data = this.readCSV(this.emailProvidersPath);
+    const providers = new Map();
+    
+    data.forEach(row => {
+      if (row.domain && row.type) {
+        providers.set(row.domain.trim().toLowerCase(), row.type.trim().toLowerCase());
+      }
+    });
+    
+    console.log(`Loaded ${providers.size} email providers`);
+    return providers;
+  }
+  
+  /**
+   * Load typo mappings from CSV
+   * Later rows replace earlier ones for the same typo, so status changes are appended
+   * @returns {Map} Map of typo domain to {typoDomain, correctedDomain, status, count, manualCount, source, ...}
+   */
+  loadTypoMappings() {
+    const data = this.readCSV(this.typoMappingsPath);
+    const mappings = new Map();
+    
+    data.forEach(row => {
+      if (row.typo_domain && row.corrected_domain) {
+        const typoDomain = row.typo_domain.trim().toLowerCase();
+        mappings.set(typoDomain, {
+          typoDomain,
+          correctedDomain: row.corrected_domain.trim().toLowerCase(),
+          status: row.status || 'proposed',
+          count: parseInt(row.count || '0', 10),
+          manualCount: parseInt(row.manual_count || '0', 10),
+          source: row.source || null,
+          firstSeen: row.first_seen || null,
+          lastSeen: row.last_seen || null,
+          updatedAt: row.updated_date || null,
+          updatedBy: row.updated_by || null
+        });
+      }
+    });
+    
+    console.log(`Loaded ${mappings.size} typo mappings`);
+    return mappings;
+  }
+  
   /**
    * Load known valid emails from CSV
-   * @returns {Set} Set of known valid emails
+   * Later rows replace earlier ones for the same email, so re-validations refresh the date
+   * @param {Function} toKey - Maps an email to its map key (defaults to the lookup form)
+   * @returns {Map} Map of email to {validatedAt, source}
    */
-  loadValidatedEmails() {
+  loadValidatedEmails(toKey = toLookupEmail) {
     const data = this.readCSV(this.validatedEmailsPath);
-    const emails = new Set();
+    const emails = new Map();
     
     data.forEach(row => {
       if (row.email) {
-        emails.add(row.email.trim().toLowerCase());
+        emails.set(toKey(row.email), {
+          validatedAt: row.validation_date || null,
+          source: row.validation_source || null
+        });
       }
     });
     
@@ -168,6 +384,213 @@ class CSVManager {
     return emails;
   }
   
+  /**
+   * Load cached verdicts for non-valid emails from CSV
+   * Later rows replace earlier ones for the same email
+   * @param {Function} toKey - Maps an email to its map key (defaults to the lookup form)
+   * @returns {Map} Map of email to {status, subStatus, source, checkedAt}
+   */
+  loadVerdicts(toKey = toLookupEmail) {
+    const data = this.readCSV(this.verdictsPath);
+    const verdicts = new Map();
+    
+    data.forEach(row => {
+      if (row.email && row.status) {
+        verdicts.set(toKey(row.email), {
+          status: row.status,
+          subStatus: row.sub_status || null,
+          source: row.source || null,
+          checkedAt: row.checked_date
+        });
+      }
+    });
+    
+    console.log(`Loaded ${verdicts.size} cached verdicts`);
+    return verdicts;
+  }
+  
+  /**
+   * Load when each email was last re-verified from CSV
+   * Later rows replace earlier ones for the same email
+   * @param {Function} toKey - Maps an email to its map key (defaults to the lookup form)
+   * @returns {Map} Map of email to {status, subStatus, checkedAt}
+   */
+  loadRechecks(toKey = toLookupEmail) {
+    const data = this.readCSV(this.rechecksPath);
+    const rechecks = new Map();
+    
+    data.forEach(row => {
+      if (row.email && row.checked_date) {
+        rechecks.set(toKey(row.email), {
+          status: row.status || null,
+          subStatus: row.sub_status || null,
+          checkedAt: row.checked_date
+        });
+      }
+    });
+    
+    console.log(`Loaded ${rechecks.size} recheck records`);
+    return rechecks;
+  }
+  
+  /**
+   * Load recorded email corrections from CSV
+   * Rows written before correction trails were recorded have a single type and no details
+   * @returns {Array} - [{originalEmail, correctedEmail, correctedAt, corrections: [{type, from, to, confidence}]}]
+   */
+  loadCorrections() {
+    const data = this.readCSV(this.correctedEmailsPath);
+    
+    const corrections = data
+      .filter(row => row.original_email && row.corrected_email)
+      .map(row => {
+        let trail = null;
+        
+        if (row.correction_details) {
+          try {
+            trail = JSON.parse(row.correction_details);
+          } catch (error) {
+            console.warn(`Invalid correction details for ${row.original_email}:`, error.message);
+          }
+        }
+        
+        if (!Array.isArray(trail)) {
+          const types = (row.correction_type || '').split('|').filter(Boolean);
+          trail = types.map(type => ({
+            type,
+            // Only a single correction's before/after is known
+            from: types.length === 1 ? row.original_email : null,
+            to: types.length === 1 ? row.corrected_email : null,
+            confidence: null
+          }));
+        }
+        
+        return {
+          originalEmail: row.original_email,
+          correctedEmail: row.corrected_email,
+          correctedAt: row.correction_date,
+          corrections: trail
+        };
+      });
+    
+    console.log(`Loaded ${corrections.length} corrections`);
+    return corrections;
+  }
+  
+  /**
+   * Load links between emails and HubSpot contacts from CSV
+   * Later rows replace earlier ones for the same email
+   * @param {Function} toKey - Maps an email to its map key (defaults to the lookup form)
+   * @returns {Map} Map of email to HubSpot contact ID
+   */
+  loadContactLinks(toKey = toLookupEmail) {
+    const data = this.readCSV(this.contactsPath);
+    const contacts = new Map();
+    
+    data.forEach(row => {
+      if (row.email && row.hubspot_contact_id) {
+        contacts.set(toKey(row.email), row.hubspot_contact_id);
+      }
+    });
+    
+    console.log(`Loaded ${contacts.size} contact links`);
+    return contacts;
+  }
+  
+  /**
+   * Load what is known about domains (catch-all status, MX provider, verdict stats) from CSV
+   * Later rows replace earlier ones for the same domain
+   * @returns {Map} Map of domain to {domain, catchAll, catchAllOverride, mxProvider, stats, lastChecked, updatedBy, notes}
+   */
+  loadDomainKnowledge() {
+    const data = this.readCSV(this.domainKnowledgePath);
+    const domains = new Map();
+    // Empty means not known
+    const toBoolean = value => (value === 'true' ? true : value === 'false' ? false : null);
+    
+    data.forEach(row => {
+      if (row.domain) {
+        const domain = row.domain.trim().toLowerCase();
+        domains.set(domain, {
+          domain,
+          catchAll: toBoolean(row.catch_all),
+          catchAllOverride: toBoolean(row.catch_all_override),
+          mxProvider: row.mx_provider || null,
+          stats: {
+            valid: parseInt(row.valid_count || '0', 10),
+            invalid: parseInt(row.invalid_count || '0', 10),
+            unknown: parseInt(row.unknown_count || '0', 10),
+            catchAll: parseInt(row.catch_all_count || '0', 10)
+          },
+          lastChecked: row.last_checked || null,
+          updatedBy: row.updated_by || null,
+          notes: row.notes || null
+        });
+      }
+    });
+    
+    console.log(`Loaded knowledge for ${domains.size} domains`);
+    return domains;
+  }
+  
+  /**
+   * Load API keys from CSV
+   * The latest row for a key wins, so revoking or changing a key appends a new version
+   * @returns {Map} - Map of key ID to {keyId, keyHash, keyPrefix, name, scopes, rateLimit, monthlyQuota, createdAt, revokedAt, notes}
+   */
+  loadApiKeys() {
+    const data = this.readCSV(this.apiKeysPath);
+    const keys = new Map();
+    // Empty means no limit
+    const toLimit = value => (value ? parseInt(value, 10) : null);
+    
+    data.forEach(row => {
+      if (row.key_id && row.key_hash) {
+        keys.set(row.key_id, {
+          keyId: row.key_id,
+          keyHash: row.key_hash,
+          keyPrefix: row.key_prefix || '',
+          name: row.name || '',
+          scopes: (row.scopes || '').split(' ').filter(Boolean),
+          rateLimit: toLimit(row.rate_limit),
+          monthlyQuota: toLimit(row.monthly_quota),
+          createdAt: row.created_at || null,
+          revokedAt: row.revoked_at || null,
+          notes: row.notes || null
+        });
+      }
+    });
+    
+    console.log(`Loaded ${keys.size} API keys`);
+    return keys;
+  }
+  
+  /**
+   * Load API usage counters from CSV
+   * Each row holds what one request added, so the counters are the sums of a key's rows for a month
+   * @returns {Map} - Map of "keyId month" to {keyId, month, requests, validations, updatedAt}
+   */
+  loadApiUsage() {
+    const data = this.readCSV(this.apiUsagePath);
+    const usage = new Map();
+    
+    data.forEach(row => {
+      if (row.key_id && row.month) {
+        const key = `${row.key_id} ${row.month}`;
+        const current = usage.get(key) || { keyId: row.key_id, month: row.month, requests: 0, validations: 0, updatedAt: null };
+        
+        usage.set(key, {
+          ...current,
+          requests: current.requests + parseInt(row.requests || '0', 10),
+          validations: current.validations + parseInt(row.validations || '0', 10),
+          updatedAt: row.updated_at || current.updatedAt
+        });
+      }
+    });
+    
+    return usage;
+  }
+  
   /**
    * Add a valid domain to the CSV
    * @param {string} domain - Domain to add
@@ -186,6 +609,28 @@ class CSVManager {
     return this.appendToCSV(this.validDomainsPath, data);
   }
   
+  /**
+   * Add a typo mapping (or a new status for one) to the CSV
+   * @param {Object} mapping - {typoDomain, correctedDomain, status, count, manualCount, source, firstSeen, lastSeen, updatedAt, updatedBy}
+   * @returns {boolean} - Success status
+   */
+  addTypoMapping(mapping) {
+    const data = {
+      typo_domain: mapping.typoDomain,
+      corrected_domain: mapping.correctedDomain,
+      status: mapping.status,
+      count: mapping.count ?? 0,
+      manual_count: mapping.manualCount ?? 0,
+      source: mapping.source || '',
+      first_seen: mapping.firstSeen || '',
+      last_seen: mapping.lastSeen || '',
+      updated_date: mapping.updatedAt || new Date().toISOString(),
+      updated_by: mapping.updatedBy || ''
+    };
+    
+    return this.appendToCSV(this.typoMappingsPath, data);
+  }
+  
   /**
    * Add a validated email to the CSV
    * @param {string} email - Validated email address
@@ -205,19 +650,137 @@ class CSVManager {
     return this.appendToCSV(this.validatedEmailsPath, data);
   }
   
+  /**
+   * Add a cached verdict to the CSV
+   * @param {string} email - Normalized email address
+   * @param {Object} verdict - {status, subStatus, source, checkedAt}
+   * @returns {boolean} - Success status
+   */
+  addVerdict(email, verdict) {
+    const data = {
+      email,
+      status: verdict.status,
+      sub_status: verdict.subStatus || '',
+      source: verdict.source || '',
+      checked_date: verdict.checkedAt
+    };
+    
+    return this.appendToCSV(this.verdictsPath, data);
+  }
+  
+  /**
+   * Record a re-verification in the CSV
+   * @param {string} email - Normalized email address
+   * @param {Object} recheck - {status, subStatus, checkedAt}
+   * @returns {boolean} - Success status
+   */
+  addRecheck(email, recheck) {
+    const data = {
+      email,
+      status: recheck.status,
+      sub_status: recheck.subStatus || '',
+      checked_date: recheck.checkedAt
+    };
+    
+    return this.appendToCSV(this.rechecksPath, data);
+  }
+  
+  /**
+   * Add a new version of a domain's knowledge to the CSV
+   * @param {Object} entry - {domain, catchAll, catchAllOverride, mxProvider, stats, lastChecked, updatedBy, notes}
+   * @returns {boolean} - Success status
+   */
+  addDomainKnowledge(entry) {
+    const data = {
+      domain: entry.domain,
+      catch_all: entry.catchAll ?? '',
+      catch_all_override: entry.catchAllOverride ?? '',
+      mx_provider: entry.mxProvider || '',
+      valid_count: entry.stats.valid,
+      invalid_count: entry.stats.invalid,
+      unknown_count: entry.stats.unknown,
+      catch_all_count: entry.stats.catchAll,
+      last_checked: entry.lastChecked || '',
+      updated_by: entry.updatedBy || '',
+      notes: entry.notes || ''
+    };
+    
+    return this.appendToCSV(this.domainKnowledgePath, data);
+  }
+  
+  /**
+   * Add a new version of an API key to the CSV
+   * @param {Object} entry - {keyId, keyHash, keyPrefix, name, scopes, rateLimit, monthlyQuota, createdAt, revokedAt, notes}
+   * @returns {boolean} - Success status
+   */
+  addApiKey(entry) {
+    const data = {
+      key_id: entry.keyId,
+      key_hash: entry.keyHash,
+      key_prefix: entry.keyPrefix,
+      name: entry.name || '',
+      scopes: entry.scopes.join(' '),
+      rate_limit: entry.rateLimit ?? '',
+      monthly_quota: entry.monthlyQuota ?? '',
+      created_at: entry.createdAt,
+      revoked_at: entry.revokedAt || '',
+      notes: entry.notes || ''
+    };
+    
+    return this.appendToCSV(this.apiKeysPath, data);
+  }
+  
+  /**
+   * Add what a request used to an API key's usage in the CSV
+   * Only the increase is written, so concurrent writers never overwrite each other's counts
+   * @param {Object} usage - {keyId, month, requests, validations, updatedAt} to add
+   * @returns {boolean} - Success status
+   */
+  addApiUsage(usage) {
+    const data = {
+      key_id: usage.keyId,
+      month: usage.month,
+      requests: usage.requests || 0,
+      validations: usage.validations || 0,
+      updated_at: usage.updatedAt
+    };
+    
+    return this.appendToCSV(this.apiUsagePath, data);
+  }
+  
+  /**
+   * Link an email to a HubSpot contact in the CSV
+   * @param {string} email - Normalized email address
+   * @param {string} contactId - HubSpot contact ID
+   * @returns {boolean} - Success status
+   */
+  addContactLink(email, contactId) {
+    const data = {
+      email,
+      hubspot_contact_id: contactId,
+      linked_date: new Date().toISOString()
+    };
+    
+    return this.appendToCSV(this.contactsPath, data);
+  }
+  
   /**
    * Add a corrected email to the CSV
+   * Every applied correction is listed in correction_type (separated by "|") and in correction_details (JSON)
    * @param {string} originalEmail - Original incorrect email
    * @param {string} correctedEmail - Corrected email address
-   * @param {string} correctionType - Type of correction (e.g., 'typo', 'case', 'tld')
+   * @param {Array|string} corrections - Correction trail ([{type, from, to, confidence}]) or a single type (e.g. 'tld')
    * @returns {boolean} - Success status
    */
-  addCorrectedEmail(originalEmail, correctedEmail, correctionType = 'typo') {
+  addCorrectedEmail(originalEmail, correctedEmail, corrections = 'typo') {
+    const trail = Array.isArray(corrections) ? corrections : null;
+    
     const data = {
       original_email: originalEmail,
       corrected_email: correctedEmail,
       correction_date: new Date().toISOString(),
-      correction_type: correctionType
+      correction_type: trail ? trail.map(correction => correction.type).join('|') : corrections,
+      correction_details: trail ? JSON.stringify(trail) : ''
     };
     
     return this.appendToCSV(this.correctedEmailsPath, data);
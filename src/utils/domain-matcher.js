@@ -0,0 +1,65 @@
+/**
+ * Domain list matching utilities
+ * Matches domains against lists that may contain parent domains and wildcard entries
+ */
+
+/**
+ * Convert a wildcard entry (e.g. "*.tempmail.*", "10minutemail.*") to a regex
+ * @param {string} entry - Wildcard domain entry
+ * @returns {RegExp} - Regex matching the whole domain
+ */
+function wildcardToRegex(entry) {
+  const pattern = entry
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[a-z0-9.-]*');
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Compile a list of domain entries for fast matching
+ * @param {Iterable<string>} entries - Domains and wildcard entries
+ * @returns {Object} - {exact: Set, wildcards: Array<{entry, regex}>}
+ */
+export function compileDomainList(entries) {
+  const exact = new Set();
+  const wildcards = [];
+
+  for (const rawEntry of entries) {
+    const entry = rawEntry.trim().toLowerCase();
+    if (!entry) continue;
+
+    if (entry.includes('*')) {
+      wildcards.push({ entry, regex: wildcardToRegex(entry) });
+    } else {
+      exact.add(entry);
+    }
+  }
+
+  return { exact, wildcards };
+}
+
+/**
+ * Find the list entry matching a domain
+ * A domain matches an entry if it is the entry itself or a subdomain of it,
+ * for wildcard entries too (e.g. "mailinator.*" matches "eu.mailinator.com")
+ * @param {string} domain - Domain to check
+ * @param {Object} list - Compiled list from compileDomainList
+ * @returns {string|null} - The matching entry or null
+ */
+export function matchDomain(domain, list) {
+  if (!domain || !list) return null;
+
+  const normalizedDomain = domain.trim().toLowerCase();
+
+  // Check the domain and each of its parent domains
+  const labels = normalizedDomain.split('.');
+  const candidates = labels.slice(0, -1).map((label, i) => labels.slice(i).join('.'));
+
+  const exact = candidates.find(candidate => list.exact.has(candidate));
+  if (exact) return exact;
+
+  const wildcard = list.wildcards.find(({ regex }) => candidates.some(candidate => regex.test(candidate)));
+  return wildcard ? wildcard.entry : null;
+}
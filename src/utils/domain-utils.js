@@ -0,0 +1,436 @@
+/**
+ * Domain utilities for the email validation system
+ * Typo correction, TLD correction and domain parsing helpers
+ */
+
+import { COUNTRY_TLD_PACKS, resolveTldPacks } from './tld-packs';
+
+/**
+ * Well-known misspellings of popular email domains
+ */
+export const DOMAIN_TYPOS = {
+  // Gmail
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gmal.com': 'gmail.com',
+  'gmaill.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.con': 'gmail.com',
+  'gmail.cmo': 'gmail.com',
+  'gmail.om': 'gmail.com',
+  'gmail.comm': 'gmail.com',
+  'gmailcom': 'gmail.com',
+  // Outlook / Hotmail / Live
+  'outlok.com': 'outlook.com',
+  'outloook.com': 'outlook.com',
+  'outlook.co': 'outlook.com',
+  'outlook.con': 'outlook.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmai.com': 'hotmail.com',
+  'hotmal.com': 'hotmail.com',
+  'hotamil.com': 'hotmail.com',
+  'hotmail.co': 'hotmail.com',
+  'hotmail.con': 'hotmail.com',
+  'htomail.com': 'hotmail.com',
+  'live.con': 'live.com',
+  // Yahoo
+  'yaho.com': 'yahoo.com',
+  'yahooo.com': 'yahoo.com',
+  'yhoo.com': 'yahoo.com',
+  'yahoo.co': 'yahoo.com',
+  'yahoo.con': 'yahoo.com',
+  // iCloud
+  'iclod.com': 'icloud.com',
+  'icloud.co': 'icloud.com',
+  'icoud.com': 'icloud.com',
+  // Australian providers
+  'bigpond.con': 'bigpond.com',
+  'bigpnd.com': 'bigpond.com',
+  'optusnet.com': 'optusnet.com.au',
+  'optusnet.comau': 'optusnet.com.au'
+};
+
+/**
+ * Popular email providers, always considered as typo correction targets
+ */
+export const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'msn.com', 'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'mail.com',
+  'gmx.com', 'protonmail.com', 'proton.me', 'zoho.com', 'fastmail.com',
+  'yandex.com', 'bigpond.com', 'bigpond.net.au', 'optusnet.com.au',
+  'iinet.net.au', 'tpg.com.au', 'internode.on.net', 'hotmail.com.au',
+  'outlook.com.au', 'yahoo.com.au'
+];
+
+/**
+ * Real mail domains a keystroke away from a popular provider, never fuzzy-corrected
+ */
+export const LOOKALIKE_DOMAINS = ['ymail.com', 'fmail.com', 'hmail.com', 'email.com'];
+
+/**
+ * Australian second-level domains
+ */
+export const AUSTRALIAN_TLDS = COUNTRY_TLD_PACKS.au.secondLevels.map(sld => `${sld}.au`);
+
+/**
+ * QWERTY rows and their horizontal stagger, used for keyboard-aware distances
+ */
+const KEYBOARD_ROWS = [
+  { keys: '1234567890-', offset: 0 },
+  { keys: 'qwertyuiop', offset: 0.5 },
+  { keys: 'asdfghjkl', offset: 0.75 },
+  { keys: 'zxcvbnm', offset: 1.25 }
+];
+
+const KEY_POSITIONS = {};
+KEYBOARD_ROWS.forEach(({ keys, offset }, row) => {
+  [...keys].forEach((key, column) => {
+    KEY_POSITIONS[key] = { row, x: column + offset };
+  });
+});
+
+// Edit costs: hitting a neighbouring key is the most likely typo
+const ADJACENT_KEY_COST = 0.5;
+const TRANSPOSITION_COST = 0.75;
+const EDIT_COST = 1;
+
+// Short names like "aon.com" or "gmc.com" are too close to real providers to fuzzy-correct
+const MIN_FUZZY_LABEL_LENGTH = 4;
+
+/**
+ * Check if two characters are neighbours on a QWERTY keyboard
+ * @param {string} a - First character
+ * @param {string} b - Second character
+ * @returns {boolean} - Whether the keys are adjacent
+ */
+function areAdjacentKeys(a, b) {
+  const posA = KEY_POSITIONS[a];
+  const posB = KEY_POSITIONS[b];
+
+  if (!posA || !posB) return false;
+
+  const rowDistance = Math.abs(posA.row - posB.row);
+  const xDistance = Math.abs(posA.x - posB.x);
+
+  return (rowDistance === 0 && xDistance === 1) || (rowDistance === 1 && xDistance < 1);
+}
+
+/**
+ * Keyboard-aware edit distance between two strings
+ * Damerau-Levenshtein (optimal string alignment) where substituting a
+ * neighbouring key and swapping two characters cost less than other edits
+ * @param {string} source - Typed string
+ * @param {string} target - Candidate string
+ * @returns {number} - Weighted edit distance
+ */
+export function keyboardDistance(source, target) {
+  const rows = source.length + 1;
+  const cols = target.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) d[i][0] = i * EDIT_COST;
+  for (let j = 0; j < cols; j++) d[0][j] = j * EDIT_COST;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const a = source[i - 1];
+      const b = target[j - 1];
+
+      let substitutionCost = 0;
+      if (a !== b) {
+        substitutionCost = areAdjacentKeys(a, b) ? ADJACENT_KEY_COST : EDIT_COST;
+      }
+
+      d[i][j] = Math.min(
+        d[i - 1][j] + EDIT_COST,
+        d[i][j - 1] + EDIT_COST,
+        d[i - 1][j - 1] + substitutionCost
+      );
+
+      if (i > 1 && j > 1 && a === target[j - 2] && source[i - 2] === b) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + TRANSPOSITION_COST);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Find the closest candidate domain by keyboard-aware edit distance
+ * @param {string} domain - Domain to correct
+ * @param {Iterable<string>} candidates - Domains to compare against
+ * @param {number} maxDistance - Largest distance to consider
+ * @returns {Object|null} - {domain, distance, ambiguous} or null
+ */
+function findClosestDomain(domain, candidates, maxDistance) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    // Length difference is a lower bound on the distance
+    if (Math.abs(candidate.length - domain.length) > maxDistance) continue;
+
+    const distance = keyboardDistance(domain, candidate);
+    if (distance > maxDistance) continue;
+
+    if (!best || distance < best.distance) {
+      best = { domain: candidate, distance, ambiguous: false };
+    } else if (distance === best.distance && candidate !== best.domain) {
+      best.ambiguous = true;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check if a domain is known to exist, so must not be fuzzy-corrected into another one
+ * @param {string} domain - Normalized domain
+ * @param {Object} options - knownDomains and realDomains sets
+ * @returns {boolean} - Whether the domain is known to exist
+ */
+function isRealDomain(domain, options) {
+  return POPULAR_DOMAINS.includes(domain)
+    || LOOKALIKE_DOMAINS.includes(domain)
+    || Boolean(options.knownDomains?.has(domain))
+    || Boolean(options.realDomains?.has(domain));
+}
+
+/**
+ * Correct common domain typos
+ * Checks the static typo map first, then looks for the closest popular
+ * provider or known company domain by keyboard-aware edit distance
+ * @param {string} domain - Domain to correct
+ * @param {Object} options - Correction options
+ * @param {Set<string>} options.knownDomains - Known valid domains (e.g. from valid-domains.csv)
+ * @param {Set<string>} options.realDomains - Other domains known to exist (email providers, domains
+ *   of known valid emails); never corrected, but not correction targets either
+ * @param {number} options.threshold - Minimum confidence (0-1) for a fuzzy correction
+ * @param {number} options.maxDistance - Largest edit distance for a fuzzy correction
+ * @param {Map<string, string>} options.learnedTypos - Approved typo mappings learned from past corrections
+ * @returns {Object} - {corrected: boolean, domain: string, confidence: number, method: string}
+ */
+export function correctDomainTypos(domain, options = {}) {
+  if (!domain) return { corrected: false, domain, confidence: null, method: null };
+
+  const normalizedDomain = domain.trim().toLowerCase();
+  const knownDomains = options.knownDomains || new Set();
+  const threshold = options.threshold ?? 0.88;
+  const maxDistance = options.maxDistance ?? 2;
+
+  // Exact typo map match
+  if (DOMAIN_TYPOS[normalizedDomain]) {
+    return {
+      corrected: true,
+      domain: DOMAIN_TYPOS[normalizedDomain],
+      confidence: 1,
+      method: 'typo_map'
+    };
+  }
+
+  if (options.learnedTypos?.has(normalizedDomain)) {
+    return {
+      corrected: true,
+      domain: options.learnedTypos.get(normalizedDomain),
+      confidence: 1,
+      method: 'learned'
+    };
+  }
+
+  // Domains we already know are real are never "corrected"
+  if (isRealDomain(normalizedDomain, options)) {
+    return { corrected: false, domain: normalizedDomain, confidence: null, method: null };
+  }
+
+  if (normalizedDomain.split('.')[0].length < MIN_FUZZY_LABEL_LENGTH) {
+    return { corrected: false, domain: normalizedDomain, confidence: null, method: null };
+  }
+
+  // Popular providers are tried first, so a near-tie with a company domain doesn't block them
+  const closest = findClosestDomain(normalizedDomain, POPULAR_DOMAINS, maxDistance)
+    || findClosestDomain(normalizedDomain, knownDomains, maxDistance);
+
+  if (!closest || closest.ambiguous) {
+    return { corrected: false, domain: normalizedDomain, confidence: null, method: null };
+  }
+
+  const confidence = Math.round((1 - closest.distance / closest.domain.length) * 100) / 100;
+
+  if (confidence < threshold) {
+    return { corrected: false, domain: normalizedDomain, confidence, method: null };
+  }
+
+  return {
+    corrected: true,
+    domain: closest.domain,
+    confidence,
+    method: 'edit_distance'
+  };
+}
+
+/**
+ * List likely intended domains for a possibly mistyped domain, best first
+ * Unlike correctDomainTypos, near-ties are all returned, since the user picks one
+ * @param {string} domain - Domain to check
+ * @param {Object} options - Suggestion options
+ * @param {Set<string>} options.knownDomains - Known valid domains (e.g. from valid-domains.csv)
+ * @param {Set<string>} options.realDomains - Other domains known to exist, never given suggestions
+ * @param {number} options.threshold - Minimum confidence (0-1) for a suggestion
+ * @param {number} options.maxDistance - Largest edit distance considered
+ * @param {number} options.limit - Most suggestions returned
+ * @param {Map<string, string>} options.learnedTypos - Approved typo mappings learned from past corrections
+ * @returns {Object[]} - [{domain, confidence, method}]
+ */
+export function suggestDomains(domain, options = {}) {
+  if (!domain) return [];
+
+  const normalizedDomain = domain.trim().toLowerCase();
+  const knownDomains = options.knownDomains || new Set();
+  const threshold = options.threshold ?? 0.75;
+  const maxDistance = options.maxDistance ?? 2;
+  const limit = options.limit ?? 3;
+
+  if (DOMAIN_TYPOS[normalizedDomain]) {
+    return [{ domain: DOMAIN_TYPOS[normalizedDomain], confidence: 1, method: 'typo_map' }];
+  }
+
+  if (options.learnedTypos?.has(normalizedDomain)) {
+    return [{ domain: options.learnedTypos.get(normalizedDomain), confidence: 1, method: 'learned' }];
+  }
+
+  if (isRealDomain(normalizedDomain, options)) {
+    return [];
+  }
+
+  if (normalizedDomain.split('.')[0].length < MIN_FUZZY_LABEL_LENGTH) {
+    return [];
+  }
+
+  const suggestions = new Map();
+
+  for (const candidate of [...POPULAR_DOMAINS, ...knownDomains]) {
+    if (suggestions.has(candidate)) continue;
+    if (Math.abs(candidate.length - normalizedDomain.length) > maxDistance) continue;
+
+    const distance = keyboardDistance(normalizedDomain, candidate);
+    if (distance > maxDistance) continue;
+
+    const confidence = Math.round((1 - distance / candidate.length) * 100) / 100;
+    if (confidence >= threshold) {
+      suggestions.set(candidate, { domain: candidate, confidence, method: 'edit_distance' });
+    }
+  }
+
+  return Array.from(suggestions.values())
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Correct mistakes in country TLDs using the given packs
+ * Handles missing dots ("acme.conz"), misspelled second-level labels ("acme.com.nz")
+ * and swapped labels ("acme.uk.co"). Known domains are never corrected, and since real
+ * domains such as "shop.au.com" look swapped, labels are only swapped into a known domain
+ * @param {string} domain - Domain to correct
+ * @param {Object} options - Correction options
+ * @param {Array<string|Object>} options.packs - Pack keys (e.g. ['au', 'nz']) or pack objects
+ * @param {Set<string>} options.knownDomains - Known valid domains
+ * @param {Set<string>} options.realDomains - Other domains known to exist
+ * @param {boolean} options.swapLabels - Allow the swapped_labels rule (default true)
+ * @returns {Object} - {corrected: boolean, domain: string, country: string, rule: string}
+ */
+export function correctCountryTLD(domain, options = {}) {
+  if (!domain) return { corrected: false, domain, country: null, rule: null };
+
+  const normalizedDomain = domain.trim().toLowerCase().replace(/\.+$/, '');
+  const packs = resolveTldPacks(options.packs || ['au']);
+  const knownDomains = options.knownDomains || new Set();
+  const realDomains = options.realDomains || new Set();
+  const isKnown = candidate => knownDomains.has(candidate) || realDomains.has(candidate);
+  // Case and trailing dots alone aren't a TLD correction, so there is no rule to report
+  const unchanged = { corrected: false, domain: normalizedDomain, country: null, rule: null };
+
+  if (isKnown(normalizedDomain)) {
+    return unchanged;
+  }
+
+  // Already a valid second-level domain for one of the countries
+  const hasValidSecondLevel = packs.some(({ tld, secondLevels }) => (
+    secondLevels.some(sld => normalizedDomain.endsWith(`.${sld}.${tld}`))
+  ));
+  if (hasValidSecondLevel) {
+    return unchanged;
+  }
+
+  for (const { country, tld, secondLevels, sldTypos = {} } of packs) {
+    const fix = (correctedDomain, rule) => ({ corrected: true, domain: correctedDomain, country, rule });
+
+    for (const sld of secondLevels) {
+      // Missing dot: "acme.comau" -> "acme.com.au"
+      if (normalizedDomain.endsWith(`.${sld}${tld}`)) {
+        return fix(`${normalizedDomain.slice(0, -(sld.length + tld.length))}${sld}.${tld}`, 'missing_dot');
+      }
+
+      // Swapped labels: "acme.uk.co" -> "acme.co.uk", when acme.co.uk is known
+      if (options.swapLabels !== false && normalizedDomain.endsWith(`.${tld}.${sld}`)) {
+        const swappedDomain = `${normalizedDomain.slice(0, -(tld.length + sld.length + 1))}${sld}.${tld}`;
+        if (isKnown(swappedDomain)) {
+          return fix(swappedDomain, 'swapped_labels');
+        }
+      }
+    }
+
+    // Misspelled second-level label: "acme.con.au" -> "acme.com.au"
+    const match = normalizedDomain.match(new RegExp(`^(.+)\\.([a-z]+)\\.${tld}$`));
+    if (match && sldTypos[match[2]]) {
+      return fix(`${match[1]}.${sldTypos[match[2]]}.${tld}`, 'second_level_typo');
+    }
+  }
+
+  return unchanged;
+}
+
+/**
+ * Correct mistakes in Australian TLDs
+ * Handles missing dots ("comau"), misspelled second-level labels ("con.au")
+ * and swapped labels ("au.com")
+ * @param {string} domain - Domain to correct
+ * @returns {Object} - {corrected: boolean, domain: string}
+ */
+export function correctAustralianTLD(domain) {
+  const { corrected, domain: correctedDomain } = correctCountryTLD(domain, { packs: ['au'] });
+  return { corrected, domain: correctedDomain };
+}
+
+/**
+ * Extract the domain from an email address
+ * @param {string} email - Email address
+ * @returns {string|null} - Lowercase domain or null
+ */
+export function extractDomainFromEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+
+  const atIndex = email.lastIndexOf('@');
+  if (atIndex === -1 || atIndex === email.length - 1) return null;
+
+  return email.slice(atIndex + 1).trim().toLowerCase();
+}
+
+/**
+ * Check if a domain is syntactically valid
+ * @param {string} domain - Domain to check
+ * @returns {boolean} - Whether the domain has a valid format
+ */
+export function isValidDomainFormat(domain) {
+  if (!domain || domain.length > 253) return false;
+
+  const labels = domain.split('.');
+  if (labels.length < 2) return false;
+
+  const labelRegex = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+  const tld = labels[labels.length - 1];
+
+  return labels.every(label => labelRegex.test(label)) && /^[a-z]{2,}$/i.test(tld);
+}
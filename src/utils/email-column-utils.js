@@ -0,0 +1,67 @@
+/**
+ * Email column utilities
+ * Finds the column holding email addresses in an uploaded spreadsheet
+ */
+
+/**
+ * Header names used for email columns, compared without case, spaces, dashes or underscores
+ */
+const EMAIL_HEADERS = ['email', 'emailaddress', 'mail', 'emailaddr', 'contactemail', 'workemail'];
+
+// Rows sampled when guessing the column from its values
+const SAMPLE_SIZE = 50;
+
+/**
+ * Normalize a header for comparison
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Find a column by name, ignoring case and surrounding whitespace
+ * @param {string[]} fields - Column headers
+ * @param {string} name - Column asked for
+ * @returns {string|null} - Header as written in the file, or null
+ */
+export function findColumn(fields, name) {
+  if (!name) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  return fields.find(field => field === name)
+    || fields.find(field => String(field).trim().toLowerCase() === wanted)
+    || null;
+}
+
+/**
+ * Detect the email column of a parsed CSV
+ * A known header wins; otherwise the column where most sampled values contain an "@"
+ * @param {string[]} fields - Column headers
+ * @param {Object[]} rows - Parsed rows keyed by header
+ * @returns {string|null} - Header of the email column, or null when none looks like one
+ */
+export function detectEmailColumn(fields, rows = []) {
+  if (!fields || fields.length === 0) return null;
+
+  const named = fields.find(field => EMAIL_HEADERS.includes(normalizeHeader(field)));
+  if (named) return named;
+
+  const sample = rows.slice(0, SAMPLE_SIZE);
+  let best = null;
+  let bestRatio = 0;
+
+  fields.forEach(field => {
+    const values = sample.map(row => String(row[field] ?? '').trim()).filter(Boolean);
+    if (values.length === 0) return;
+
+    const ratio = values.filter(value => value.includes('@')).length / values.length;
+    if (ratio > bestRatio) {
+      best = field;
+      bestRatio = ratio;
+    }
+  });
+
+  return bestRatio >= 0.5 ? best : null;
+}
@@ -0,0 +1,104 @@
+/**
+ * Email type utilities
+ * Classifies an email's domain as business, free-mail, ISP, education or government,
+ * for lead scoring where a company address is worth more than a personal one
+ */
+
+import { compileDomainList, matchDomain } from './domain-matcher';
+
+/**
+ * Email types, from the provider list or TLD heuristics; disposable comes from the disposable list
+ */
+export const EMAIL_TYPES = ['business', 'free', 'isp', 'education', 'government', 'disposable'];
+
+/**
+ * Built-in providers, used alongside data/email-providers.csv
+ */
+export const DEFAULT_EMAIL_PROVIDERS = {
+  'gmail.com': 'free',
+  'googlemail.com': 'free',
+  'outlook.com': 'free',
+  'hotmail.com': 'free',
+  'live.com': 'free',
+  'msn.com': 'free',
+  'yahoo.com': 'free',
+  'icloud.com': 'free',
+  'me.com': 'free',
+  'aol.com': 'free'
+};
+
+/**
+ * Second-level labels used by education institutions under country TLDs (e.g. ac.uk, edu.au)
+ */
+const EDUCATION_SECOND_LEVELS = ['edu', 'ac', 'sch', 'school'];
+
+/**
+ * Second-level labels used by governments under country TLDs (e.g. gov.au, govt.nz, gouv.fr)
+ */
+const GOVERNMENT_SECOND_LEVELS = ['gov', 'govt', 'gob', 'gouv', 'go', 'mil'];
+
+/**
+ * Other public sector suffixes that don't follow the second-level convention
+ */
+const GOVERNMENT_SUFFIXES = ['gc.ca', 'police.uk', 'nhs.uk', 'mod.uk'];
+
+/**
+ * Compile provider entries for classification
+ * @param {Object|Map} providers - Domain (or wildcard entry) to email type
+ * @returns {Object} - {types: Map, list} for classifyEmailDomain
+ */
+export function compileProviderList(providers) {
+  const types = new Map(providers instanceof Map ? providers : Object.entries(providers));
+  return { types, list: compileDomainList(types.keys()) };
+}
+
+/**
+ * Guess the email type from the domain's TLD
+ * @param {string} domain - Lowercase ASCII domain
+ * @returns {string|null} - 'education', 'government' or null
+ */
+export function classifyByTld(domain) {
+  if (!domain) return null;
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels.length > 2 ? labels[labels.length - 2] : null;
+  // Second-level conventions only apply under two-letter country TLDs
+  const countryTld = tld.length === 2;
+
+  if (tld === 'edu') return 'education';
+  if (countryTld && EDUCATION_SECOND_LEVELS.includes(secondLevel)) return 'education';
+  // US school districts, e.g. lincoln.k12.ne.us
+  if (tld === 'us' && labels.includes('k12')) return 'education';
+
+  if (tld === 'gov' || tld === 'mil') return 'government';
+  if (countryTld && GOVERNMENT_SECOND_LEVELS.includes(secondLevel)) return 'government';
+  if (GOVERNMENT_SUFFIXES.some(suffix => domain === suffix || domain.endsWith(`.${suffix}`))) return 'government';
+  // US state agencies, e.g. dot.state.ny.us
+  if (tld === 'us' && labels.includes('state')) return 'government';
+
+  return null;
+}
+
+/**
+ * Classify an email domain
+ * Listed providers (and their subdomains) win over the TLD heuristics; everything else is business
+ * @param {string} domain - Lowercase ASCII domain
+ * @param {Object} providers - Compiled provider list from compileProviderList
+ * @returns {Object} - {emailType, matched} where matched is the provider entry or 'tld'
+ */
+export function classifyEmailDomain(domain, providers = compileProviderList(DEFAULT_EMAIL_PROVIDERS)) {
+  if (!domain) return { emailType: null, matched: null };
+
+  const entry = matchDomain(domain, providers.list);
+  if (entry) {
+    return { emailType: providers.types.get(entry), matched: entry };
+  }
+
+  const tldType = classifyByTld(domain);
+  if (tldType) {
+    return { emailType: tldType, matched: 'tld' };
+  }
+
+  return { emailType: 'business', matched: null };
+}
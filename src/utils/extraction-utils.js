@@ -0,0 +1,192 @@
+/**
+ * Address extraction utilities
+ * Pull email addresses out of raw field values: display names, mailto links,
+ * "at"/"dot" obfuscation and fields holding several addresses
+ */
+
+// Looks like a whole address, used to pick an address out of surrounding text
+const ADDRESS_TOKEN_REGEX = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// "at" and "dot" written out, optionally bracketed: " at ", "[at]", "(dot)", "{ dot }"
+const OBFUSCATED_AT_REGEX = /\s*[[({]\s*at\s*[\])}]\s*|\s+at\s+/gi;
+const OBFUSCATED_DOT_REGEX = /\s*[[({]\s*dot\s*[\])}]\s*|\s+dot\s+/gi;
+
+// Characters left around an address when it is copied out of text
+const SURROUNDING_PUNCTUATION_REGEX = /^[\s"'`<([{]+|[\s"'`>)\]}.,;:]+$/g;
+
+/**
+ * Split a field into one segment per address
+ * Separators (";", ",", new lines) inside quotes or angle brackets are ignored, and
+ * segments without an address (e.g. "Doe" from "Doe, Jane <jane@acme.com>") are joined to the next one
+ * @param {string} value - Raw field value
+ * @returns {string[]} - Segments, each holding at most one address
+ */
+export function splitAddressList(value) {
+  if (!value || typeof value !== 'string') return [];
+
+  const pieces = [];
+  let current = '';
+  let inQuotes = false;
+  let inBrackets = false;
+
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '<' && !inQuotes) inBrackets = true;
+    else if (char === '>' && !inQuotes) inBrackets = false;
+
+    if (!inQuotes && !inBrackets && (char === ';' || char === ',' || char === '\n' || char === '\r')) {
+      pieces.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  pieces.push(current);
+
+  const segments = [];
+  let pending = '';
+
+  pieces.forEach(piece => {
+    const segment = pending ? `${pending},${piece}` : piece;
+
+    if (!segment.trim()) return;
+
+    if (!hasAddress(segment)) {
+      pending = segment;
+      return;
+    }
+
+    pending = '';
+
+    // "jane@acme.com john@acme.com": several bare addresses separated by spaces
+    const tokens = segment.trim().split(/\s+/);
+    if (tokens.length > 1 && !/[<>"]/.test(segment) && tokens.every(token => ADDRESS_TOKEN_REGEX.test(token))) {
+      segments.push(...tokens);
+    } else {
+      segments.push(segment.trim());
+    }
+  });
+
+  // Text without any address is still returned, so it can fail validation visibly
+  if (pending) {
+    if (segments.length > 0) {
+      segments[segments.length - 1] = `${segments[segments.length - 1]},${pending}`;
+    } else {
+      segments.push(pending.trim());
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Check if a segment holds an address, plain or obfuscated
+ * @param {string} segment - Part of a field value
+ * @returns {boolean}
+ */
+function hasAddress(segment) {
+  return segment.includes('@') || deobfuscate(segment) !== null;
+}
+
+/**
+ * Turn "jane dot doe at acme dot com" into "jane.doe@acme.com"
+ * @param {string} value - Text without an "@"
+ * @returns {string|null} - The address, or null when the text doesn't read as one
+ */
+function deobfuscate(value) {
+  if (value.includes('@')) return null;
+
+  const address = value
+    .trim()
+    .replace(OBFUSCATED_AT_REGEX, '@')
+    .replace(OBFUSCATED_DOT_REGEX, '.');
+
+  return ADDRESS_TOKEN_REGEX.test(address) ? address : null;
+}
+
+/**
+ * Remove one level of quotes from a display name
+ * @param {string} name - Display name as written
+ * @returns {string} - Display name
+ */
+function unquote(name) {
+  const trimmed = name.trim();
+  const quoted = trimmed.match(/^"(.*)"$/s) || trimmed.match(/^'(.*)'$/s);
+  return (quoted ? quoted[1].replace(/\\(.)/g, '$1') : trimmed).trim();
+}
+
+/**
+ * Extract the address from one segment of a field value
+ * Everything removed is listed in `stripped`, in the order it was removed
+ * @param {string} segment - One address with whatever surrounds it
+ * @returns {Object} - {email, displayName, stripped: Array<{type, value}>}
+ */
+export function parseAddress(segment) {
+  if (!segment || typeof segment !== 'string') {
+    return { email: segment, displayName: null, stripped: [] };
+  }
+
+  const stripped = [];
+  let displayName = null;
+  let email = segment.trim();
+
+  const strip = (type, value) => {
+    if (value) stripped.push({ type, value });
+  };
+
+  // "Jane Doe" <jane@acme.com.au> (or <jane@acme.com.au> on its own)
+  const angleMatch = email.match(/^(.*?)<([^<>]*@[^<>]*)>(.*)$/s);
+  if (angleMatch) {
+    const [, name, address, trailing] = angleMatch;
+    displayName = unquote(name) || null;
+    strip('display_name', displayName);
+    strip('angle_brackets', '<>');
+    strip('comment', trailing.trim());
+    email = address.trim();
+  }
+
+  // mailto:jane@acme.com.au?subject=Hello
+  const mailtoMatch = email.match(/^mailto:([^?]*)(\?.*)?$/i);
+  if (mailtoMatch) {
+    strip('mailto', email.slice(0, 7));
+    strip('mailto_params', mailtoMatch[2]);
+    try {
+      email = decodeURIComponent(mailtoMatch[1]).trim();
+    } catch (error) {
+      email = mailtoMatch[1].trim();
+    }
+  }
+
+  // jane@acme.com.au (Jane Doe)
+  const commentMatch = email.match(/^(\S+@\S+?)\s*\(([^()]*)\)$/);
+  if (commentMatch) {
+    displayName = displayName || unquote(commentMatch[2]) || null;
+    strip('comment', commentMatch[2].trim());
+    email = commentMatch[1];
+  }
+
+  // Quotes and punctuation left over from copying the address out of text
+  const unwrapped = email.replace(SURROUNDING_PUNCTUATION_REGEX, '');
+  if (unwrapped !== email && unwrapped.includes('@')) {
+    strip('punctuation', email.replace(unwrapped, ''));
+    email = unwrapped;
+  }
+
+  // Email: jane@acme.com.au
+  const tokens = email.split(/\s+/);
+  const addressTokens = tokens.filter(token => ADDRESS_TOKEN_REGEX.test(token.replace(SURROUNDING_PUNCTUATION_REGEX, '')));
+  if (tokens.length > 1 && addressTokens.length === 1) {
+    const address = addressTokens[0].replace(SURROUNDING_PUNCTUATION_REGEX, '');
+    strip('surrounding_text', email.replace(addressTokens[0], ' ').replace(/\s+/g, ' ').trim());
+    email = address;
+  }
+
+  // jane at acme dot com
+  const revealed = deobfuscate(email);
+  if (revealed) {
+    strip('obfuscation', email);
+    email = revealed;
+  }
+
+  return { email, displayName, stripped };
+}
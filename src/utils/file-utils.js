@@ -33,6 +33,20 @@ export function fileExists(filePath) {
   return fs.existsSync(filePath);
 }
 
+/**
+ * Get a stamp that changes whenever a file is written (modification time and size)
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} - Stamp, or null if the file doesn't exist
+ */
+export function getFileStamp(filePath) {
+  try {
+    const { mtimeMs, size } = fs.statSync(filePath);
+    return `${mtimeMs}:${size}`;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Read a file as text
  * @param {string} filePath - Path to the file
@@ -0,0 +1,189 @@
+/**
+ * Internationalized email utilities
+ * IDN (punycode) conversion, Unicode normalization and homograph detection
+ */
+
+import { domainToASCII, domainToUnicode } from 'url';
+
+/**
+ * Scripts that may legitimately appear together in one label
+ */
+const COMPATIBLE_SCRIPTS = [
+  ['Han', 'Hiragana', 'Katakana'],
+  ['Han', 'Hangul'],
+  ['Han', 'Bopomofo']
+];
+
+/**
+ * Scripts we detect per character (everything else is treated as "Other")
+ */
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Hebrew', 'Arabic', 'Devanagari',
+  'Thai', 'Georgian', 'Hangul', 'Hiragana', 'Katakana', 'Bopomofo', 'Han'
+];
+
+const SCRIPT_REGEXES = SCRIPTS.map(script => ({
+  script,
+  regex: new RegExp(`\\p{Script=${script}}`, 'u')
+}));
+
+/**
+ * Cyrillic and Greek letters that look like Latin letters
+ */
+const LATIN_LOOKALIKES = new Set([
+  // Cyrillic
+  'а', 'в', 'е', 'к', 'м', 'н', 'о', 'р', 'с', 'т', 'у', 'х', 'ѕ', 'і', 'ј', 'ԁ', 'һ', 'ӏ', 'ԛ', 'ԝ', 'ү',
+  // Greek
+  'α', 'β', 'ε', 'ι', 'κ', 'ν', 'ο', 'ρ', 'τ', 'υ', 'χ'
+]);
+
+/**
+ * Check if a string contains any non-ASCII characters
+ * @param {string} value - String to check
+ * @returns {boolean} - Whether the string has non-ASCII characters
+ */
+export function hasNonAscii(value) {
+  return /[^\x00-\x7F]/.test(value || '');
+}
+
+/**
+ * Normalize an email to Unicode NFC so visually identical addresses compare equal
+ * @param {string} email - Email address
+ * @returns {string} - NFC-normalized email
+ */
+export function normalizeUnicode(email) {
+  return typeof email === 'string' ? email.normalize('NFC') : email;
+}
+
+/**
+ * Convert a domain to its ASCII (punycode) form
+ * @param {string} domain - Unicode or ASCII domain
+ * @returns {string} - ASCII domain, or empty string if the domain isn't valid
+ */
+export function toAsciiDomain(domain) {
+  if (!domain) return '';
+  if (!hasNonAscii(domain)) return domain.toLowerCase();
+  return domainToASCII(domain.normalize('NFC'));
+}
+
+/**
+ * Convert a domain to its Unicode form
+ * @param {string} domain - ASCII (punycode) or Unicode domain
+ * @returns {string} - Unicode domain, or empty string if the domain isn't valid
+ */
+export function toUnicodeDomain(domain) {
+  if (!domain) return '';
+  return domainToUnicode(domain.toLowerCase());
+}
+
+/**
+ * Split an email into local part and domain at the last @
+ * @param {string} email - Email address
+ * @returns {Array} - [localPart, domain] or null
+ */
+function splitEmail(email) {
+  if (!email) return null;
+
+  const atIndex = email.lastIndexOf('@');
+  if (atIndex <= 0) return null;
+
+  return [email.slice(0, atIndex), email.slice(atIndex + 1)];
+}
+
+/**
+ * Convert the domain of an email to punycode, leaving the local part as is
+ * @param {string} email - Email address
+ * @returns {string} - Email with an ASCII domain
+ */
+export function toAsciiEmail(email) {
+  const parts = splitEmail(email);
+  if (!parts) return email;
+
+  const asciiDomain = toAsciiDomain(parts[1]);
+  return asciiDomain ? `${parts[0]}@${asciiDomain}` : email;
+}
+
+/**
+ * Convert the domain of an email to Unicode, leaving the local part as is
+ * @param {string} email - Email address
+ * @returns {string} - Email with a Unicode domain
+ */
+export function toUnicodeEmail(email) {
+  const parts = splitEmail(email);
+  if (!parts) return email;
+
+  const unicodeDomain = toUnicodeDomain(parts[1]);
+  return unicodeDomain ? `${parts[0]}@${unicodeDomain}` : email;
+}
+
+/**
+ * Normalize an email for lookups: NFC, lowercase and punycode domain
+ * @param {string} email - Email address
+ * @returns {string} - Lookup key
+ */
+export function toLookupEmail(email) {
+  return toAsciiEmail(normalizeUnicode(email).trim().toLowerCase());
+}
+
+/**
+ * Get the scripts used by a label, ignoring digits, hyphens and other shared characters
+ * @param {string} label - Domain label
+ * @returns {Set<string>} - Script names
+ */
+function getScripts(label) {
+  const scripts = new Set();
+
+  for (const char of label) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) continue;
+
+    const match = SCRIPT_REGEXES.find(({ regex }) => regex.test(char));
+    scripts.add(match ? match.script : 'Other');
+  }
+
+  return scripts;
+}
+
+/**
+ * Check if a set of scripts can legitimately be mixed in one label
+ * @param {Set<string>} scripts - Script names
+ * @returns {boolean} - Whether the combination is allowed
+ */
+function isCompatibleScriptMix(scripts) {
+  return COMPATIBLE_SCRIPTS.some(group => [...scripts].every(script => group.includes(script)));
+}
+
+/**
+ * Homograph risks detectHomograph reports
+ */
+export const HOMOGRAPH_RISKS = ['mixed_script', 'confusable'];
+
+/**
+ * Detect domains that could be impersonating another domain
+ * "mixed_script" - a label mixes scripts (e.g. Latin with Cyrillic)
+ * "confusable" - a non-Latin label is made only of letters that look Latin (e.g. Cyrillic "аррӏе")
+ * @param {string} domain - Unicode or punycode domain
+ * @returns {string|null} - Homograph risk type or null
+ */
+export function detectHomograph(domain) {
+  const unicodeDomain = toUnicodeDomain(domain);
+  if (!unicodeDomain || !hasNonAscii(unicodeDomain)) return null;
+
+  for (const label of unicodeDomain.split('.')) {
+    const scripts = getScripts(label);
+
+    if (scripts.size > 1 && !isCompatibleScriptMix(scripts)) {
+      return 'mixed_script';
+    }
+
+    const letters = [...label].filter(char => /\p{L}/u.test(char));
+    if (
+      (scripts.has('Cyrillic') || scripts.has('Greek')) &&
+      letters.length > 0 &&
+      letters.every(char => LATIN_LOOKALIKES.has(char))
+    ) {
+      return 'confusable';
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,43 @@
+/**
+ * MX provider utilities
+ * Works out who hosts a domain's mail from its MX records
+ */
+
+/**
+ * Known mail hosts by provider, matched against the end of MX hostnames
+ */
+export const MX_PROVIDERS = [
+  { provider: 'google', hosts: ['google.com', 'googlemail.com'] },
+  { provider: 'microsoft', hosts: ['protection.outlook.com', 'outlook.com', 'hotmail.com'] },
+  { provider: 'yahoo', hosts: ['yahoodns.net'] },
+  { provider: 'icloud', hosts: ['icloud.com'] },
+  { provider: 'zoho', hosts: ['zoho.com', 'zoho.com.au', 'zoho.eu'] },
+  { provider: 'fastmail', hosts: ['messagingengine.com'] },
+  { provider: 'proton', hosts: ['protonmail.ch'] },
+  { provider: 'mimecast', hosts: ['mimecast.com'] },
+  { provider: 'proofpoint', hosts: ['pphosted.com', 'ppe-hosted.com'] },
+  { provider: 'barracuda', hosts: ['barracudanetworks.com'] },
+  { provider: 'mailguard', hosts: ['mailguard.com.au'] },
+  { provider: 'bigpond', hosts: ['bigpond.com'] }
+];
+
+/**
+ * Detect the mail provider behind a domain's MX records
+ * The most preferred record that matches a known provider wins
+ * @param {Array<{exchange, priority}>} mxRecords - MX records, most preferred first
+ * @returns {string|null} - Provider name, 'other' for unknown hosts, or null without records
+ */
+export function detectMxProvider(mxRecords = []) {
+  if (!mxRecords || mxRecords.length === 0) return null;
+
+  for (const { exchange } of mxRecords) {
+    const host = (exchange || '').toLowerCase().replace(/\.$/, '');
+    const match = MX_PROVIDERS.find(({ hosts }) => (
+      hosts.some(suffix => host === suffix || host.endsWith(`.${suffix}`))
+    ));
+
+    if (match) return match.provider;
+  }
+
+  return 'other';
+}
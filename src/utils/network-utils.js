@@ -0,0 +1,111 @@
+/**
+ * Network utilities
+ * Guards outgoing requests to user-supplied URLs (e.g. job file URLs) from reaching
+ * private, loopback or link-local addresses
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Ranges that are not reachable on the public internet, as [network, prefix length, type]
+ */
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['64:ff9b::', 96, 'ipv6'], // IPv4/IPv6 translation
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// BlockList compares the parsed address, so every way of writing an address is matched
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([network, prefix, type]) => privateAddresses.addSubnet(network, prefix, type));
+
+// IPv4-mapped addresses in any notation (::ffff:7f00:1 is 127.0.0.1). Kept apart because
+// BlockList also matches IPv4 addresses against this range
+const mappedAddresses = new net.BlockList();
+mappedAddresses.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+/**
+ * Check if an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - false for private, loopback, link-local and other special addresses
+ */
+export function isPublicAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) return false;
+  if (version === 6 && mappedAddresses.check(address, 'ipv6')) return false;
+
+  return !privateAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a URL before fetching it: http(s) only, an allowed host, and not an IP literal
+ * outside the public internet
+ * @param {string} url - URL to check
+ * @param {Object} options - Check options
+ * @param {string[]} options.allowedHosts - Hosts allowed (subdomains included); empty allows any public host
+ * @returns {URL} - Parsed URL
+ * @throws {Error} - When the URL may not be fetched
+ */
+export function assertFetchableUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Only http and https URLs can be fetched: ${url}`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const allowedHosts = (options.allowedHosts || []).map(host => host.trim().toLowerCase()).filter(Boolean);
+
+  if (allowedHosts.length > 0 && !allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+    throw new Error(`Host not allowed: ${hostname}`);
+  }
+
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new Error(`Address not allowed: ${hostname}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * DNS lookup for http(s) agents that refuses hosts resolving to non-public addresses
+ * Checking at connect time also covers redirects and DNS answers that change between checks
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+export function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      const refused = new Error(`Address not allowed: ${hostname} resolves to ${blocked.address}`);
+      refused.code = 'EADDRNOTALLOWED';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
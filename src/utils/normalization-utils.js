@@ -0,0 +1,131 @@
+/**
+ * Local-part normalization utilities
+ * Maps the different spellings of one mailbox (dots, tags, alias domains) onto a canonical email
+ */
+
+/**
+ * Default per-provider rules
+ * - domains: domains the rule applies to
+ * - canonicalDomain: domain used in the canonical email (defaults to the email's domain)
+ * - removeDots: dots in the local part are ignored by the provider
+ * - tagSeparators: everything from the first separator on is a tag (e.g. "+" in "john+news")
+ * - subdomainAddressing: "anything@user.domain" is delivered to "user@domain"
+ */
+export const DEFAULT_NORMALIZATION_RULES = [
+  {
+    provider: 'gmail',
+    domains: ['gmail.com', 'googlemail.com'],
+    canonicalDomain: 'gmail.com',
+    removeDots: true,
+    tagSeparators: ['+']
+  },
+  {
+    provider: 'outlook',
+    domains: [
+      'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+      'outlook.com.au', 'hotmail.com.au', 'live.com.au', 'hotmail.co.uk'
+    ],
+    tagSeparators: ['+']
+  },
+  {
+    // "base-keyword" disposable addresses belong to whoever owns the base, not to a "base" mailbox,
+    // so Yahoo local parts are kept as they are
+    provider: 'yahoo',
+    domains: ['yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.com.au', 'yahoo.co.uk']
+  },
+  {
+    provider: 'fastmail',
+    domains: ['fastmail.com', 'fastmail.fm'],
+    tagSeparators: ['+'],
+    subdomainAddressing: true
+  },
+  {
+    provider: 'icloud',
+    domains: ['icloud.com', 'me.com', 'mac.com'],
+    tagSeparators: ['+']
+  },
+  {
+    provider: 'proton',
+    domains: ['proton.me', 'protonmail.com', 'pm.me'],
+    tagSeparators: ['+']
+  }
+];
+
+/**
+ * Find the rule for a domain
+ * Rules earlier in the list win, so company rules can be placed before the defaults
+ * @param {string} domain - Lowercase domain
+ * @param {Object[]} rules - Normalization rules
+ * @returns {Object|null} - {rule, baseDomain, subdomain} or null
+ */
+export function findNormalizationRule(domain, rules = DEFAULT_NORMALIZATION_RULES) {
+  if (!domain) return null;
+
+  for (const rule of rules) {
+    for (const ruleDomain of rule.domains || []) {
+      if (domain === ruleDomain) {
+        return { rule, baseDomain: ruleDomain, subdomain: null };
+      }
+
+      // user.fastmail.com -> the mailbox is "user"
+      if (rule.subdomainAddressing && domain.endsWith(`.${ruleDomain}`)) {
+        const subdomain = domain.slice(0, -(ruleDomain.length + 1));
+        if (!subdomain.includes('.')) {
+          return { rule, baseDomain: ruleDomain, subdomain };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize an email to the canonical form of its mailbox
+ * The result identifies the mailbox; it is not meant to replace the address mail is sent to
+ * @param {string} email - Email address (already lowercased)
+ * @param {Object[]} rules - Normalization rules
+ * @returns {Object} - {canonicalEmail, provider, changed}
+ */
+export function normalizeEmail(email, rules = DEFAULT_NORMALIZATION_RULES) {
+  const unchanged = { canonicalEmail: email, provider: null, changed: false };
+  if (!email) return unchanged;
+
+  const atIndex = email.lastIndexOf('@');
+  if (atIndex < 1) return unchanged;
+
+  let localPart = email.slice(0, atIndex);
+  const domain = email.slice(atIndex + 1);
+
+  // Quoted local parts are taken literally
+  if (localPart.startsWith('"')) return unchanged;
+
+  const match = findNormalizationRule(domain, rules);
+  if (!match) return unchanged;
+
+  const { rule, baseDomain, subdomain } = match;
+
+  if (subdomain) {
+    localPart = subdomain;
+  }
+
+  // Only strip a tag when something is left in front of it
+  for (const separator of rule.tagSeparators || []) {
+    const index = localPart.indexOf(separator);
+    if (index > 0) {
+      localPart = localPart.slice(0, index);
+    }
+  }
+
+  if (rule.removeDots) {
+    localPart = localPart.replace(/\./g, '') || localPart;
+  }
+
+  const canonicalEmail = `${localPart}@${rule.canonicalDomain || baseDomain}`;
+
+  return {
+    canonicalEmail,
+    provider: rule.provider || null,
+    changed: canonicalEmail !== email
+  };
+}
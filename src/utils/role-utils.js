@@ -0,0 +1,55 @@
+/**
+ * Role account utilities
+ * Detects shared/functional mailboxes like info@, sales@ and noreply@
+ */
+
+/**
+ * Default role account names (compared without separators or numeric suffixes)
+ */
+export const DEFAULT_ROLE_ACCOUNTS = [
+  'abuse', 'accounts', 'accounting', 'admin', 'administrator', 'billing',
+  'careers', 'contact', 'contactus', 'customercare', 'customerservice',
+  'enquiries', 'enquiry', 'feedback', 'finance', 'hello', 'help', 'helpdesk',
+  'hostmaster', 'hr', 'info', 'inquiries', 'jobs', 'legal', 'mail',
+  'mailerdaemon', 'marketing', 'media', 'newsletter', 'noreply', 'donotreply',
+  'office', 'orders', 'postmaster', 'press', 'privacy', 'reception',
+  'recruitment', 'sales', 'security', 'service', 'support', 'team',
+  'webmaster'
+];
+
+/**
+ * Strip the numeric suffix from a local part token ("sales2" -> "sales")
+ * @param {string} token - Local part or part of it
+ * @returns {string} - Normalized token
+ */
+function normalizeToken(token) {
+  return token.replace(/\d+$/, '');
+}
+
+/**
+ * Find the role account a local part belongs to
+ * The whole local part has to be a role, ignoring separators and numeric suffixes
+ * ("no-reply", "info1"), or be made only of roles ("sales.team2"), so that
+ * personal addresses such as "hello.kitty" or "team.smith" are not flagged
+ * @param {string} localPart - Local part of the email (before the @)
+ * @param {string[]} roles - Role account names
+ * @returns {string|null} - The matching role or null
+ */
+export function detectRoleAccount(localPart, roles = DEFAULT_ROLE_ACCOUNTS) {
+  if (!localPart) return null;
+
+  const roleSet = new Set(roles.map(role => role.toLowerCase().replace(/[._-]/g, '')));
+
+  // Ignore plus tags ("support+tickets") and surrounding whitespace
+  const base = localPart.trim().toLowerCase().split('+')[0];
+  const tokens = base.split(/[._-]+/).filter(Boolean).map(normalizeToken);
+
+  // "no-reply" / "do.not.reply" -> "noreply" / "donotreply"
+  const joined = tokens.join('');
+  if (roleSet.has(joined)) {
+    return joined;
+  }
+
+  // "sales.team2" -> "sales", but "mail.john" and "jane.sales" stay personal
+  return tokens.length > 1 && tokens.every(token => roleSet.has(token)) ? tokens[0] : null;
+}
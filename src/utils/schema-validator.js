@@ -0,0 +1,128 @@
+/**
+ * JSON schema validation
+ * Checks values against the subset of JSON Schema used by the API schemas (src/schemas):
+ * type, enum, required, properties, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum, nullable and $ref to components
+ */
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Join a field path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - e.g. "emails[3]" or "source.url"
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {Object} options - Options
+ * @param {Object} options.components - Schemas that "#/components/schemas/<name>" refs point to
+ * @param {string} options.path - Path of the value, used in error fields
+ * @returns {Array<{field, message}>} - Field-level errors, empty when the value is valid
+ */
+export function validateSchema(schema, value, options = {}) {
+  const { components = {}, path = '' } = options;
+  const errors = [];
+  const field = path || '(body)';
+  const fail = message => errors.push({ field, message });
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    if (!components[name]) throw new Error(`Unknown schema: ${schema.$ref}`);
+    return validateSchema(components[name], value, options);
+  }
+
+  if (value === undefined) return errors;
+
+  if (value === null) {
+    if (!schema.nullable && schema.type && schema.type !== 'null') fail('must not be null');
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, { components, path: joinPath(path, index) }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ field: joinPath(path, name), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertySchema = schema.properties?.[name];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, propertyValue, { components, path: joinPath(path, name) }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, name), message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
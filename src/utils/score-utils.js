@@ -0,0 +1,101 @@
+/**
+ * Deliverability score utilities
+ * Turns a validation result into a 0-100 score with the signals that contributed to it
+ */
+
+/**
+ * Default signal weights (added to the base score when the signal applies)
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  base: 50,
+  format_valid: 10,
+  format_invalid: -100,
+  correction_applied: -5,
+  known_valid: 40,
+  domain_known: 10,
+  mx_found: 10,
+  no_mail_server: -60,
+  provider_valid: 40,
+  provider_invalid: -100,
+  provider_unknown: -10,
+  role_account: -15,
+  accept_all: -10,
+  free_email: -5,
+  disposable: -40,
+  suppressed: -100,
+  homograph_risk: -30,
+  status_invalid: -50
+};
+
+/**
+ * Find the result of the external mailbox check (SMTP or verification provider), if any ran
+ * @param {Object} result - Validation result
+ * @returns {Object|null} - Provider result
+ */
+function getProviderResult(result) {
+  const providerSteps = result.validationSteps
+    .filter(step => step.step === 'smtp_check' || step.step === 'provider_check');
+
+  // The last provider to run decided the status
+  return providerSteps.length > 0 ? providerSteps[providerSteps.length - 1].result : null;
+}
+
+/**
+ * Work out which signals apply to a validation result
+ * @param {Object} result - Validation result
+ * @returns {string[]} - Signal names
+ */
+function collectSignals(result) {
+  const signals = [];
+
+  if (!result.formatValid) {
+    return ['format_invalid'];
+  }
+  signals.push('format_valid');
+
+  if (result.wasCorrected) signals.push('correction_applied');
+  if (result.isKnownValid) signals.push('known_valid');
+  if (result.domainValid) signals.push('domain_known');
+  if (result.mxFound) signals.push('mx_found');
+  if (['domain_not_found', 'no_mail_server'].includes(result.subStatus) && !result.mxFound) {
+    signals.push('no_mail_server');
+  }
+
+  const provider = getProviderResult(result);
+  if (provider) {
+    if (provider.status === 'valid') signals.push('provider_valid');
+    else if (provider.status === 'invalid') signals.push('provider_invalid');
+    else if (provider.status === 'unknown') signals.push('provider_unknown');
+  }
+
+  if (result.isRoleAccount) signals.push('role_account');
+  if (result.isCatchAll) signals.push('accept_all');
+  // Personal mailboxes rather than company ones
+  if (['free', 'isp'].includes(result.emailType)) signals.push('free_email');
+  if (result.isDisposable) signals.push('disposable');
+  if (result.isSuppressed) signals.push('suppressed');
+  if (result.homographRisk) signals.push('homograph_risk');
+
+  // Covers rejections by any step, including custom pipeline steps
+  if (result.status === 'invalid') signals.push('status_invalid');
+
+  return signals;
+}
+
+/**
+ * Calculate the deliverability score for a validation result
+ * @param {Object} result - Validation result
+ * @param {Object} weights - Signal weights (merged over the defaults)
+ * @returns {Object} - {score: number, signals: Array<{signal, weight}>}
+ */
+export function calculateScore(result, weights = {}) {
+  const mergedWeights = { ...DEFAULT_SCORE_WEIGHTS, ...weights };
+
+  const signals = collectSignals(result)
+    .map(signal => ({ signal, weight: mergedWeights[signal] || 0 }));
+
+  const total = signals.reduce((sum, { weight }) => sum + weight, mergedWeights.base);
+  const score = Math.max(0, Math.min(100, Math.round(total)));
+
+  return { score, signals };
+}
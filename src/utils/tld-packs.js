@@ -0,0 +1,99 @@
+/**
+ * Country TLD correction packs
+ * Each pack describes a country's second-level domains (e.g. "co" in .co.nz)
+ * and the common misspellings of them, for use by correctCountryTLD
+ */
+
+/**
+ * Built-in packs by key
+ * - country: ISO country code reported in correction records
+ * - tld: country code TLD
+ * - secondLevels: valid second-level labels
+ * - sldTypos: misspelled second-level labels and what they should be
+ */
+export const COUNTRY_TLD_PACKS = {
+  au: {
+    country: 'AU',
+    tld: 'au',
+    secondLevels: ['com', 'net', 'org', 'edu', 'gov', 'asn', 'id'],
+    sldTypos: {
+      con: 'com',
+      cmo: 'com',
+      ocm: 'com',
+      co: 'com',
+      comm: 'com',
+      nte: 'net',
+      ne: 'net',
+      ogr: 'org',
+      or: 'org',
+      rog: 'org',
+      eud: 'edu',
+      ed: 'edu',
+      gvo: 'gov',
+      go: 'gov'
+    }
+  },
+  nz: {
+    country: 'NZ',
+    tld: 'nz',
+    secondLevels: ['co', 'net', 'org', 'ac', 'govt', 'school', 'geek', 'gen', 'kiwi', 'maori', 'iwi', 'health'],
+    sldTypos: {
+      com: 'co',
+      cp: 'co',
+      oc: 'co',
+      nte: 'net',
+      ogr: 'org',
+      gov: 'govt'
+    }
+  },
+  uk: {
+    country: 'GB',
+    tld: 'uk',
+    secondLevels: ['co', 'org', 'me', 'ltd', 'plc', 'net', 'sch', 'ac', 'gov', 'nhs', 'police'],
+    sldTypos: {
+      com: 'co',
+      cp: 'co',
+      oc: 'co',
+      ogr: 'org',
+      or: 'org',
+      nte: 'net'
+    }
+  },
+  sg: {
+    country: 'SG',
+    tld: 'sg',
+    secondLevels: ['com', 'net', 'org', 'edu', 'gov', 'per'],
+    sldTypos: {
+      con: 'com',
+      cmo: 'com',
+      ocm: 'com',
+      co: 'com',
+      nte: 'net',
+      ogr: 'org',
+      eud: 'edu'
+    }
+  },
+  za: {
+    country: 'ZA',
+    tld: 'za',
+    secondLevels: ['co', 'org', 'net', 'gov', 'ac', 'web', 'nom'],
+    sldTypos: {
+      com: 'co',
+      cp: 'co',
+      oc: 'co',
+      ogr: 'org',
+      nte: 'net'
+    }
+  }
+};
+
+/**
+ * Resolve pack names (or pack objects, for custom countries) to packs
+ * @param {Array<string|Object>} packs - Pack keys such as 'nz', or pack objects
+ * @returns {Object[]} - Packs, in the given order
+ */
+export function resolveTldPacks(packs = []) {
+  return packs
+    .map(pack => (typeof pack === 'string' ? COUNTRY_TLD_PACKS[pack.trim().toLowerCase()] : pack))
+    .filter(pack => pack && pack.tld && Array.isArray(pack.secondLevels));
+}
@@ -0,0 +1,45 @@
+/**
+ * Fake SMTP server for tests: answers EHLO, MAIL FROM and RCPT TO on a random local port
+ */
+
+import net from 'net';
+
+/**
+ * Start a fake SMTP server
+ * @param {Object} behaviour - {greeting, mailFrom, rcpt(address)} replies; RCPT defaults to 550
+ * @returns {Promise<Object>} - {port, commands, close}
+ */
+export async function startFakeSmtpServer(behaviour = {}) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    socket.setEncoding('utf8');
+    socket.write(`${behaviour.greeting || '220 fake.test ESMTP'}\r\n`);
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const command = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(command);
+
+        if (/^EHLO/i.test(command)) socket.write('250-fake.test\r\n250 SMTPUTF8\r\n');
+        else if (/^MAIL FROM/i.test(command)) socket.write(`${behaviour.mailFrom || '250 OK'}\r\n`);
+        else if (/^RCPT TO/i.test(command)) {
+          const address = command.match(/<(.*)>/)[1];
+          socket.write(`${(behaviour.rcpt && behaviour.rcpt(address)) || '550 No such user'}\r\n`);
+        } else if (/^QUIT/i.test(command)) socket.end('221 Bye\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
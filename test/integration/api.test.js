@@ -0,0 +1,305 @@
+/**
+ * API integration tests
+ * Calls the handlers with fake requests and checks every body against the shared schemas
+ * (src/schemas/api-schemas.js), error bodies included
+ */
+
+process.env.API_AUTH = 'true';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.CRON_SECRET = 'test-cron-secret';
+process.env.USE_DNS_CHECK = 'false';
+process.env.JOBS_RUN_IN_PROCESS = 'false';
+
+const { Readable } = require('stream');
+const { validateResponse } = require('../../src/schemas/api-schemas');
+const emailHandler = require('../../api/validate/email').default;
+const batchHandler = require('../../api/validate/batch').default;
+const csvHandler = require('../../api/validate/csv').default;
+const jobsHandler = require('../../api/jobs/index').default;
+const jobHandler = require('../../api/jobs/[id]').default;
+const jobResultsHandler = require('../../api/jobs/[id]/results').default;
+const runJobsHandler = require('../../api/admin/run-jobs').default;
+const apiKeysHandler = require('../../api/admin/api-keys').default;
+const domainsHandler = require('../../api/admin/domains').default;
+const typoMappingsHandler = require('../../api/admin/typo-mappings').default;
+const usageHandler = require('../../api/usage').default;
+const hubspotWebhookHandler = require('../../api/webhooks/hubspot').default;
+const healthHandler = require('../../api/health').default;
+const openapiHandler = require('../../api/openapi').default;
+
+const ADMIN = { authorization: 'Bearer test-admin-key' };
+
+/**
+ * Fake response recording what a handler sends
+ * @returns {Object}
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(String(chunk));
+    },
+    end() {
+      this.ended = true;
+    },
+    on() {}
+  };
+}
+
+/**
+ * Call a handler
+ * @param {Function} handler - API handler
+ * @param {Object} req - Request fields (method, headers, query, body)
+ * @returns {Promise<Object>} - Fake response
+ */
+async function call(handler, req) {
+  const res = createResponse();
+  await handler({ headers: ADMIN, query: {}, ...req }, res);
+  return res;
+}
+
+/**
+ * Expect an error response in the {code, message, details} envelope
+ * @param {Object} res - Fake response
+ * @param {number} status - Expected HTTP status
+ * @param {string} code - Expected error code
+ */
+function expectError(res, status, code) {
+  expect(res.statusCode).toBe(status);
+  expect(validateResponse('Error', res.body)).toEqual([]);
+  expect(res.body.code).toBe(code);
+}
+
+describe('POST /api/validate/email', () => {
+  it('returns a result matching the ValidationResult schema', async () => {
+    const res = await call(emailHandler, { method: 'POST', body: { email: 'Jane <jane@gmial.com>' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(validateResponse('ValidationResult', res.body)).toEqual([]);
+    expect(res.body.currentEmail).toBe('jane@gmail.com');
+  });
+
+  it('reports IDN lookalike domains in homographRisk', async () => {
+    // Cyrillic letters that look like "apple"
+    const res = await call(emailHandler, { method: 'POST', body: { email: 'jane@\u0430\u0440\u0440\u04cf\u0435.com' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(validateResponse('ValidationResult', res.body)).toEqual([]);
+    expect(res.body).toMatchObject({ homographRisk: 'confusable', isInternational: true });
+  });
+
+  it('lists every invalid field', async () => {
+    const res = await call(emailHandler, { method: 'POST', body: { email: 5, mode: 'fix' } });
+
+    expectError(res, 400, 'invalid_request');
+    expect(res.body.details).toEqual([
+      { field: 'email', message: 'must be a string' },
+      { field: 'mode', message: 'must be one of: correct, suggest' }
+    ]);
+  });
+
+  it('rejects a missing body', async () => {
+    const res = await call(emailHandler, { method: 'POST' });
+
+    expectError(res, 400, 'invalid_request');
+    expect(res.body.details[0].field).toBe('(body)');
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(emailHandler, { method: 'GET' });
+
+    expectError(res, 405, 'method_not_allowed');
+    expect(res.headers.allow).toBe('POST');
+  });
+
+  it('requires an API key', async () => {
+    expectError(await call(emailHandler, { method: 'POST', headers: {}, body: { email: 'a@b.com' } }), 401, 'api_key_required');
+    expectError(await call(emailHandler, { method: 'POST', headers: { 'x-api-key': 'nope' }, body: { email: 'a@b.com' } }), 401, 'invalid_api_key');
+  });
+});
+
+describe('POST /api/validate/batch', () => {
+  it('returns results matching the ValidationResult schema', async () => {
+    const res = await call(batchHandler, { method: 'POST', body: { emails: ['a@gmail.com', 'a+news@gmail.com'] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(2);
+    res.body.forEach(result => expect(validateResponse('ValidationResult', result)).toEqual([]));
+    expect(res.body[1].duplicateOf).toBe('a@gmail.com');
+  });
+
+  it('streams lines matching the BatchStreamLine schema', async () => {
+    const res = await call(batchHandler, {
+      method: 'POST',
+      headers: { ...ADMIN, accept: 'application/x-ndjson' },
+      body: { emails: ['a@gmail.com', 'b@gmail.com'] }
+    });
+
+    const lines = res.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.type)).toEqual(['result', 'result', 'summary']);
+    lines.forEach(line => expect(validateResponse('BatchStreamLine', line)).toEqual([]));
+  });
+
+  it('enforces the batch size and field types', async () => {
+    const res = await call(batchHandler, { method: 'POST', body: { emails: Array(101).fill('a@b.com') } });
+    expectError(res, 400, 'invalid_request');
+
+    const mixed = await call(batchHandler, { method: 'POST', body: { emails: ['a@b.com', 3], minScore: 200 } });
+    expectError(mixed, 400, 'invalid_request');
+    expect(mixed.body.details.map(error => error.field)).toEqual(['emails[1]', 'minScore']);
+  });
+});
+
+describe('POST /api/validate/csv', () => {
+  it('returns the file with result columns', async () => {
+    const res = await call(csvHandler, { method: 'POST', body: { csv: 'name,email\nJane,jane@gmial.com\n' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.split('\n')[1]).toMatch(/^Jane,jane@gmial\.com,jane@gmail\.com,/);
+  });
+
+  it('reads a text/csv body from the request stream', async () => {
+    const req = Readable.from([Buffer.from('name;email\nJane;jane@gmial.com\n')]);
+    Object.assign(req, { method: 'POST', headers: { ...ADMIN, 'content-type': 'text/csv' }, query: { mode: 'suggest' } });
+
+    const res = createResponse();
+    await csvHandler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.split('\n')[0]).toMatch(/^name;email;unmessy_email;/);
+    expect(res.body.split('\n')[1]).toMatch(/^Jane;jane@gmial\.com;jane@gmial\.com;/);
+  });
+
+  it('reports a missing email column in the error envelope', async () => {
+    expectError(await call(csvHandler, { method: 'POST', body: { csv: 'name,city\nJane,Perth\n' } }), 400, 'email_column_not_found');
+  });
+});
+
+describe('background jobs', () => {
+  it('creates, runs and downloads a job', async () => {
+    const created = await call(jobsHandler, { method: 'POST', body: { emails: ['a@gmail.com', 'b@gmail.com'] } });
+    expect(created.statusCode).toBe(202);
+    expect(validateResponse('Job', created.body)).toEqual([]);
+
+    const { id } = created.body;
+    expectError(await call(jobResultsHandler, { method: 'GET', query: { id } }), 409, 'job_not_finished');
+
+    const run = await call(runJobsHandler, { method: 'POST', headers: { authorization: 'Bearer test-cron-secret' } });
+    expect(validateResponse('JobRunSummary', run.body)).toEqual([]);
+
+    const job = await call(jobHandler, { method: 'GET', query: { id } });
+    expect(validateResponse('Job', job.body)).toEqual([]);
+    expect(job.body.status).toBe('completed');
+
+    const results = await call(jobResultsHandler, { method: 'GET', query: { id } });
+    expect(results.body).toHaveLength(2);
+    results.body.forEach(result => expect(validateResponse('ValidationResult', result)).toEqual([]));
+
+    expectError(await call(jobHandler, { method: 'DELETE', query: { id } }), 409, 'job_finished');
+  });
+
+  it('answers unknown jobs with not_found', async () => {
+    expectError(await call(jobHandler, { method: 'GET', query: { id: 'job_0000000000000000' } }), 404, 'not_found');
+  });
+
+  it('needs emails or a file URL', async () => {
+    expectError(await call(jobsHandler, { method: 'POST', body: {} }), 400, 'invalid_request');
+    expectError(await call(jobsHandler, { method: 'POST', body: { fileUrl: 'ftp://example.com/list.csv' } }), 400, 'invalid_request');
+  });
+
+  it('refuses file URLs on private addresses', async () => {
+    expectError(await call(jobsHandler, { method: 'POST', body: { fileUrl: 'http://169.254.169.254/latest/meta-data' } }), 400, 'file_unreadable');
+    expectError(await call(jobsHandler, { method: 'POST', body: { fileUrl: 'http://localhost/list.csv' } }), 400, 'file_unreadable');
+  });
+});
+
+describe('API keys', () => {
+  it('creates keys, enforces scopes and reports usage', async () => {
+    const created = await call(apiKeysHandler, {
+      method: 'POST',
+      body: { action: 'create', name: 'Tests', scopes: ['validate'], rateLimit: null, monthlyQuota: 1 }
+    });
+    expect(created.statusCode).toBe(201);
+    expect(validateResponse('ApiKey', created.body)).toEqual([]);
+
+    const headers = { 'x-api-key': created.body.key };
+    expectError(await call(apiKeysHandler, { method: 'GET', headers }), 403, 'forbidden');
+
+    expect((await call(emailHandler, { method: 'POST', headers, body: { email: 'a@gmail.com' } })).statusCode).toBe(200);
+    expectError(await call(emailHandler, { method: 'POST', headers, body: { email: 'a@gmail.com' } }), 429, 'quota_exceeded');
+
+    const usage = await call(usageHandler, { method: 'GET', headers });
+    expect(validateResponse('ApiKey', usage.body)).toEqual([]);
+    expect(usage.body.usageByMonth[0].validations).toBe(1);
+  });
+
+  it('validates key requests', async () => {
+    const res = await call(apiKeysHandler, { method: 'POST', body: { action: 'create', name: 'x', scopes: ['root'], rateLimit: 0 } });
+
+    expectError(res, 400, 'invalid_request');
+    expect(res.body.details.map(error => error.field)).toEqual(['scopes[0]', 'rateLimit']);
+  });
+});
+
+describe('admin endpoints', () => {
+  it('overrides a domain\'s catch-all status', async () => {
+    const res = await call(domainsHandler, { method: 'POST', body: { domain: 'acme.com.au', catchAll: true } });
+
+    expect(validateResponse('DomainKnowledge', res.body)).toEqual([]);
+    expect(res.body.isCatchAll).toBe(true);
+    expectError(await call(domainsHandler, { method: 'POST', body: { domain: 'acme.com.au', catchAll: 'yes' } }), 400, 'invalid_request');
+
+    // The validate endpoint's validator was created before the override
+    const validated = await call(emailHandler, { method: 'POST', body: { email: 'someone@acme.com.au' } });
+    expect(validated.body).toMatchObject({ isCatchAll: true, subStatus: 'accept_all' });
+  });
+
+  it('lists typo mappings', async () => {
+    const res = await call(typoMappingsHandler, { method: 'GET' });
+
+    res.body.forEach(mapping => expect(validateResponse('TypoMapping', mapping)).toEqual([]));
+    expectError(await call(typoMappingsHandler, { method: 'POST', body: { action: 'approve' } }), 400, 'invalid_request');
+  });
+});
+
+describe('POST /api/webhooks/hubspot', () => {
+  it('checks the HubSpot signature instead of an API key', async () => {
+    const res = await call(hubspotWebhookHandler, { method: 'POST', headers: {}, body: [] });
+
+    expectError(res, 401, 'invalid_signature');
+  });
+});
+
+describe('GET /api/health and /api/openapi', () => {
+  it('reports health', async () => {
+    const res = await call(healthHandler, { method: 'GET', headers: {} });
+
+    expect(validateResponse('Health', res.body)).toEqual([]);
+  });
+
+  it('serves an OpenAPI document whose references all resolve', async () => {
+    const res = await call(openapiHandler, { method: 'GET', headers: {} });
+    const refs = JSON.stringify(res.body).match(/#\/components\/schemas\/\w+/g);
+
+    expect(res.body.openapi).toBe('3.0.3');
+    expect(refs.map(ref => ref.split('/').pop()).filter(name => !res.body.components.schemas[name])).toEqual([]);
+  });
+});
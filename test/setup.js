@@ -0,0 +1,19 @@
+/**
+ * Runs before each test file: gives it a fresh copy of data/ in a temp directory,
+ * so tests never write to the repository's CSV files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unmessy-test-'));
+
+fs.cpSync(dataDir, path.join(workDir, 'data'), {
+  recursive: true,
+  // Per-deployment files start empty
+  filter: source => !/api-keys\.csv$|api-usage\.csv$|[\\/](jobs|logs)$/.test(source)
+});
+
+process.chdir(workDir);
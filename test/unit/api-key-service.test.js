@@ -0,0 +1,50 @@
+/**
+ * ApiKeyService unit tests
+ * Two services on the same data/ stand in for two running instances
+ */
+
+import fs from 'fs';
+import CSVManager from '../../src/utils/csv-manager';
+import { ApiKeyService } from '../../src/services/api-key-service';
+
+describe('ApiKeyService', () => {
+  const csvManager = new CSVManager();
+
+  it('sees keys created and revoked by another instance', () => {
+    const first = new ApiKeyService(csvManager);
+    const second = new ApiKeyService(csvManager);
+
+    const { key, keyId } = first.create({ name: 'Shared', scopes: ['validate'] });
+    expect(second.verify(key)).toMatchObject({ keyId });
+
+    first.revoke(keyId);
+    expect(second.verify(key)).toBeNull();
+  });
+
+  it('counts a monthly quota across instances', () => {
+    const first = new ApiKeyService(csvManager);
+    const second = new ApiKeyService(csvManager);
+
+    const { key } = first.create({ name: 'Quota', scopes: ['validate'], monthlyQuota: 3 });
+
+    expect(first.consumeQuota(first.verify(key), 2)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(second.consumeQuota(second.verify(key), 2)).toMatchObject({ allowed: false, used: 2 });
+    expect(second.consumeQuota(second.verify(key), 1)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('appends usage increases, so no instance overwrites another\'s counts', () => {
+    const first = new ApiKeyService(csvManager);
+    const second = new ApiKeyService(csvManager);
+    const { key, keyId } = first.create({ name: 'Busy', scopes: ['validate'] });
+
+    // Both instances read the usage before either writes
+    first.getUsage(keyId);
+    second.getUsage(keyId);
+    first.recordUsage(first.verify(key), { requests: 1 });
+    second.recordUsage(second.verify(key), { requests: 1, validations: 3 });
+
+    const rows = fs.readFileSync(csvManager.apiUsagePath, 'utf8').split(/\r?\n/).filter(line => line.startsWith(`${keyId},`));
+    expect(rows).toHaveLength(2);
+    expect(new ApiKeyService(csvManager).getUsage(keyId)[0]).toMatchObject({ requests: 2, validations: 3 });
+  });
+});
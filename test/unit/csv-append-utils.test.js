@@ -0,0 +1,49 @@
+/**
+ * CSV append utilities unit tests
+ */
+
+import { parseCsvRecords, appendCsvColumns } from '../../src/utils/csv-append-utils';
+
+/**
+ * Append one status column, the same value on every row
+ * @param {string} text - CSV text
+ * @returns {Object} - {parsed, output}
+ */
+function appendStatus(text) {
+  const parsed = parseCsvRecords(text);
+  const output = appendCsvColumns(parsed, ['status'], parsed.rows.map(row => (row.fields.length ? ['valid'] : null)));
+  return { parsed, output };
+}
+
+describe('parseCsvRecords and appendCsvColumns', () => {
+  it('keeps semicolon-separated files, trailing newline included', () => {
+    const { parsed, output } = appendStatus('name;email\nJane;jane@acme.org\n');
+
+    expect(parsed.delimiter).toBe(';');
+    expect(parsed.header).toEqual(['name', 'email']);
+    expect(output).toBe('name;email;status\nJane;jane@acme.org;valid\n');
+  });
+
+  it('keeps tab-separated files', () => {
+    const { parsed, output } = appendStatus('name\temail\nJane\tjane@acme.org\n');
+
+    expect(parsed.delimiter).toBe('\t');
+    expect(output).toBe('name\temail\tstatus\nJane\tjane@acme.org\tvalid\n');
+  });
+
+  it('keeps CRLF line endings', () => {
+    const { parsed, output } = appendStatus('name;email\r\nJane;jane@acme.org\r\nJo;jo@acme.org\r\n');
+
+    expect(parsed.delimiter).toBe(';');
+    expect(parsed.newline).toBe('\r\n');
+    expect(output).toBe('name;email;status\r\nJane;jane@acme.org;valid\r\nJo;jo@acme.org;valid\r\n');
+  });
+
+  it('keeps line breaks inside quoted fields in their row', () => {
+    const { parsed, output } = appendStatus('name,address,email\nJane,"1 Main St\nPerth",jane@acme.org\n');
+
+    expect(parsed.rows).toHaveLength(1);
+    expect(parsed.rows[0].fields).toEqual(['Jane', '1 Main St\nPerth', 'jane@acme.org']);
+    expect(output).toBe('name,address,email,status\nJane,"1 Main St\nPerth",jane@acme.org,valid\n');
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * CSVManager unit tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CSVManager from '../../src/utils/csv-manager';
+
+describe('CSVManager', () => {
+  it('adds missing columns without breaking quoted line breaks', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unmessy-csv-'));
+    const csvManager = new CSVManager({ dataDir });
+    const filePath = path.join(dataDir, 'notes.csv');
+    fs.writeFileSync(filePath, 'email,notes\njane@acme.org,"line one\nline two"\njo@acme.org,plain\n');
+
+    csvManager.ensureColumns(filePath, ['source']);
+
+    expect(csvManager.readCSV(filePath)).toEqual([
+      { email: 'jane@acme.org', notes: 'line one\nline two', source: '' },
+      { email: 'jo@acme.org', notes: 'plain', source: '' }
+    ]);
+  });
+});
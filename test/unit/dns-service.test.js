@@ -0,0 +1,85 @@
+/**
+ * DnsService unit tests, against an in-memory resolver
+ */
+
+import { DnsService } from '../../src/services/dns-service';
+
+/**
+ * In-memory resolver
+ * @param {Object} zones - {domain: {mx, a, aaaa, error}}; unknown domains don't exist
+ * @returns {Object} - Resolver that also counts its queries
+ */
+function createFakeResolver(zones) {
+  const resolver = { queries: 0 };
+  const answer = key => async domain => {
+    resolver.queries++;
+    const zone = zones[domain];
+    if (!zone) throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+    if (zone.error) throw Object.assign(new Error('failed'), { code: zone.error });
+    if (!zone[key]) throw Object.assign(new Error('no data'), { code: 'ENODATA' });
+    return zone[key];
+  };
+
+  resolver.resolveMx = answer('mx');
+  resolver.resolve4 = answer('a');
+  resolver.resolve6 = answer('aaaa');
+  return resolver;
+}
+
+const zones = {
+  'acme.com.au': { mx: [{ exchange: 'MX2.acme.com.au', priority: 20 }, { exchange: 'mx1.acme.com.au', priority: 10 }] },
+  'web-only.com': { a: ['203.0.113.7'] },
+  'parked.com': {},
+  'no-mail.com': { mx: [{ exchange: '', priority: 0 }], a: ['203.0.113.8'] },
+  'no-mail-dot.com': { mx: [{ exchange: '.', priority: 0 }] },
+  'flaky.com': { error: 'ETIMEOUT' }
+};
+
+describe('DnsService', () => {
+  it('returns MX records sorted by priority', async () => {
+    const lookup = await new DnsService({ resolver: createFakeResolver(zones) }).lookupDomain('ACME.com.au');
+
+    expect(lookup.status).toBe('ok');
+    expect(lookup.mxRecords.map(record => record.exchange)).toEqual(['mx1.acme.com.au', 'mx2.acme.com.au']);
+  });
+
+  it('falls back to address records without MX records', async () => {
+    const lookup = await new DnsService({ resolver: createFakeResolver(zones) }).lookupDomain('web-only.com');
+
+    expect(lookup).toMatchObject({ status: 'ok', fallback: 'address', addresses: ['203.0.113.7'] });
+  });
+
+  it('reports domains without mail servers or that do not exist', async () => {
+    const dns = new DnsService({ resolver: createFakeResolver(zones) });
+
+    expect(await dns.lookupDomain('parked.com')).toMatchObject({ status: 'no_records', subStatus: 'no_mail_server' });
+    expect(await dns.lookupDomain('missing.com')).toMatchObject({ status: 'no_records', subStatus: 'domain_not_found' });
+  });
+
+  it('treats a null MX as no mail server, without falling back to address records', async () => {
+    const dns = new DnsService({ resolver: createFakeResolver(zones) });
+
+    for (const domain of ['no-mail.com', 'no-mail-dot.com']) {
+      expect(await dns.lookupDomain(domain)).toMatchObject({
+        status: 'no_records',
+        subStatus: 'no_mail_server',
+        mxRecords: [],
+        addresses: [],
+        nullMx: true
+      });
+    }
+  });
+
+  it('caches lookups but not transient errors', async () => {
+    const resolver = createFakeResolver(zones);
+    const dns = new DnsService({ resolver });
+
+    await dns.lookupDomain('acme.com.au');
+    const cached = await dns.lookupDomain('acme.com.au');
+    expect(cached.cached).toBe(true);
+    expect(resolver.queries).toBe(1);
+
+    expect((await dns.lookupDomain('flaky.com')).status).toBe('error');
+    expect((await dns.lookupDomain('flaky.com')).cached).toBe(false);
+  });
+});
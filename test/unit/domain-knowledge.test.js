@@ -0,0 +1,94 @@
+/**
+ * DomainKnowledge unit tests
+ * Two stores on the same data/ stand in for two running instances
+ */
+
+import CSVManager from '../../src/utils/csv-manager';
+import { DomainKnowledge } from '../../src/services/domain-knowledge';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('DomainKnowledge', () => {
+  const csvManager = new CSVManager();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('learns catch-all domains from providers and clears the flag on a rejected mailbox', () => {
+    const knowledge = new DomainKnowledge(csvManager);
+
+    knowledge.recordVerdict('acme.com.au', { status: 'unknown', catchAll: true, source: 'zerobounce' });
+    expect(knowledge.isCatchAll('acme.com.au')).toBe(true);
+
+    knowledge.recordVerdict('acme.com.au', { status: 'invalid', subStatus: 'mailbox_not_found', source: 'smtp' });
+    expect(knowledge.get('acme.com.au')).toMatchObject({
+      isCatchAll: false,
+      stats: { catchAll: 1, invalid: 1, valid: 0, unknown: 0 }
+    });
+  });
+
+  it('does not clear the flag on SMTP accepts or learn from failed checks', () => {
+    const knowledge = new DomainKnowledge(csvManager);
+    knowledge.recordVerdict('shop.com.au', { status: 'unknown', catchAll: true, source: 'smtp' });
+
+    knowledge.recordVerdict('shop.com.au', { status: 'valid', source: 'smtp' });
+    knowledge.recordVerdict('shop.com.au', { status: 'check_failed', source: 'kickbox' });
+
+    expect(knowledge.get('shop.com.au')).toMatchObject({ isCatchAll: true, stats: { catchAll: 1, valid: 1 } });
+  });
+
+  it('stops trusting a detected status after the TTL, but never an override', () => {
+    const knowledge = new DomainKnowledge(csvManager, { catchAllTtlDays: 30 });
+    knowledge.recordVerdict('detected.com.au', { status: 'unknown', catchAll: true, source: 'zerobounce' });
+    knowledge.setOverride('manual.com.au', false, { updatedBy: 'admin' });
+
+    jest.advanceTimersByTime(31 * DAY_MS);
+
+    expect(knowledge.get('detected.com.au')).toMatchObject({ isCatchAll: null, stale: true });
+    expect(knowledge.get('manual.com.au')).toMatchObject({ isCatchAll: false, stale: false, updatedBy: 'admin' });
+    expect(new DomainKnowledge(csvManager, { catchAllTtlDays: 0 }).isCatchAll('detected.com.au')).toBe(true);
+  });
+
+  it('lets an override win over the detected status until it is cleared', () => {
+    const knowledge = new DomainKnowledge(csvManager);
+    knowledge.recordVerdict('override.com.au', { status: 'unknown', catchAll: true, source: 'zerobounce' });
+
+    knowledge.setOverride('override.com.au', false, { updatedBy: 'admin', notes: 'Checked with their IT team' });
+    expect(knowledge.isCatchAll('override.com.au')).toBe(false);
+    expect(knowledge.list({ catchAll: true }).map(entry => entry.domain)).not.toContain('override.com.au');
+
+    knowledge.setOverride('override.com.au', null, { updatedBy: 'admin' });
+    expect(knowledge.get('override.com.au')).toMatchObject({ isCatchAll: true, notes: 'Checked with their IT team' });
+  });
+
+  it('records the MX provider only when it changes', () => {
+    const knowledge = new DomainKnowledge(csvManager);
+    const update = jest.spyOn(knowledge, 'update');
+
+    knowledge.recordMx('hosted.com.au', [{ exchange: 'aspmx.l.google.com', priority: 1 }]);
+    knowledge.recordMx('hosted.com.au', [{ exchange: 'alt1.aspmx.l.google.com', priority: 5 }]);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(knowledge.get('hosted.com.au').mxProvider).toBe('google');
+
+    knowledge.recordMx('hosted.com.au', [{ exchange: 'mail.hosted.com.au', priority: 10 }]);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(knowledge.get('hosted.com.au').mxProvider).toBe('other');
+  });
+
+  it('sees overrides set by another instance', () => {
+    const first = new DomainKnowledge(csvManager);
+    const second = new DomainKnowledge(csvManager);
+
+    first.setOverride('shared.com.au', true, { updatedBy: 'admin' });
+
+    expect(second.isCatchAll('shared.com.au')).toBeNull();
+    expect(second.refresh()).toBe(true);
+    expect(second.isCatchAll('shared.com.au')).toBe(true);
+    expect(first.refresh()).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Domain list matching unit tests
+ */
+
+import { compileDomainList, matchDomain } from '../../src/utils/domain-matcher';
+
+describe('matchDomain', () => {
+  const list = compileDomainList(['mailinator.com', 'mailinator.*', '*.tempmail.*', 'Guerrillamail.com ']);
+
+  it('matches listed domains and their subdomains', () => {
+    expect(matchDomain('mailinator.com', list)).toBe('mailinator.com');
+    expect(matchDomain('eu.mailinator.com', list)).toBe('mailinator.com');
+    expect(matchDomain('GuerrillaMail.com', list)).toBe('guerrillamail.com');
+  });
+
+  it('matches wildcard entries and subdomains of what they match', () => {
+    expect(matchDomain('mailinator.net', list)).toBe('mailinator.*');
+    expect(matchDomain('eu.mailinator.net', list)).toBe('mailinator.*');
+    expect(matchDomain('x.tempmail.io', list)).toBe('*.tempmail.*');
+    expect(matchDomain('a.x.tempmail.io', list)).toBe('*.tempmail.*');
+  });
+
+  it('does not match lookalikes', () => {
+    expect(matchDomain('notmailinator.net', list)).toBeNull();
+    expect(matchDomain('mailinator', list)).toBeNull();
+    expect(matchDomain('tempmail.io', list)).toBeNull();
+    expect(matchDomain('', list)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Domain and country TLD correction unit tests
+ */
+
+import { correctCountryTLD, correctDomainTypos, suggestDomains } from '../../src/utils/domain-utils';
+
+describe('correctDomainTypos', () => {
+  it('fixes mapped and keyboard typos of popular providers', () => {
+    expect(correctDomainTypos('gmial.com')).toMatchObject({ corrected: true, domain: 'gmail.com', method: 'typo_map' });
+    expect(correctDomainTypos('gnail.com')).toMatchObject({ corrected: true, domain: 'gmail.com' });
+    expect(correctDomainTypos('outlok.com')).toMatchObject({ corrected: true, domain: 'outlook.com' });
+  });
+
+  it('never rewrites real lookalike providers', () => {
+    ['ymail.com', 'fmail.com', 'hmail.com', 'email.com', 'hotmail.com.au'].forEach(domain => {
+      expect(correctDomainTypos(domain)).toMatchObject({ corrected: false, domain });
+      expect(suggestDomains(domain)).toEqual([]);
+    });
+  });
+
+  it('never rewrites known or real domains', () => {
+    const knownDomains = new Set(['acme.com.au']);
+    const realDomains = new Set(['gmaik.com']);
+
+    expect(correctDomainTypos('gmaik.com')).toMatchObject({ corrected: true, domain: 'gmail.com' });
+    expect(correctDomainTypos('gmaik.com', { realDomains })).toMatchObject({ corrected: false, domain: 'gmaik.com' });
+    expect(correctDomainTypos('acme.com.au', { knownDomains })).toMatchObject({ corrected: false });
+    expect(correctDomainTypos('acmr.com.au', { knownDomains })).toMatchObject({ corrected: true, domain: 'acme.com.au' });
+  });
+});
+
+describe('correctCountryTLD', () => {
+  const packs = ['au', 'uk'];
+
+  it('fixes missing dots and misspelled second-level labels', () => {
+    expect(correctCountryTLD('acme.comau', { packs })).toMatchObject({ corrected: true, domain: 'acme.com.au', rule: 'missing_dot' });
+    expect(correctCountryTLD('acme.con.au', { packs })).toMatchObject({ corrected: true, domain: 'acme.com.au', rule: 'second_level_typo' });
+  });
+
+  it('only swaps labels into a known domain', () => {
+    expect(correctCountryTLD('shop.au.com', { packs })).toMatchObject({ corrected: false, domain: 'shop.au.com' });
+    expect(correctCountryTLD('acme.uk.co', { packs })).toMatchObject({ corrected: false, domain: 'acme.uk.co' });
+
+    const knownDomains = new Set(['acme.co.uk']);
+    expect(correctCountryTLD('acme.uk.co', { packs, knownDomains })).toMatchObject({ corrected: true, domain: 'acme.co.uk', rule: 'swapped_labels' });
+    expect(correctCountryTLD('acme.uk.co', { packs, realDomains: knownDomains })).toMatchObject({ domain: 'acme.co.uk' });
+    expect(correctCountryTLD('acme.uk.co', { packs, knownDomains, swapLabels: false })).toMatchObject({ corrected: false });
+  });
+
+  it('reports no correction when no rule matched', () => {
+    expect(correctCountryTLD('Acme.com.au.', { packs })).toEqual({ corrected: false, domain: 'acme.com.au', country: null, rule: null });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Email type utilities unit tests
+ */
+
+import { classifyByTld, classifyEmailDomain, compileProviderList } from '../../src/utils/email-type-utils';
+
+describe('classifyByTld', () => {
+  it('recognises education domains', () => {
+    ['mit.edu', 'ox.ac.uk', 'unimelb.edu.au', 'lincoln.k12.ne.us']
+      .forEach(domain => expect(classifyByTld(domain)).toBe('education'));
+  });
+
+  it('recognises government domains', () => {
+    ['nasa.gov', 'ato.gov.au', 'ird.govt.nz', 'impots.gouv.fr', 'tbs-sct.gc.ca', 'england.nhs.uk', 'dot.state.ny.us']
+      .forEach(domain => expect(classifyByTld(domain)).toBe('government'));
+  });
+
+  it('only applies second-level conventions under country TLDs', () => {
+    ['edu.com', 'gov.example.com', 'acme.com.au', 'ac.uk']
+      .forEach(domain => expect(classifyByTld(domain)).toBeNull());
+  });
+});
+
+describe('classifyEmailDomain', () => {
+  it('uses the built-in providers and falls back to business', () => {
+    expect(classifyEmailDomain('gmail.com')).toEqual({ emailType: 'free', matched: 'gmail.com' });
+    expect(classifyEmailDomain('acme.com.au')).toEqual({ emailType: 'business', matched: null });
+    expect(classifyEmailDomain('')).toEqual({ emailType: null, matched: null });
+  });
+
+  it('lets listed providers, wildcards and subdomains included, win over the TLD heuristics', () => {
+    const providers = compileProviderList(new Map([['bigpond.com', 'isp'], ['yahoo.*', 'free'], ['alumni.ox.ac.uk', 'free']]));
+
+    expect(classifyEmailDomain('mail.bigpond.com', providers)).toEqual({ emailType: 'isp', matched: 'bigpond.com' });
+    expect(classifyEmailDomain('yahoo.com.au', providers)).toMatchObject({ emailType: 'free' });
+    expect(classifyEmailDomain('alumni.ox.ac.uk', providers)).toMatchObject({ emailType: 'free' });
+    expect(classifyEmailDomain('ox.ac.uk', providers)).toEqual({ emailType: 'education', matched: 'tld' });
+  });
+});
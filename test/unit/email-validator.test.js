@@ -0,0 +1,237 @@
+/**
+ * EmailValidationService unit tests
+ * DNS answers come from an in-memory resolver, so nothing goes over the network
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { loadConfig } from '../../src/config/config';
+import { validateResponse } from '../../src/schemas/api-schemas';
+import { startFakeSmtpServer } from '../helpers/fake-smtp-server';
+
+/**
+ * In-memory resolver: MX records by domain, everything else does not exist
+ * @param {Object} records - {domain: [{exchange, priority}], or an error code the lookup fails with}
+ * @returns {Object}
+ */
+function createFakeResolver(records) {
+  const notFound = () => Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+
+  return {
+    resolveMx: async domain => {
+      if (typeof records[domain] === 'string') throw Object.assign(new Error('failed'), { code: records[domain] });
+      if (records[domain]) return records[domain];
+      throw notFound();
+    },
+    resolve4: async () => {
+      throw notFound();
+    },
+    resolve6: async () => {
+      throw notFound();
+    }
+  };
+}
+
+const resolver = createFakeResolver({
+  'acme.com.au': [{ exchange: 'mail.acme.com.au', priority: 10 }],
+  'acme-nomail.org': [{ exchange: '', priority: 0 }],
+  'mailinator.com': [{ exchange: 'mail.mailinator.com', priority: 10 }],
+  'shop.au.com': [{ exchange: 'mail.shop.au.com', priority: 10 }],
+  'flaky.com.au': 'ESERVFAIL'
+});
+
+const validator = new EmailValidationService(loadConfig({ dns: { resolver } }));
+
+describe('EmailValidationService', () => {
+  it('returns results matching the ValidationResult schema', async () => {
+    const results = await Promise.all([
+      validator.validateEmail('jane@acme.com.au'),
+      validator.validateEmail('"Jane" <Jane.Doe+news@gmial.com>'),
+      validator.validateEmail('not an email'),
+      validator.validateEmail('jane@nowhere-at-all.com.au')
+    ]);
+
+    results.forEach(result => expect(validateResponse('ValidationResult', result)).toEqual([]));
+  });
+
+  it('corrects domain typos', async () => {
+    const result = await validator.validateEmail('jane@gmial.com');
+
+    expect(result.currentEmail).toBe('jane@gmail.com');
+    expect(result.corrections[0]).toMatchObject({ type: 'domain_typo', from: 'jane@gmial.com', to: 'jane@gmail.com' });
+  });
+
+  it('never corrects listed providers or domains of known valid emails', async () => {
+    const localValidator = new EmailValidationService(loadConfig({ dns: { resolver } }));
+    expect((await localValidator.validateEmail('jane@gmaik.com')).currentEmail).toBe('jane@gmail.com');
+
+    localValidator.rememberValidEmail('jane@gmaik.com', 'import');
+
+    expect((await localValidator.validateEmail('john@gmaik.com')).currentEmail).toBe('john@gmaik.com');
+    expect((await localValidator.validateEmail('jane@ymail.com')).currentEmail).toBe('jane@ymail.com');
+  });
+
+  it('only swaps country labels of domains without a mail server', async () => {
+    const localValidator = new EmailValidationService(loadConfig({ dns: { resolver }, validation: { countryTlds: ['au', 'uk'] } }));
+    localValidator.validDomains.add('shop.com.au');
+    localValidator.validDomains.add('acme.co.uk');
+
+    expect((await localValidator.validateEmail('jane@shop.au.com')).currentEmail).toBe('jane@shop.au.com');
+    expect((await localValidator.validateEmail('jane@acme.uk.co')).currentEmail).toBe('jane@acme.co.uk');
+    expect((await localValidator.validateEmail('jane@other.uk.co')).currentEmail).toBe('jane@other.uk.co');
+  });
+
+  it('runs the typo rules once per email', async () => {
+    const localValidator = new EmailValidationService(loadConfig({ dns: { resolver }, validation: { countryTlds: ['au'] } }));
+    localValidator.validDomains.add('shop.com.au');
+    const correctEmailTypos = jest.spyOn(localValidator, 'correctEmailTypos');
+
+    const result = await localValidator.validateEmail('jane@shop.au.com');
+
+    expect(correctEmailTypos).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ currentEmail: 'jane@shop.au.com', wasCorrected: false, corrections: [] });
+  });
+
+  it('only suggests corrections in suggest mode', async () => {
+    const result = await validator.validateEmail('jane@gmial.com', { mode: 'suggest' });
+
+    expect(result.currentEmail).toBe('jane@gmial.com');
+    expect(result.suggestions[0].email).toBe('jane@gmail.com');
+  });
+
+  it('uses the DNS resolver for unknown domains', async () => {
+    const found = await validator.validateEmail('jane@acme.com.au');
+    const missing = await validator.validateEmail('jane@nowhere-at-all.com.au');
+
+    expect(found.mxFound).toBe(true);
+    expect(missing.mxFound).toBe(false);
+    expect(missing.status).toBe('invalid');
+  });
+
+  it('reports a failed DNS lookup as unknown, to be rechecked', async () => {
+    const result = await validator.validateEmail('jane@flaky.com.au');
+
+    expect(result).toMatchObject({ mxFound: false, status: 'unknown', subStatus: 'dns_error', recheckNeeded: true });
+  });
+
+  it('marks domains with a null MX as having no mail server', async () => {
+    const result = await validator.validateEmail('jane@acme-nomail.org');
+
+    expect(result).toMatchObject({ mxFound: false, status: 'invalid', subStatus: 'no_mail_server' });
+  });
+
+  it('flags disposable domains by default and types them as disposable', async () => {
+    const result = await validator.validateEmail('jane@mailinator.com');
+
+    expect(result).toMatchObject({ isDisposable: true, subStatus: 'disposable', emailType: 'disposable' });
+    expect(result.status).not.toBe('invalid');
+  });
+
+  it('rejects disposable domains when the policy says so', async () => {
+    const strict = new EmailValidationService(loadConfig({ dns: { resolver }, validation: { disposablePolicy: 'reject' } }));
+
+    expect(await strict.validateEmail('jane@eu.yopmail.fr')).toMatchObject({ status: 'invalid', subStatus: 'disposable' });
+  });
+
+  it('shares cached verdicts between spellings of the same mailbox', () => {
+    validator.verdictCache.set('J.Doe+news@googlemail.com', { status: 'invalid', subStatus: 'mailbox_not_found', source: 'smtp' });
+
+    expect(validator.verdictCache.get('jdoe@gmail.com')).toMatchObject({ status: 'invalid', subStatus: 'mailbox_not_found' });
+    expect(validator.verdictCache.get('j.doe@gmail.com')).toBe(validator.verdictCache.get('jdoe+other@googlemail.com'));
+  });
+
+  it('counts the different mailboxes of a batch for quotas', () => {
+    expect(validator.countBatchValidations(['j.doe@gmail.com', 'Jane <jdoe+news@gmail.com>', 'a@acme.com.au; b@acme.com.au'])).toBe(3);
+  });
+
+  it('marks duplicates of the same mailbox in a batch', async () => {
+    const results = await validator.validateBatch(['j.doe@gmail.com', 'jdoe+news@gmail.com']);
+
+    expect(results[1].duplicateOf).toBe('j.doe@gmail.com');
+  });
+});
+
+describe('EmailValidationService batch streaming', () => {
+  it('hands each result to onResult with the position of its field', async () => {
+    const streamed = [];
+
+    const results = await validator.validateBatch(['jane@acme.com.au', 'a@acme.com.au; b@acme.com.au'], {
+      onResult: (result, index) => {
+        streamed.push([index, result.currentEmail]);
+      }
+    });
+
+    expect(streamed).toEqual([[0, 'jane@acme.com.au'], [1, 'a@acme.com.au'], [1, 'b@acme.com.au']]);
+    expect(results).toHaveLength(3);
+  });
+
+  it('only streams results meeting minScore', async () => {
+    const streamed = [];
+
+    await validator.validateBatch(['jane@acme.com.au', 'not an email'], {
+      minScore: 1,
+      onResult: result => {
+        streamed.push(result.originalEmail);
+      }
+    });
+
+    expect(streamed).toEqual(['jane@acme.com.au']);
+  });
+
+  it('stops the batch when onResult returns false', async () => {
+    const localValidator = new EmailValidationService(loadConfig({ dns: { resolver } }));
+    const validateEmail = jest.spyOn(localValidator, 'validateEmail');
+
+    const results = await localValidator.validateBatch(['a@acme.com.au', 'b@acme.com.au', 'c@acme.com.au'], {
+      onResult: () => false
+    });
+
+    expect(results).toHaveLength(1);
+    expect(validateEmail).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('EmailValidationService SMTP check', () => {
+  /**
+   * Validator probing a fake SMTP server
+   * @param {Object} server - Fake server
+   * @returns {EmailValidationService}
+   */
+  const createSmtpValidator = server => new EmailValidationService(loadConfig({
+    dns: { resolver },
+    validation: { useSmtpCheck: true },
+    smtp: { mailFrom: 'verify@unmessy.test', hostOverride: '127.0.0.1', port: server.port, timeout: 2000 }
+  }));
+
+  it('remembers mailboxes a non-catch-all server accepts', async () => {
+    const server = await startFakeSmtpServer({ rcpt: address => (address === 'jane@acme.com.au' ? '250 OK' : null) });
+    const smtpValidator = createSmtpValidator(server);
+
+    const result = await smtpValidator.validateEmail('jane@acme.com.au');
+    await server.close();
+
+    expect(result.status).toBe('valid');
+    expect(smtpValidator.isKnownValidEmail('jane@acme.com.au')).toBe(true);
+  });
+
+  it('does not cache policy rejections and leaves them to a recheck', async () => {
+    const server = await startFakeSmtpServer({ rcpt: () => '550 5.7.1 Client host blocked' });
+    const smtpValidator = createSmtpValidator(server);
+
+    const result = await smtpValidator.validateEmail('blocked@acme.com.au');
+    await server.close();
+
+    expect(result).toMatchObject({ status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true });
+    expect(smtpValidator.verdictCache.get('blocked@acme.com.au')).toBeNull();
+  });
+
+  it('does not remember addresses accepted by a catch-all server', async () => {
+    const server = await startFakeSmtpServer({ rcpt: () => '250 OK' });
+    const smtpValidator = createSmtpValidator(server);
+
+    const result = await smtpValidator.validateEmail('anyone@acme.com.au');
+    await server.close();
+
+    expect(result.status).toBe('unknown');
+    expect(smtpValidator.isKnownValidEmail('anyone@acme.com.au')).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Address extraction utilities unit tests
+ */
+
+import { splitAddressList, parseAddress } from '../../src/utils/extraction-utils';
+
+describe('splitAddressList', () => {
+  it('splits on separators outside quotes and angle brackets', () => {
+    expect(splitAddressList('"Doe, Jane" <jane@acme.com.au>; john@acme.com.au\nmary@acme.com.au'))
+      .toEqual(['"Doe, Jane" <jane@acme.com.au>', 'john@acme.com.au', 'mary@acme.com.au']);
+  });
+
+  it('joins segments without an address to the next one', () => {
+    expect(splitAddressList('Doe, Jane <jane@acme.com.au>, Smith, John <john@acme.com.au>'))
+      .toEqual(['Doe, Jane <jane@acme.com.au>', 'Smith, John <john@acme.com.au>']);
+  });
+
+  it('splits bare addresses separated by spaces and keeps text without an address', () => {
+    expect(splitAddressList('jane@acme.com.au john@acme.com.au')).toEqual(['jane@acme.com.au', 'john@acme.com.au']);
+    expect(splitAddressList('n/a')).toEqual(['n/a']);
+    expect(splitAddressList('')).toEqual([]);
+  });
+});
+
+describe('parseAddress', () => {
+  it('extracts the address and display name from angle brackets', () => {
+    expect(parseAddress('"Doe, Jane" <Jane.Doe@acme.com.au>')).toEqual({
+      email: 'Jane.Doe@acme.com.au',
+      displayName: 'Doe, Jane',
+      stripped: [{ type: 'display_name', value: 'Doe, Jane' }, { type: 'angle_brackets', value: '<>' }]
+    });
+  });
+
+  it('removes mailto links with their parameters and decodes the address', () => {
+    expect(parseAddress('mailto:jane%2Bnews@acme.com.au?subject=Hi')).toMatchObject({
+      email: 'jane+news@acme.com.au',
+      stripped: [{ type: 'mailto', value: 'mailto:' }, { type: 'mailto_params', value: '?subject=Hi' }]
+    });
+  });
+
+  it('removes comments, punctuation and surrounding text', () => {
+    expect(parseAddress('jane@acme.com.au (Jane Doe)')).toMatchObject({ email: 'jane@acme.com.au', displayName: 'Jane Doe' });
+    expect(parseAddress('(jane@acme.com.au).')).toMatchObject({ email: 'jane@acme.com.au', stripped: [{ type: 'punctuation' }] });
+    expect(parseAddress('Email: jane@acme.com.au')).toMatchObject({
+      email: 'jane@acme.com.au',
+      stripped: [{ type: 'surrounding_text', value: 'Email:' }]
+    });
+  });
+
+  it('reveals obfuscated addresses', () => {
+    expect(parseAddress('jane dot doe at acme dot com dot au').email).toBe('jane.doe@acme.com.au');
+    expect(parseAddress('jane[at]acme(dot)com').stripped).toEqual([{ type: 'obfuscation', value: 'jane[at]acme(dot)com' }]);
+  });
+
+  it('leaves plain addresses alone', () => {
+    expect(parseAddress(' jane@acme.com.au ')).toEqual({ email: 'jane@acme.com.au', displayName: null, stripped: [] });
+  });
+});
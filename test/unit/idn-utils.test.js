@@ -0,0 +1,39 @@
+/**
+ * Internationalized email utilities unit tests
+ */
+
+import { toAsciiEmail, toUnicodeEmail, toLookupEmail, detectHomograph } from '../../src/utils/idn-utils';
+
+describe('IDN conversion', () => {
+  it('converts the domain between Unicode and punycode and keeps the local part', () => {
+    expect(toAsciiEmail('Jörg@Bücher.de')).toBe('Jörg@xn--bcher-kva.de');
+    expect(toUnicodeEmail('jörg@xn--bcher-kva.de')).toBe('jörg@bücher.de');
+  });
+
+  it('gives composed and decomposed spellings the same lookup key', () => {
+    const decomposed = ' Jo\u0308rg@Bu\u0308cher.de ';
+
+    expect(toLookupEmail(decomposed)).toBe('jörg@xn--bcher-kva.de');
+    expect(toLookupEmail('jörg@bücher.de')).toBe(toLookupEmail(decomposed));
+  });
+
+  it('leaves addresses it cannot split unchanged', () => {
+    expect(toAsciiEmail('not an email')).toBe('not an email');
+  });
+});
+
+describe('detectHomograph', () => {
+  it('flags labels mixing Latin and Cyrillic', () => {
+    expect(detectHomograph('pаypal.com')).toBe('mixed_script');
+  });
+
+  it('flags Cyrillic labels made only of Latin lookalikes, in either form', () => {
+    expect(detectHomograph('аррӏе.com')).toBe('confusable');
+    expect(detectHomograph('xn--80ak6aa92e.com')).toBe('confusable');
+  });
+
+  it('accepts ordinary internationalized and ASCII domains', () => {
+    ['bücher.de', 'пример.рф', '日本語ドメイン.jp', 'acme.com.au']
+      .forEach(domain => expect(detectHomograph(domain)).toBeNull());
+  });
+});
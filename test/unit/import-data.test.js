@@ -0,0 +1,54 @@
+/**
+ * Import script tests
+ * Runs scripts/import-data.js in the test's copy of data/
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const script = path.join(__dirname, '..', '..', 'scripts', 'import-data.js');
+
+/**
+ * Import a file and return the lines added to a data file
+ * @param {string} source - Import source, e.g. 'disposable-domains'
+ * @param {string} content - File to import
+ * @param {string} target - Data file the source appends to
+ * @returns {string[]} - Lines added to the data file
+ */
+function runImport(source, content, target) {
+  const targetPath = path.join(process.cwd(), 'data', target);
+  const readLines = () => fs.readFileSync(targetPath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const before = readLines().length;
+  const inputPath = path.join(process.cwd(), `${source}-input.csv`);
+  fs.writeFileSync(inputPath, content);
+
+  execFileSync(process.execPath, [script, source, inputPath], { cwd: process.cwd(), stdio: 'ignore' });
+
+  return readLines().slice(before);
+}
+
+describe('import-data disposable-domains', () => {
+  it('keeps the only domain of a headerless one-line file', () => {
+    const added = runImport('disposable-domains', 'throwaway-inbox.example\n', 'disposable-domains.csv');
+
+    expect(added).toHaveLength(1);
+    expect(added[0]).toMatch(/^throwaway-inbox\.example,disposable-import,/);
+  });
+
+  it('imports every line of a headerless list, and CSVs with a domain column', () => {
+    expect(runImport('disposable-domains', '@burner-a.example\r\nburner-b.*\r\n', 'disposable-domains.csv')
+      .map(line => line.split(',')[0])).toEqual(['burner-a.example', 'burner-b.*']);
+    expect(runImport('disposable-domains', 'domain,notes\nburner-c.example,Seen in signups\n', 'disposable-domains.csv')
+      .map(line => line.split(',')[0])).toEqual(['burner-c.example']);
+  });
+});
+
+describe('import-data email-providers', () => {
+  it('keeps the only domain of a headerless one-line file', () => {
+    const added = runImport('email-providers', 'mail-only.example\n', 'email-providers.csv');
+
+    expect(added).toHaveLength(1);
+    expect(added[0]).toMatch(/^mail-only\.example,free,/);
+  });
+});
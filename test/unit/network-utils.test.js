@@ -0,0 +1,50 @@
+/**
+ * Network utilities unit tests
+ */
+
+import { isPublicAddress, assertFetchableUrl, publicOnlyLookup } from '../../src/utils/network-utils';
+
+describe('isPublicAddress', () => {
+  it('refuses private, loopback and link-local addresses', () => {
+    ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']
+      .forEach(address => expect(isPublicAddress(address)).toBe(false));
+  });
+
+  it('refuses IPv4-mapped and loopback addresses in any notation', () => {
+    ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '0:0:0:0:0:0:0:1']
+      .forEach(address => expect(isPublicAddress(address)).toBe(false));
+  });
+
+  it('accepts public addresses', () => {
+    ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111']
+      .forEach(address => expect(isPublicAddress(address)).toBe(true));
+  });
+});
+
+describe('assertFetchableUrl', () => {
+  it('refuses other protocols and non-public IP literals', () => {
+    expect(() => assertFetchableUrl('file:///etc/passwd')).toThrow('Only http and https');
+    expect(() => assertFetchableUrl('http://169.254.169.254/latest/meta-data')).toThrow('Address not allowed');
+    expect(() => assertFetchableUrl('http://[::1]:8080/')).toThrow('Address not allowed');
+    expect(() => assertFetchableUrl('http://[::ffff:127.0.0.1]/')).toThrow('Address not allowed');
+    expect(() => assertFetchableUrl('http://[0:0:0:0:0:0:0:1]/')).toThrow('Address not allowed');
+  });
+
+  it('only accepts the allowed hosts and their subdomains when given', () => {
+    const options = { allowedHosts: ['files.example.com'] };
+
+    expect(assertFetchableUrl('https://files.example.com/a.csv', options).hostname).toBe('files.example.com');
+    expect(assertFetchableUrl('https://eu.files.example.com/a.csv', options).hostname).toBe('eu.files.example.com');
+    expect(() => assertFetchableUrl('https://example.com/a.csv', options)).toThrow('Host not allowed');
+    expect(() => assertFetchableUrl('https://files.example.com.evil.test/a.csv', options)).toThrow('Host not allowed');
+  });
+});
+
+describe('publicOnlyLookup', () => {
+  it('refuses hosts resolving to non-public addresses', done => {
+    publicOnlyLookup('localhost', {}, error => {
+      expect(error.code).toBe('EADDRNOTALLOWED');
+      done();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Local-part normalization unit tests
+ */
+
+import { normalizeEmail } from '../../src/utils/normalization-utils';
+
+describe('normalizeEmail', () => {
+  it('removes Gmail dots and tags and maps googlemail.com', () => {
+    expect(normalizeEmail('john.smith+news@googlemail.com')).toEqual({
+      canonicalEmail: 'johnsmith@gmail.com',
+      provider: 'gmail',
+      changed: true
+    });
+  });
+
+  it('maps Fastmail subdomain addressing onto the user mailbox', () => {
+    expect(normalizeEmail('shop@jane.fastmail.com').canonicalEmail).toBe('jane@fastmail.com');
+  });
+
+  it('keeps hyphenated Yahoo addresses apart from the shorter mailbox', () => {
+    expect(normalizeEmail('john-smith@yahoo.com')).toEqual({
+      canonicalEmail: 'john-smith@yahoo.com',
+      provider: 'yahoo',
+      changed: false
+    });
+  });
+
+  it('leaves quoted local parts and unknown domains alone', () => {
+    expect(normalizeEmail('"john+x"@gmail.com').changed).toBe(false);
+    expect(normalizeEmail('john+x@acme.org').changed).toBe(false);
+  });
+});
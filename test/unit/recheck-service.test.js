@@ -0,0 +1,64 @@
+/**
+ * RecheckService unit tests
+ * Every domain has an MX record, so without SMTP or providers rechecks come back unknown
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { RecheckService } from '../../src/services/recheck-service';
+import { loadConfig } from '../../src/config/config';
+
+const resolver = {
+  resolveMx: async domain => [{ exchange: `mx.${domain}`, priority: 10 }],
+  resolve4: async () => ['192.0.2.1'],
+  resolve6: async () => []
+};
+
+/**
+ * Validator with one stale known valid email and one cached unknown verdict
+ * @returns {EmailValidationService}
+ */
+function createValidator() {
+  const validator = new EmailValidationService(loadConfig({ dns: { resolver }, recheck: { batchDelay: 0 } }));
+  validator.knownValidEmails.clear();
+  validator.knownValidEmails.set('old@acme.com.au', { validatedAt: '2020-01-01T00:00:00Z', source: 'import' });
+  validator.verdictCache.set('maybe@acme.com.au', { status: 'unknown', subStatus: 'catch_all', source: 'zerobounce' });
+  return validator;
+}
+
+describe('RecheckService', () => {
+  it('skips verdicts it can\'t resolve and doesn\'t recheck the same email on the next run', async () => {
+    const validator = createValidator();
+    const recheckService = new RecheckService(validator, validator.config.recheck);
+
+    const first = await recheckService.run();
+    expect(first).toMatchObject({ total: 1, checked: 1, skipped: 1, summary: { unknown: 1 } });
+    expect(first.results[0]).toMatchObject({ email: 'old@acme.com.au', reason: 'stale' });
+
+    // A new instance reads the recorded recheck from rechecks.csv
+    const second = await new RecheckService(validator, validator.config.recheck).run();
+    expect(second).toMatchObject({ total: 0, checked: 0, skipped: 2 });
+  });
+
+  it('rechecks verdicts once a mailbox check is set up', () => {
+    const validator = createValidator();
+    validator.config = { ...validator.config, validation: { ...validator.config.validation, useProviderCheck: true } };
+
+    const { candidates } = new RecheckService(validator, { minIntervalDays: 0 }).getCandidates();
+
+    expect(candidates.map(candidate => candidate.email)).toContain('maybe@acme.com.au');
+  });
+
+  it('stops when the time budget runs out instead of pausing past it', async () => {
+    const validator = createValidator();
+    validator.knownValidEmails.set('first@acme.org', { validatedAt: '2019-01-01T00:00:00Z', source: 'import' });
+    validator.knownValidEmails.set('second@acme.org', { validatedAt: '2019-06-01T00:00:00Z', source: 'import' });
+    const recheckService = new RecheckService(validator, { batchSize: 1, batchDelay: 60000, timeBudget: 1000 });
+
+    const startedAt = Date.now();
+    const result = await recheckService.run();
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(result).toMatchObject({ total: 2, checked: 1, remaining: 1 });
+    expect(result.results[0].email).toBe('first@acme.org');
+  });
+});
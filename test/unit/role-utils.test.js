@@ -0,0 +1,31 @@
+/**
+ * Role account detection unit tests
+ */
+
+import { detectRoleAccount } from '../../src/utils/role-utils';
+
+describe('detectRoleAccount', () => {
+  it('detects role local parts, ignoring separators, numbers and plus tags', () => {
+    expect(detectRoleAccount('info')).toBe('info');
+    expect(detectRoleAccount('Sales2')).toBe('sales');
+    expect(detectRoleAccount('no-reply')).toBe('noreply');
+    expect(detectRoleAccount('do.not.reply')).toBe('donotreply');
+    expect(detectRoleAccount('support+tickets')).toBe('support');
+    expect(detectRoleAccount('customer_service')).toBe('customerservice');
+  });
+
+  it('detects local parts made only of roles', () => {
+    expect(detectRoleAccount('sales.team2')).toBe('sales');
+    expect(detectRoleAccount('media-enquiries')).toBe('media');
+  });
+
+  it('leaves personal addresses that start or end with a role name alone', () => {
+    ['hello.kitty', 'team.smith', 'mail.john', 'media.x', 'jane.sales', 'info.jane2', 'helena', 'jobsworth']
+      .forEach(localPart => expect(detectRoleAccount(localPart)).toBeNull());
+  });
+
+  it('uses custom role lists', () => {
+    expect(detectRoleAccount('bookings', ['bookings'])).toBe('bookings');
+    expect(detectRoleAccount('info', ['bookings'])).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Deliverability score unit tests
+ */
+
+import { calculateScore } from '../../src/utils/score-utils';
+
+/**
+ * Validation result with a valid format and no other signals
+ * @param {Object} overrides - Result fields
+ * @returns {Object}
+ */
+function createResult(overrides = {}) {
+  return { formatValid: true, status: 'unknown', validationSteps: [], ...overrides };
+}
+
+describe('calculateScore', () => {
+  it('adds the weight of each signal to the base score', () => {
+    const { score, signals } = calculateScore(createResult({ domainValid: true, mxFound: true, isRoleAccount: true }));
+
+    expect(signals.map(({ signal }) => signal)).toEqual(['format_valid', 'domain_known', 'mx_found', 'role_account']);
+    expect(score).toBe(50 + 10 + 10 + 10 - 15);
+  });
+
+  it('only uses the format signal when the format is invalid', () => {
+    expect(calculateScore(createResult({ formatValid: false, isDisposable: true }))).toEqual({
+      score: 0,
+      signals: [{ signal: 'format_invalid', weight: -100 }]
+    });
+  });
+
+  it('scores the last mailbox check that ran', () => {
+    const result = createResult({
+      validationSteps: [
+        { step: 'smtp_check', result: { status: 'unknown' } },
+        { step: 'provider_check', result: { status: 'valid' } }
+      ]
+    });
+
+    const signals = calculateScore(result).signals.map(({ signal }) => signal);
+
+    expect(signals).toContain('provider_valid');
+    expect(signals).not.toContain('provider_unknown');
+  });
+
+  it('merges custom weights over the defaults and keeps the score between 0 and 100', () => {
+    const result = createResult({ isKnownValid: true, domainValid: true, mxFound: true });
+
+    expect(calculateScore(result).score).toBe(100);
+    expect(calculateScore(result, { base: 0, known_valid: 5 }).score).toBe(35);
+    expect(calculateScore(createResult({ isSuppressed: true })).score).toBe(0);
+  });
+});
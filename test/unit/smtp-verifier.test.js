@@ -0,0 +1,117 @@
+/**
+ * SmtpVerifier unit tests, against a fake SMTP server on localhost
+ */
+
+import { SmtpVerifier } from '../../src/services/smtp-verifier';
+import { startFakeSmtpServer } from '../helpers/fake-smtp-server';
+
+/**
+ * Verifier pointed at a fake server
+ * @param {Object} server - Fake server
+ * @param {Object} options - Extra SmtpVerifier options
+ * @returns {SmtpVerifier}
+ */
+function createVerifier(server, options = {}) {
+  return new SmtpVerifier({
+    mailFrom: 'verify@unmessy.test',
+    hostOverride: '127.0.0.1',
+    port: server.port,
+    timeout: 2000,
+    greylistDelay: 10,
+    ...options
+  });
+}
+
+describe('SmtpVerifier', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  it('accepts a mailbox when a made-up address on the domain is refused', async () => {
+    server = await startFakeSmtpServer({ rcpt: address => (address === 'jane@acme.test' ? '250 OK' : null) });
+
+    const result = await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'valid', catchAll: false, source: 'smtp' });
+    expect(server.commands).toContain('MAIL FROM:<verify@unmessy.test>');
+    expect(server.commands).toContain('EHLO unmessy.test');
+    expect(server.commands.filter(command => command.startsWith('RCPT TO'))).toHaveLength(2);
+  });
+
+  it('reports catch-all servers instead of valid', async () => {
+    server = await startFakeSmtpServer({ rcpt: () => '250 OK' });
+
+    const result = await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'unknown', subStatus: 'catch_all', catchAll: true });
+  });
+
+  it('maps a refused recipient to mailbox_not_found', async () => {
+    server = await startFakeSmtpServer();
+
+    const result = await createVerifier(server).verify('nobody@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'invalid', subStatus: 'mailbox_not_found', code: 550 });
+  });
+
+  it('only treats unknown-user replies as mailbox_not_found', async () => {
+    server = await startFakeSmtpServer({ rcpt: () => '550 5.1.1 User unknown' });
+    expect(await createVerifier(server).verify('nobody@acme.test', ['mx.acme.test']))
+      .toMatchObject({ status: 'invalid', subStatus: 'mailbox_not_found' });
+    await server.close();
+
+    for (const reply of ['550 5.7.1 Service unavailable, client host blocked using Spamhaus', '554 Transaction failed', '553 Relaying denied']) {
+      server = await startFakeSmtpServer({ rcpt: () => reply });
+      expect(await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']))
+        .toMatchObject({ status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true });
+      await server.close();
+    }
+    server = null;
+  });
+
+  it('does not trust an accept when the made-up address was not definitely refused', async () => {
+    server = await startFakeSmtpServer({ rcpt: address => (address === 'jane@acme.test' ? '250 OK' : '451 Try again later') });
+
+    const result = await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'unknown', subStatus: 'greylisted', catchAll: null, attempts: 2 });
+  });
+
+  it('retries a greylisted recipient', async () => {
+    let attempts = 0;
+    server = await startFakeSmtpServer({
+      rcpt: address => {
+        if (address !== 'jane@acme.test') return null;
+        attempts++;
+        return attempts === 1 ? '451 Try again later' : '250 OK';
+      }
+    });
+
+    const result = await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'valid', attempts: 2 });
+  });
+
+  it('does not treat a 4xx before RCPT TO as greylisting', async () => {
+    server = await startFakeSmtpServer({ greeting: '421 Too busy' });
+    expect(await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']))
+      .toMatchObject({ status: 'unknown', subStatus: 'smtp_rejected', attempts: 1 });
+    await server.close();
+
+    server = await startFakeSmtpServer({ mailFrom: '451 Sender verification pending' });
+    expect(await createVerifier(server).verify('jane@acme.test', ['mx.acme.test']))
+      .toMatchObject({ status: 'unknown', subStatus: 'smtp_rejected', attempts: 1 });
+  });
+
+  it('probes nothing without a MAIL FROM address', async () => {
+    server = await startFakeSmtpServer();
+
+    const result = await createVerifier(server, { mailFrom: null }).verify('jane@acme.test', ['mx.acme.test']);
+
+    expect(result).toMatchObject({ status: 'unknown', subStatus: 'smtp_not_configured', attempts: 0 });
+    expect(server.commands).toEqual([]);
+  });
+});
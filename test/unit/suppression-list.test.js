@@ -0,0 +1,60 @@
+/**
+ * SuppressionList unit tests
+ */
+
+import fs from 'fs';
+import CSVManager from '../../src/utils/csv-manager';
+import { SuppressionList } from '../../src/services/suppression-list';
+import { normalizeEmail } from '../../src/utils/normalization-utils';
+
+describe('SuppressionList', () => {
+  const csvManager = new CSVManager();
+
+  /**
+   * Write suppressions.csv and load a list from it
+   * @param {string[]} rows - CSV rows after the header
+   * @param {Object} options - List options
+   * @returns {SuppressionList}
+   */
+  function createList(rows, options = {}) {
+    fs.writeFileSync(csvManager.suppressionsPath, ['type,value,reason,source,date_added,notes', ...rows].join('\n'));
+    return new SuppressionList(csvManager, options);
+  }
+
+  it('matches emails by their lookup key, or by the canonical email when given', () => {
+    const list = createList(['email,J.Doe@gmail.com,unsubscribed,hubspot,,']);
+    const canonical = new SuppressionList(csvManager, { toKey: email => normalizeEmail(email.toLowerCase()).canonicalEmail });
+
+    expect(list.match('j.doe@gmail.com')).toEqual({ type: 'email', value: 'j.doe@gmail.com', reason: 'unsubscribed' });
+    expect(list.match('jdoe+news@gmail.com')).toBeNull();
+    expect(canonical.match('JDoe+news@googlemail.com')).toMatchObject({ type: 'email' });
+  });
+
+  it('matches domains with their subdomains, also in Unicode', () => {
+    const list = createList(['domain,rival.com.au,competitor,,,', 'domain,bücher.de,,,,']);
+
+    expect(list.match('sales@mail.rival.com.au')).toMatchObject({ type: 'domain', value: 'rival.com.au' });
+    expect(list.match('sales@notrival.com.au')).toBeNull();
+    expect(list.match('jörg@xn--bcher-kva.de')).toEqual({ type: 'domain', value: 'bücher.de', reason: null });
+  });
+
+  it('tests patterns case-insensitively and prefers email and domain entries', () => {
+    const list = createList([
+      'pattern,^test[0-9]*@,test address,,,',
+      'domain,example.org,reserved,,,',
+      'email,test1@acme.com.au,unsubscribed,,,'
+    ]);
+
+    expect(list.match('Test42@acme.com.au')).toMatchObject({ type: 'pattern', reason: 'test address' });
+    expect(list.match('test1@acme.com.au')).toMatchObject({ type: 'email' });
+    expect(list.match('test2@example.org')).toMatchObject({ type: 'domain' });
+    expect(list.match('jane@acme.com.au')).toBeNull();
+  });
+
+  it('skips invalid patterns and unknown types', () => {
+    const list = createList(['pattern,([a-z,broken,,,', 'keyword,spam,,,,', 'pattern,^noreply@,,,,']);
+
+    expect(list.size).toBe(1);
+    expect(list.match('noreply@acme.com.au')).toMatchObject({ type: 'pattern' });
+  });
+});
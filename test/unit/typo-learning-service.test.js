@@ -0,0 +1,37 @@
+/**
+ * TypoLearningService unit tests
+ */
+
+import { EmailValidationService } from '../../src/services/email-validator';
+import { TypoLearningService } from '../../src/services/typo-learning-service';
+import { loadConfig } from '../../src/config/config';
+
+describe('TypoLearningService', () => {
+  const config = loadConfig({ validation: { useDnsCheck: false } });
+  const validator = new EmailValidationService(config);
+  const typoLearning = new TypoLearningService(validator, { minCount: 2 });
+
+  it('proposes recurring mistakes, but never a broken target domain', () => {
+    ['jane', 'john'].forEach(name => {
+      validator.csvManager.addCorrectedEmail(`${name}@acmeaustralia.com`, `${name}@acme.com.au`, 'manual');
+      validator.csvManager.addCorrectedEmail(`${name}@corporation.com.au`, `${name}@corporation..com.au`, 'manual');
+    });
+
+    const { proposed } = typoLearning.learn();
+
+    expect(proposed.map(mapping => mapping.typoDomain)).toContain('acmeaustralia.com');
+    expect(proposed.map(mapping => mapping.typoDomain)).not.toContain('corporation.com.au');
+  });
+
+  it('applies approved mappings in validators that were already running', async () => {
+    const runningValidator = new EmailValidationService(config);
+
+    typoLearning.approve('acmeaustralia.com', { approvedBy: 'tests' });
+
+    expect((await runningValidator.validateEmail('jane@acmeaustralia.com')).currentEmail).toBe('jane@acme.com.au');
+
+    typoLearning.reject('acmeaustralia.com', { rejectedBy: 'tests' });
+
+    expect((await runningValidator.validateEmail('jane@acmeaustralia.com')).currentEmail).toBe('jane@acmeaustralia.com');
+  });
+});
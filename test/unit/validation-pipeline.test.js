@@ -0,0 +1,74 @@
+/**
+ * ValidationPipeline unit tests
+ * Custom steps record the order they ran in, so no built-in step is needed
+ */
+
+import { ValidationPipeline } from '../../src/services/validation-pipeline';
+import { DEFAULT_STEP_ORDER } from '../../src/services/validation-steps';
+
+/**
+ * Step that records its name when it runs
+ * @param {string} name - Step name
+ * @param {string[]} ran - Names of the steps that ran
+ * @param {Function} extra - Called with the context after recording
+ * @returns {Object}
+ */
+function recordingStep(name, ran, extra = () => {}) {
+  return { run: async context => { ran.push(name); extra(context); } };
+}
+
+describe('ValidationPipeline', () => {
+  it('runs the built-in steps in the default order, leaving out the ones that are turned off', () => {
+    const names = new ValidationPipeline({ validation: { useDnsCheck: true } }).getActiveSteps().map(step => step.name);
+
+    expect(names).toEqual(DEFAULT_STEP_ORDER.filter(name => !['smtp_check', 'provider_check'].includes(name)));
+  });
+
+  it('uses the step order of the current environment over the default one', async () => {
+    const ran = [];
+    const pipeline = new ValidationPipeline({
+      environment: 'test',
+      pipeline: {
+        steps: ['first', 'second'],
+        environments: { test: ['second', 'missing', 'first'] },
+        customSteps: { first: recordingStep('first', ran), second: recordingStep('second', ran) }
+      }
+    });
+
+    await pipeline.run({}, 'jane@acme.com.au', {});
+
+    expect(ran).toEqual(['second', 'first']);
+  });
+
+  it('skips disabled steps and stops when a step gives a final verdict', async () => {
+    const ran = [];
+    const pipeline = new ValidationPipeline({ pipeline: { steps: ['off', 'reject', 'after'] } });
+    pipeline.registerStep('off', { ...recordingStep('off', ran), enabled: () => false });
+    pipeline.registerStep('reject', recordingStep('reject', ran, context => {
+      context.result.status = 'invalid';
+      context.stop();
+    }));
+    pipeline.registerStep('after', recordingStep('after', ran));
+
+    const result = await pipeline.run({}, 'jane@acme.com.au', {});
+
+    expect(ran).toEqual(['reject']);
+    expect(result.status).toBe('invalid');
+  });
+
+  it('passes rewritten emails on and applies the default verdict at the end', async () => {
+    const seen = [];
+    const pipeline = new ValidationPipeline({ pipeline: { steps: ['rewrite', 'check'] } });
+    pipeline.registerStep('rewrite', { run: async context => context.setEmail('jane@acme.com.au') });
+    pipeline.registerStep('check', { run: async context => { seen.push(context.email); context.result.mxFound = true; } });
+
+    const result = await pipeline.run({}, 'jane@acme.con.au', {});
+
+    expect(seen).toEqual(['jane@acme.com.au']);
+    expect(result).toMatchObject({ currentEmail: 'jane@acme.com.au', status: 'unknown', recheckNeeded: true });
+  });
+
+  it('refuses steps without a run method', () => {
+    expect(() => new ValidationPipeline({}).registerStep('broken', {})).toThrow('must have a run(context) method');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * VerdictCache unit tests
+ * The clock is faked so verdicts can be aged without waiting
+ */
+
+import CSVManager from '../../src/utils/csv-manager';
+import { VerdictCache } from '../../src/services/verdict-cache';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ttlDays = { invalid: 90, unknown: 3, catch_all: 30 };
+
+describe('VerdictCache', () => {
+  const csvManager = new CSVManager();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('gives sub-status TTLs precedence over status TTLs', () => {
+    const cache = new VerdictCache(csvManager, { ttlDays });
+
+    expect(cache.getTtl({ status: 'unknown', subStatus: 'catch_all' })).toBe(30 * DAY_MS);
+    expect(cache.getTtl({ status: 'unknown', subStatus: 'greylisted' })).toBe(3 * DAY_MS);
+    expect(cache.getTtl({ status: 'invalid', subStatus: 'mailbox_not_found' })).toBe(90 * DAY_MS);
+    expect(cache.getTtl({ status: 'do_not_mail', subStatus: null })).toBe(0);
+  });
+
+  it('expires verdicts once their TTL has passed', () => {
+    const cache = new VerdictCache(csvManager, { ttlDays });
+    cache.set('greylisted@acme.com.au', { status: 'unknown', subStatus: 'greylisted', source: 'smtp' });
+    cache.set('anyone@acme.com.au', { status: 'unknown', subStatus: 'catch_all', source: 'smtp' });
+
+    jest.advanceTimersByTime(3 * DAY_MS - 1);
+    expect(cache.get('greylisted@acme.com.au')).toMatchObject({ status: 'unknown', source: 'smtp' });
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('greylisted@acme.com.au')).toBeNull();
+    expect(cache.get('anyone@acme.com.au')).toMatchObject({ subStatus: 'catch_all' });
+  });
+
+  it('never caches valid results, failed checks or statuses without a TTL', () => {
+    const cache = new VerdictCache(csvManager, { ttlDays });
+
+    expect(cache.set('jane@acme.com.au', { status: 'valid' })).toBe(false);
+    expect(cache.set('jane@acme.com.au', { status: 'check_failed' })).toBe(false);
+    expect(cache.set('jane@acme.com.au', { status: 'do_not_mail' })).toBe(false);
+    expect(cache.get('jane@acme.com.au')).toBeNull();
+  });
+
+  it('loads cached verdicts written by another instance, the latest one winning', () => {
+    const cache = new VerdictCache(csvManager, { ttlDays });
+    cache.set('Jo@Acme.com.au', { status: 'unknown', subStatus: 'greylisted' });
+    jest.advanceTimersByTime(DAY_MS);
+    cache.set('jo@acme.com.au', { status: 'invalid', subStatus: 'mailbox_not_found' });
+
+    expect(new VerdictCache(csvManager, { ttlDays }).get('jo@acme.com.au')).toMatchObject({
+      status: 'invalid',
+      checkedAt: '2026-01-02T00:00:00.000Z'
+    });
+  });
+});
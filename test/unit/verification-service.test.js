@@ -0,0 +1,111 @@
+/**
+ * VerificationService unit tests
+ * Fake providers stand in for the provider adapters, so nothing goes over the network
+ */
+
+import { VerificationService } from '../../src/services/verification-service';
+
+/**
+ * Fake provider answering with a fixed result, or failing with an error
+ * @param {string} name - Provider name
+ * @param {Object|Error} answer - Result fields, or the error verify() throws
+ * @param {boolean} configured - Whether the provider has an API key
+ * @returns {Object}
+ */
+function createProvider(name, answer, configured = true) {
+  return {
+    name,
+    isConfigured: () => configured,
+    verify: jest.fn(async email => {
+      if (answer instanceof Error) throw answer;
+      return { email, source: name, ...answer };
+    })
+  };
+}
+
+/**
+ * Service using the given providers, primary first
+ * @param {Object[]} providers - Fake providers
+ * @param {Object} options - Verification options
+ * @returns {VerificationService}
+ */
+function createService(providers, options = {}) {
+  const service = new VerificationService({ providers: [], ...options });
+  service.providers = providers;
+  return service;
+}
+
+describe('VerificationService', () => {
+  it('only creates the providers it knows', () => {
+    const service = new VerificationService({ providers: ['NeverBounce', 'unknown', ' kickbox '] });
+
+    expect(service.providers.map(provider => provider.name)).toEqual(['neverbounce', 'kickbox']);
+  });
+
+  it('falls back to the next provider when one is not configured or fails', async () => {
+    const fallback = createProvider('kickbox', { status: 'valid' });
+    const service = createService([
+      createProvider('zerobounce', { status: 'valid' }, false),
+      createProvider('neverbounce', new Error('socket hang up')),
+      fallback
+    ]);
+
+    const result = await service.verify('jane@acme.com.au');
+
+    expect(result).toMatchObject({ status: 'valid', source: 'kickbox' });
+    expect(result.attempts.map(attempt => attempt.status)).toEqual(['check_failed', 'check_failed', 'valid']);
+    expect(result.attempts[1].error).toBe('socket hang up');
+  });
+
+  it('stops at the first provider that answers', async () => {
+    const fallback = createProvider('kickbox', { status: 'valid' });
+    const service = createService([createProvider('zerobounce', { status: 'unknown' }), fallback]);
+
+    expect(await service.verify('jane@acme.com.au')).toMatchObject({ status: 'unknown', source: 'zerobounce' });
+    expect(fallback.verify).not.toHaveBeenCalled();
+  });
+
+  it('reports the last failure when no provider answers', async () => {
+    const service = createService([
+      createProvider('zerobounce', new Error('timeout')),
+      createProvider('kickbox', new Error('HTTP 503'))
+    ]);
+
+    expect(await service.verify('jane@acme.com.au')).toMatchObject({
+      status: 'check_failed',
+      recheckNeeded: true,
+      source: 'kickbox',
+      error: 'HTTP 503'
+    });
+    expect((await createService([]).verify('jane@acme.com.au')).error).toBe('No verification providers configured');
+  });
+
+  it('asks the remaining providers about catch-all results until one is definite', async () => {
+    const service = createService([
+      createProvider('zerobounce', { status: 'unknown', catchAll: true }),
+      createProvider('neverbounce', { status: 'unknown', catchAll: true }),
+      createProvider('kickbox', { status: 'invalid' })
+    ], { secondOpinionOnCatchAll: true });
+
+    const result = await service.verify('jane@acme.com.au');
+
+    expect(result).toMatchObject({ status: 'invalid', source: 'kickbox', catchAll: true, secondOpinion: true });
+    expect(result.attempts).toHaveLength(3);
+  });
+
+  it('keeps the catch-all result when the second opinion is off or not definite', async () => {
+    const providers = () => [
+      createProvider('zerobounce', { status: 'unknown', catchAll: true }),
+      createProvider('kickbox', { status: 'unknown' })
+    ];
+
+    const withoutSecondOpinion = await createService(providers()).verify('jane@acme.com.au');
+    const inconclusive = await createService(providers(), { secondOpinionOnCatchAll: true }).verify('jane@acme.com.au');
+
+    expect(withoutSecondOpinion).toMatchObject({ source: 'zerobounce', catchAll: true });
+    expect(withoutSecondOpinion.attempts).toHaveLength(1);
+    expect(inconclusive).toMatchObject({ source: 'zerobounce', catchAll: true });
+    expect(inconclusive.secondOpinion).toBeUndefined();
+    expect(inconclusive.attempts).toHaveLength(2);
+  });
+});